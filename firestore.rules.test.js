@@ -0,0 +1,548 @@
+// Runs against the Firestore emulator: `npm run test:rules` (needs the Firebase CLI and Java).
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, test } from 'vitest';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, setDoc, getDoc, deleteDoc, updateDoc, collection, query, where, limit, getDocs, writeBatch, arrayUnion, arrayRemove, deleteField, serverTimestamp, Timestamp } from 'firebase/firestore';
+
+const appId = 'loan-tracker-app-v1';
+const loanPath = `artifacts/${appId}/public/data/loans/loan1`;
+const invitePath = `artifacts/${appId}/public/data/inviteCodes/ABC-DEF`;
+
+let testEnv;
+
+const dbAs = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+const seed = (data) => testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, loanPath), data.loan);
+    for (const [id, tx] of Object.entries(data.transactions || {})) {
+        await setDoc(doc(db, `${loanPath}/transactions/${id}`), tx);
+    }
+});
+
+const setInvite = (invite) => testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), invitePath), {
+    loanId: 'loan1', createdBy: 'owner', createdAt: Timestamp.now(), expiresAt: null, singleUse: false, requiresApproval: false, usedBy: null, ...invite,
+}));
+
+// Joins the way the app does: the loan update and a `joins/{uid}` record naming the code, in one batch.
+const joinAsViewer = (db, uid, code = 'ABC-DEF', batch = writeBatch(db)) => {
+    batch.set(doc(db, loanPath), { members: arrayUnion(uid), roles: { [uid]: 'viewer' } }, { merge: true });
+    if (code) batch.set(doc(db, `${loanPath}/joins/${uid}`), { code, joinedAt: Timestamp.now() });
+    return batch.commit();
+};
+
+const payment = (authorId) => ({ type: 'payment', amount: 100, date: Timestamp.now(), description: 'Payment', authorId, createdAt: Timestamp.now() });
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-loan-tracker',
+        firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+    });
+});
+
+afterAll(async () => {
+    await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed({
+        loan: {
+            members: ['owner', 'lender', 'borrower', 'viewer'],
+            roles: { owner: 'owner', lender: 'lender', borrower: 'borrower', viewer: 'viewer' },
+            friendlyId: 'ABC-DEF',
+            settings: { appTitle: 'Car Loan', interestRate: 4 },
+        },
+        transactions: { tx1: payment('borrower') },
+    });
+});
+
+describe('loan document', () => {
+    test('a new loan must list its creator as the only member and owner', async () => {
+        const db = dbAs('alice');
+        await assertSucceeds(setDoc(doc(db, `artifacts/${appId}/public/data/loans/new1`), { members: ['alice'], roles: { alice: 'owner' }, friendlyId: 'XYZ-123', settings: {} }));
+        await assertFails(setDoc(doc(db, `artifacts/${appId}/public/data/loans/new2`), { members: ['alice', 'bob'], roles: { alice: 'owner', bob: 'owner' }, friendlyId: 'XYZ-124', settings: {} }));
+    });
+
+    test('members can read the loan and outsiders cannot', async () => {
+        await assertSucceeds(getDoc(doc(dbAs('viewer'), loanPath)));
+        await assertFails(getDoc(doc(dbAs('stranger'), loanPath)));
+    });
+
+    test('owner and lender can change settings, borrower and viewer cannot', async () => {
+        for (const uid of ['owner', 'lender']) {
+            await assertSucceeds(setDoc(doc(dbAs(uid), loanPath), { settings: { interestRate: 2.5 } }, { merge: true }));
+        }
+        for (const uid of ['borrower', 'viewer']) {
+            await assertFails(setDoc(doc(dbAs(uid), loanPath), { settings: { interestRate: 0 } }, { merge: true }));
+        }
+    });
+
+    test('only the owner can change roles or the share code', async () => {
+        await assertSucceeds(setDoc(doc(dbAs('owner'), loanPath), { roles: { viewer: 'lender' } }, { merge: true }));
+        await assertFails(setDoc(doc(dbAs('lender'), loanPath), { roles: { lender: 'owner' } }, { merge: true }));
+        await assertFails(setDoc(doc(dbAs('borrower'), loanPath), { friendlyId: 'NEW-123' }, { merge: true }));
+    });
+
+    test('someone holding the current code can look the loan up by its invite and join as a viewer', async () => {
+        await setInvite({});
+        const db = dbAs('newbie');
+        await assertSucceeds(getDoc(doc(db, invitePath)));
+        const asOwner = writeBatch(db);
+        asOwner.set(doc(db, loanPath), { members: arrayUnion('newbie'), roles: { newbie: 'owner' } }, { merge: true });
+        asOwner.set(doc(db, `${loanPath}/joins/newbie`), { code: 'ABC-DEF', joinedAt: Timestamp.now() });
+        await assertFails(asOwner.commit());
+        await assertSucceeds(joinAsViewer(db, 'newbie'));
+    });
+
+    test('a join without the loan\'s current code fails', async () => {
+        await setInvite({});
+        const db = dbAs('newbie');
+        await assertFails(joinAsViewer(db, 'newbie', null));
+        await assertFails(joinAsViewer(db, 'newbie', 'XYZ-234'));
+        await assertFails(setDoc(doc(db, `${loanPath}/joins/newbie`), { code: 'ABC-DEF', joinedAt: Timestamp.now() }));
+    });
+
+    test('a loan without an invite document cannot be joined', async () => {
+        await assertFails(joinAsViewer(dbAs('newbie'), 'newbie'));
+    });
+
+    test('a removed member cannot rejoin once the code is rotated', async () => {
+        await setInvite({});
+        await assertSucceeds(joinAsViewer(dbAs('newbie'), 'newbie'));
+        const owner = dbAs('owner');
+        await assertSucceeds(setDoc(doc(owner, loanPath), { members: arrayRemove('newbie'), roles: { newbie: deleteField() } }, { merge: true }));
+
+        const rotate = writeBatch(owner);
+        rotate.set(doc(owner, `artifacts/${appId}/public/data/inviteCodes/NEW-234`), { loanId: 'loan1', createdBy: 'owner', createdAt: Timestamp.now(), expiresAt: null, singleUse: false, requiresApproval: false, usedBy: null });
+        rotate.delete(doc(owner, invitePath));
+        rotate.update(doc(owner, loanPath), { friendlyId: 'NEW-234' });
+        await assertSucceeds(rotate.commit());
+
+        await assertFails(joinAsViewer(dbAs('newbie'), 'newbie'));
+        await assertFails(joinAsViewer(dbAs('newbie'), 'newbie', null));
+    });
+
+    test('outsiders cannot list loans, not even one at a time', async () => {
+        const loans = collection(dbAs('newbie'), `artifacts/${appId}/public/data/loans`);
+        await assertFails(getDocs(query(loans, limit(1))));
+        await assertFails(getDocs(query(loans, where('friendlyId', '==', 'ABC-DEF'), limit(1))));
+        await assertFails(getDocs(collection(dbAs('newbie'), `artifacts/${appId}/public/data/inviteCodes`)));
+        await assertSucceeds(getDocs(query(collection(dbAs('viewer'), `artifacts/${appId}/public/data/loans`), where('members', 'array-contains', 'viewer'))));
+    });
+
+    test('a member can leave but cannot remove someone else', async () => {
+        await assertFails(setDoc(doc(dbAs('viewer'), loanPath), { members: arrayRemove('borrower'), roles: { borrower: deleteField() } }, { merge: true }));
+        await assertSucceeds(setDoc(doc(dbAs('viewer'), loanPath), { members: arrayRemove('viewer'), roles: { viewer: deleteField() } }, { merge: true }));
+    });
+
+    test('other members of loans created before roles are borrowers until the owner promotes them', async () => {
+        await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), loanPath), { members: ['creator', 'relative'], friendlyId: 'OLD-111', settings: {} }));
+        const relative = dbAs('relative');
+        await assertFails(setDoc(doc(relative, loanPath), { settings: { interestRate: 3 } }, { merge: true }));
+        await assertSucceeds(setDoc(doc(relative, `${loanPath}/transactions/pending`), { ...payment('relative'), status: 'pending' }));
+        await assertFails(setDoc(doc(relative, loanPath), { roles: { relative: 'owner' } }, { merge: true }));
+
+        await assertSucceeds(setDoc(doc(dbAs('creator'), loanPath), { roles: { relative: 'lender' } }, { merge: true }));
+        await assertSucceeds(setDoc(doc(relative, loanPath), { settings: { interestRate: 3 } }, { merge: true }));
+    });
+});
+
+describe('profiles', () => {
+    const profilePath = (uid) => `artifacts/${appId}/public/data/users/${uid}`;
+
+    test('users write only their own profile and anyone signed in can read it', async () => {
+        await assertSucceeds(setDoc(doc(dbAs('lender'), profilePath('lender')), { displayName: 'Lee', email: 'lee@example.com', createdAt: Timestamp.now() }));
+        await assertFails(setDoc(doc(dbAs('borrower'), profilePath('lender')), { displayName: 'Not Lee' }));
+        await assertSucceeds(getDoc(doc(dbAs('stranger'), profilePath('lender'))));
+        await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), profilePath('lender'))));
+    });
+
+    test('users can store a locale preference on their profile', async () => {
+        const ref = doc(dbAs('lender'), profilePath('lender'));
+        await assertSucceeds(setDoc(ref, { displayName: 'Lee', locale: 'en-GB' }));
+        await assertFails(setDoc(ref, { displayName: 'Lee', locale: 42 }));
+    });
+
+    test('users can store a language preference on their profile', async () => {
+        const ref = doc(dbAs('lender'), profilePath('lender'));
+        await assertSucceeds(setDoc(ref, { displayName: 'Lee', language: 'es' }));
+        await assertFails(setDoc(ref, { displayName: 'Lee', language: 42 }));
+    });
+
+    test('a display name cannot be blank', async () => {
+        await assertFails(setDoc(doc(dbAs('lender'), profilePath('lender')), { displayName: '' }));
+    });
+
+    test('notification read markers are private to their user', async () => {
+        const markers = (uid) => `${profilePath(uid)}/private/notifications`;
+        await assertSucceeds(setDoc(doc(dbAs('lender'), markers('lender')), { allReadAt: Timestamp.now() }));
+        await assertSucceeds(getDoc(doc(dbAs('lender'), markers('lender'))));
+        await assertFails(getDoc(doc(dbAs('borrower'), markers('lender'))));
+        await assertFails(setDoc(doc(dbAs('borrower'), markers('lender')), { allReadAt: Timestamp.now() }));
+    });
+});
+
+describe('invites', () => {
+    test('an expired code cannot be used to join', async () => {
+        await setInvite({ expiresAt: Timestamp.fromMillis(Date.now() - 1000) });
+        await assertFails(joinAsViewer(dbAs('newbie'), 'newbie'));
+    });
+
+    test('an approval-only code needs a join request instead of joining directly', async () => {
+        await setInvite({ requiresApproval: true });
+        const db = dbAs('newbie');
+        await assertFails(joinAsViewer(db, 'newbie'));
+        await assertSucceeds(setDoc(doc(db, `${loanPath}/joinRequests/newbie`), { uid: 'newbie', code: 'ABC-DEF', requestedAt: Timestamp.now() }));
+        await assertFails(setDoc(doc(db, `${loanPath}/joinRequests/someoneElse`), { uid: 'someoneElse', code: 'ABC-DEF', requestedAt: Timestamp.now() }));
+        await assertSucceeds(getDocs(collection(dbAs('owner'), `${loanPath}/joinRequests`)));
+        await assertFails(getDocs(collection(dbAs('lender'), `${loanPath}/joinRequests`)));
+    });
+
+    test('a join request must carry the loan\'s current approval-only code', async () => {
+        const request = (code) => setDoc(doc(dbAs('newbie'), `${loanPath}/joinRequests/newbie`), { uid: 'newbie', ...(code && { code }), requestedAt: Timestamp.now() });
+        await setInvite({});
+        await assertFails(request('ABC-DEF'));
+
+        await setInvite({ requiresApproval: true });
+        await assertFails(request(null));
+        await assertFails(request('XYZ-234'));
+
+        await setInvite({ requiresApproval: true, expiresAt: Timestamp.fromMillis(Date.now() - 1000) });
+        await assertFails(request('ABC-DEF'));
+
+        await setInvite({ requiresApproval: true, singleUse: true, usedBy: 'someoneElse' });
+        await assertFails(request('ABC-DEF'));
+    });
+
+    test('approving a request made with a single-use code uses the code up', async () => {
+        await setInvite({ requiresApproval: true, singleUse: true });
+        await assertSucceeds(setDoc(doc(dbAs('newbie'), `${loanPath}/joinRequests/newbie`), { uid: 'newbie', code: 'ABC-DEF', requestedAt: Timestamp.now() }));
+
+        const owner = dbAs('owner');
+        await assertFails(updateDoc(doc(owner, invitePath), { usedBy: 'stranger', usedAt: Timestamp.now() }));
+        const batch = writeBatch(owner);
+        batch.set(doc(owner, loanPath), { members: arrayUnion('newbie'), roles: { newbie: 'viewer' } }, { merge: true });
+        batch.update(doc(owner, invitePath), { usedBy: 'newbie', usedAt: Timestamp.now() });
+        batch.delete(doc(owner, `${loanPath}/joinRequests/newbie`));
+        await assertSucceeds(batch.commit());
+
+        await assertFails(setDoc(doc(dbAs('latecomer'), `${loanPath}/joinRequests/latecomer`), { uid: 'latecomer', code: 'ABC-DEF', requestedAt: Timestamp.now() }));
+    });
+
+    test('a single-use code must be consumed by the join and then stops working', async () => {
+        await setInvite({ singleUse: true });
+        const first = dbAs('newbie');
+        await assertFails(joinAsViewer(first, 'newbie'));
+
+        const batch = writeBatch(first);
+        batch.update(doc(first, invitePath), { usedBy: 'newbie', usedAt: Timestamp.now() });
+        await assertSucceeds(joinAsViewer(first, 'newbie', 'ABC-DEF', batch));
+
+        const second = dbAs('latecomer');
+        await assertFails(updateDoc(doc(second, invitePath), { usedBy: 'latecomer', usedAt: Timestamp.now() }));
+        await assertFails(joinAsViewer(second, 'latecomer'));
+    });
+
+    test('a code that is already taken cannot be claimed again', async () => {
+        await setInvite({});
+        const db = dbAs('owner');
+        await assertFails(setDoc(doc(db, invitePath), { loanId: 'loan1', createdBy: 'owner', createdAt: Timestamp.now(), expiresAt: null, singleUse: false, requiresApproval: false, usedBy: null }));
+    });
+
+    test('only the owner can rotate the code', async () => {
+        await setInvite({});
+        const rotate = (db, uid) => {
+            const batch = writeBatch(db);
+            batch.set(doc(db, `artifacts/${appId}/public/data/inviteCodes/NEW-234`), { loanId: 'loan1', createdBy: uid, createdAt: Timestamp.now(), expiresAt: null, singleUse: false, requiresApproval: false, usedBy: null });
+            batch.delete(doc(db, invitePath));
+            batch.update(doc(db, loanPath), { friendlyId: 'NEW-234' });
+            return batch.commit();
+        };
+        await assertFails(rotate(dbAs('lender'), 'lender'));
+        await assertSucceeds(rotate(dbAs('owner'), 'owner'));
+    });
+
+    test('only the owner can remove another member', async () => {
+        const removeBorrower = (uid) => setDoc(doc(dbAs(uid), loanPath), { members: arrayRemove('borrower'), roles: { borrower: deleteField() } }, { merge: true });
+        await assertFails(removeBorrower('lender'));
+        await assertSucceeds(removeBorrower('owner'));
+    });
+});
+
+describe('activity', () => {
+    const entry = (actorId, extra) => ({ entity: 'transaction', entityId: 't1', action: 'create', before: null, after: payment(actorId), actorId, createdAt: serverTimestamp(), ...extra });
+
+    // Writes the transaction and its entry in one batch, the way the app logs a change.
+    const logged = (uid, transaction, logEntry, entryId = 'a1') => {
+        const db = dbAs(uid);
+        const batch = writeBatch(db);
+        batch.set(doc(db, `${loanPath}/transactions/${logEntry.entityId}`), transaction);
+        batch.set(doc(db, `${loanPath}/activity/${entryId}`), logEntry);
+        return batch.commit();
+    };
+
+    test('members can append entries for themselves but never change them', async () => {
+        const db = dbAs('lender');
+        const ref = doc(db, `${loanPath}/activity/a1`);
+        const added = payment('lender');
+        await assertSucceeds(logged('lender', added, entry('lender', { after: added })));
+        await assertFails(logged('lender', payment('lender'), entry('owner', { entityId: 't2' }), 'a2'));
+        await assertFails(setDoc(ref, entry('lender', { action: 'delete' })));
+        await assertFails(deleteDoc(ref));
+        await assertSucceeds(getDoc(doc(dbAs('viewer'), `${loanPath}/activity/a1`)));
+    });
+
+    test('a transaction entry must match the write it is logged with', async () => {
+        const db = dbAs('lender');
+        const added = payment('lender');
+        await assertFails(setDoc(doc(db, `${loanPath}/activity/a1`), entry('lender', { after: added })));
+        await assertFails(logged('lender', added, entry('lender', { after: { ...added, amount: 1 } })));
+
+        const before = payment('borrower');
+        await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), `${loanPath}/transactions/tx1`), before));
+        const edit = (logEntry) => {
+            const batch = writeBatch(db);
+            batch.set(doc(db, `${loanPath}/transactions/tx1`), { amount: 150 }, { merge: true });
+            batch.set(doc(db, `${loanPath}/activity/a2`), logEntry);
+            return batch.commit();
+        };
+        await assertFails(edit(entry('lender', { entityId: 'tx1', action: 'update', before: { ...before, amount: 5 }, after: { ...before, amount: 150 } })));
+        await assertSucceeds(edit(entry('lender', { entityId: 'tx1', action: 'update', before, after: { ...before, amount: 150 } })));
+    });
+
+    const membership = (actorId, entityId, action) => ({ entity: 'member', entityId, action, before: null, after: null, actorId, createdAt: serverTimestamp() });
+
+    test('a join is logged in the same batch as the join itself', async () => {
+        await setInvite({});
+        const db = dbAs('newbie');
+        await assertFails(setDoc(doc(db, `${loanPath}/activity/a1`), membership('newbie', 'newbie', 'join')));
+
+        const batch = writeBatch(db);
+        batch.set(doc(db, `${loanPath}/activity/a1`), membership('newbie', 'newbie', 'join'));
+        await assertSucceeds(joinAsViewer(db, 'newbie', 'ABC-DEF', batch));
+    });
+
+    test('a leave is logged by the member leaving or by the owner removing them', async () => {
+        const leave = (uid, memberId) => {
+            const db = dbAs(uid);
+            const batch = writeBatch(db);
+            batch.set(doc(db, loanPath), { members: arrayRemove(memberId), roles: { [memberId]: deleteField() } }, { merge: true });
+            batch.set(doc(db, `${loanPath}/activity/${uid}-${memberId}`), membership(uid, memberId, 'leave'));
+            return batch.commit();
+        };
+        await assertFails(setDoc(doc(dbAs('lender'), `${loanPath}/activity/a1`), membership('lender', 'viewer', 'leave')));
+        await assertSucceeds(leave('viewer', 'viewer'));
+        await assertSucceeds(leave('owner', 'borrower'));
+    });
+
+    test('viewers and borrowers cannot log settings changes', async () => {
+        await assertFails(setDoc(doc(dbAs('viewer'), `${loanPath}/activity/a1`), entry('viewer')));
+        await assertFails(setDoc(doc(dbAs('borrower'), `${loanPath}/activity/a1`), entry('borrower', { entity: 'settings' })));
+    });
+
+    test('borrowers only log the pending payments they submit', async () => {
+        const pending = { ...payment('borrower'), status: 'pending' };
+        await assertSucceeds(logged('borrower', pending, entry('borrower', { after: pending })));
+        await assertFails(setDoc(doc(dbAs('borrower'), `${loanPath}/activity/a2`), entry('borrower', { entityId: 'tx1', action: 'update', before: payment('borrower'), after: payment('borrower') })));
+        await assertFails(setDoc(doc(dbAs('borrower'), `${loanPath}/activity/a3`), entry('borrower', { entityId: 'tx1', action: 'delete', before: payment('borrower') })));
+    });
+});
+
+describe('transactions', () => {
+    const txDoc = (uid, id) => doc(dbAs(uid), `${loanPath}/transactions/${id}`);
+
+    test('every member can read transactions', async () => {
+        await assertSucceeds(getDoc(txDoc('viewer', 'tx1')));
+        await assertFails(getDoc(txDoc('stranger', 'tx1')));
+    });
+
+    test('borrowers can submit their own pending payments but not loan increases', async () => {
+        const pending = (authorId) => ({ ...payment(authorId), status: 'pending' });
+        await assertSucceeds(setDoc(txDoc('borrower', 'tx2'), pending('borrower')));
+        await assertFails(setDoc(txDoc('borrower', 'tx3'), { ...pending('borrower'), type: 'loanIncrease' }));
+        await assertFails(setDoc(txDoc('borrower', 'tx4'), pending('lender')));
+    });
+
+    test('borrower payments must wait for a lender to confirm them', async () => {
+        await assertFails(setDoc(txDoc('borrower', 'tx2'), payment('borrower')));
+        await assertFails(setDoc(txDoc('borrower', 'tx2'), { ...payment('borrower'), status: 'confirmed' }));
+        await assertSucceeds(setDoc(txDoc('borrower', 'tx2'), { ...payment('borrower'), status: 'pending' }));
+        await assertFails(setDoc(txDoc('borrower', 'tx2'), { status: 'confirmed' }, { merge: true }));
+        await assertSucceeds(setDoc(txDoc('lender', 'tx2'), { status: 'confirmed', reviewedBy: 'lender', reviewedAt: Timestamp.now() }, { merge: true }));
+    });
+
+    test('viewers cannot add transactions', async () => {
+        await assertFails(setDoc(txDoc('viewer', 'tx5'), payment('viewer')));
+    });
+
+    const trash = (uid) => ({ deletedAt: Timestamp.now(), deletedBy: uid });
+    const untrash = { deletedAt: deleteField(), deletedBy: deleteField() };
+
+    test('only owner and lender can edit or delete transactions', async () => {
+        await assertFails(setDoc(txDoc('borrower', 'tx1'), { amount: 1 }, { merge: true }));
+        await assertFails(setDoc(txDoc('borrower', 'tx1'), trash('borrower'), { merge: true }));
+        await assertSucceeds(setDoc(txDoc('lender', 'tx1'), { amount: 150 }, { merge: true }));
+        await assertSucceeds(setDoc(txDoc('owner', 'tx1'), trash('owner'), { merge: true }));
+    });
+
+    test('transactions are never hard-deleted before they are in the trash', async () => {
+        await assertFails(deleteDoc(txDoc('owner', 'tx1')));
+        await assertFails(deleteDoc(txDoc('lender', 'tx1')));
+    });
+
+    test('the owner or the member who deleted a transaction can restore it', async () => {
+        await assertSucceeds(setDoc(txDoc('lender', 'tx1'), trash('lender'), { merge: true }));
+        await assertSucceeds(setDoc(txDoc('lender', 'tx1'), untrash, { merge: true }));
+
+        await assertSucceeds(setDoc(txDoc('owner', 'tx1'), trash('owner'), { merge: true }));
+        await assertFails(setDoc(txDoc('lender', 'tx1'), untrash, { merge: true }));
+        await assertSucceeds(setDoc(txDoc('owner', 'tx1'), untrash, { merge: true }));
+    });
+
+    test('only the owner can empty a transaction from the trash', async () => {
+        await assertSucceeds(setDoc(txDoc('lender', 'tx1'), trash('lender'), { merge: true }));
+        await assertFails(deleteDoc(txDoc('lender', 'tx1')));
+        await assertSucceeds(deleteDoc(txDoc('owner', 'tx1')));
+    });
+
+    const interest = { type: 'interest', amount: 3.5, date: Timestamp.now(), balances: { principal: 1000, interest: 0, fees: 0 }, authorId: 'system', createdAt: Timestamp.now() };
+    const lateFee = { type: 'lateFee', amount: 25, date: Timestamp.now(), dueDate: Timestamp.now(), authorId: 'system', createdAt: Timestamp.now() };
+
+    const takeLock = (uid, ms = 60 * 1000) => setDoc(doc(dbAs(uid), `${loanPath}/locks/postings`), { holder: uid, token: `${uid}-token`, expiresAt: Timestamp.fromMillis(Date.now() + ms) });
+
+    test('owners and lenders post charges; borrowers and viewers cannot', async () => {
+        await takeLock('lender');
+        await assertSucceeds(setDoc(txDoc('lender', 'interest-2024-01'), interest));
+        await assertSucceeds(setDoc(txDoc('lender', 'lateFee-2024-01-15'), lateFee));
+        await assertFails(setDoc(txDoc('borrower', 'interest-2024-02'), interest));
+        await assertFails(setDoc(txDoc('viewer', 'interest-2024-02'), interest));
+    });
+
+    test('a borrower cannot change or delete the charges on their loan', async () => {
+        await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), `${loanPath}/transactions/interest-2024-01`), interest));
+        await assertFails(takeLock('borrower'));
+        await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), `${loanPath}/locks/postings`), { holder: 'borrower', token: 't', expiresAt: Timestamp.fromMillis(Date.now() + 60 * 1000) }));
+        await assertFails(setDoc(txDoc('borrower', 'interest-2024-01'), { ...interest, amount: 0 }));
+        await assertFails(deleteDoc(txDoc('borrower', 'interest-2024-01')));
+    });
+
+    test('system charges must sit under their own id and carry only what a posting writes', async () => {
+        await takeLock('lender');
+        await assertFails(setDoc(txDoc('lender', 'int1'), interest));
+        await assertFails(setDoc(txDoc('lender', 'interest-2024-01-15'), interest));
+        await assertFails(setDoc(txDoc('lender', 'lateFee-2024-01'), lateFee));
+        await assertFails(setDoc(txDoc('lender', 'interest-2024-01'), lateFee));
+        await assertFails(setDoc(txDoc('lender', 'interest-2024-01'), { ...interest, amount: -500 }));
+        await assertFails(setDoc(txDoc('lender', 'interest-2024-01'), { ...interest, amount: '3.5' }));
+        await assertFails(setDoc(txDoc('lender', 'interest-2024-01'), { ...interest, description: 'Waived' }));
+        await assertFails(setDoc(txDoc('lender', 'interest-2024-01'), { ...interest, balances: { principal: 0, interest: 0, fees: 0, paidOff: true } }));
+        await assertFails(setDoc(txDoc('lender', 'interest-2024-01'), { ...interest, type: 'payment' }));
+    });
+
+    test('the member holding the posting lock can repost a charge but not turn it into something else', async () => {
+        await takeLock('lender');
+        await assertSucceeds(setDoc(txDoc('lender', 'interest-2024-01'), interest));
+        await assertSucceeds(setDoc(txDoc('lender', 'interest-2024-01'), { ...interest, amount: 3.25, balances: { principal: 1000, interest: 3.25, fees: 0 } }));
+        await assertFails(setDoc(txDoc('lender', 'interest-2024-01'), { ...interest, type: 'payment' }));
+        await assertFails(setDoc(txDoc('lender', 'interest-2024-01'), { ...interest, amount: -1000 }));
+        await assertSucceeds(deleteDoc(txDoc('lender', 'interest-2024-01')));
+    });
+
+    test('nothing but a posting can produce a document of a charge type', async () => {
+        for (const uid of ['owner', 'lender']) {
+            await assertFails(setDoc(txDoc(uid, `manual-${uid}`), { ...interest, authorId: uid }));
+            await assertFails(setDoc(txDoc(uid, `fee-${uid}`), { ...lateFee, authorId: uid }));
+            await assertFails(setDoc(txDoc(uid, 'tx1'), { type: 'interest' }, { merge: true }));
+            await assertFails(setDoc(txDoc(uid, 'tx1'), { type: 'lateFee', authorId: 'system' }, { merge: true }));
+        }
+    });
+
+    test('a charge-type document that slipped in under another author can still be cleared by a posting', async () => {
+        await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), `${loanPath}/transactions/manual1`), { ...interest, authorId: 'lender' }));
+        await assertFails(deleteDoc(txDoc('lender', 'manual1')));
+        await takeLock('lender');
+        await assertSucceeds(deleteDoc(txDoc('lender', 'manual1')));
+    });
+
+    test('without the posting lock nobody can write, change or delete a charge', async () => {
+        await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), `${loanPath}/transactions/interest-2024-01`), interest));
+        for (const uid of ['owner', 'lender', 'borrower']) {
+            await assertFails(setDoc(txDoc(uid, 'interest-2024-02'), interest));
+            await assertFails(setDoc(txDoc(uid, 'interest-2024-01'), { ...interest, amount: 0 }));
+            await assertFails(setDoc(txDoc(uid, 'interest-2024-01'), { balances: { principal: 0, interest: 0, fees: 0 } }, { merge: true }));
+            await assertFails(deleteDoc(txDoc(uid, 'interest-2024-01')));
+        }
+    });
+
+    test('a lock held by someone else, or one that has run out, does not allow posting', async () => {
+        await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), `${loanPath}/locks/postings`), { holder: 'lender', token: 't', expiresAt: Timestamp.fromMillis(Date.now() + 60 * 1000) }));
+        await assertFails(setDoc(txDoc('owner', 'interest-2024-01'), interest));
+        await assertSucceeds(setDoc(txDoc('lender', 'interest-2024-01'), interest));
+
+        await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), `${loanPath}/locks/postings`), { holder: 'owner', token: 't', expiresAt: Timestamp.fromMillis(Date.now() - 1000) }));
+        await assertFails(setDoc(txDoc('owner', 'interest-2024-01'), { ...interest, amount: 0 }));
+        await assertFails(deleteDoc(txDoc('owner', 'interest-2024-01')));
+    });
+});
+
+describe('posting lock', () => {
+    const lockDoc = (uid) => doc(dbAs(uid), `${loanPath}/locks/postings`);
+    const lease = (holder, ms = 60 * 1000) => ({ holder, token: `${holder}-token`, expiresAt: Timestamp.fromMillis(Date.now() + ms) });
+
+    test('members who post charges take turns holding the lock', async () => {
+        await assertSucceeds(setDoc(lockDoc('lender'), lease('lender')));
+        await assertFails(setDoc(lockDoc('owner'), lease('owner')));
+        await assertFails(deleteDoc(lockDoc('owner')));
+        await assertSucceeds(deleteDoc(lockDoc('lender')));
+        await assertSucceeds(setDoc(lockDoc('owner'), lease('owner')));
+    });
+
+    test('borrowers and viewers cannot take the lock and nobody can take it for someone else', async () => {
+        await assertFails(setDoc(lockDoc('borrower'), lease('borrower')));
+        await assertFails(setDoc(lockDoc('viewer'), lease('viewer')));
+        await assertFails(setDoc(lockDoc('lender'), lease('owner')));
+    });
+
+    test('a lease cannot be made to last for long', async () => {
+        await assertFails(setDoc(lockDoc('lender'), lease('lender', 60 * 60 * 1000)));
+    });
+
+    test('a lease that has run out can be taken over', async () => {
+        await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), `${loanPath}/locks/postings`), lease('lender', -1000)));
+        await assertSucceeds(setDoc(lockDoc('owner'), lease('owner')));
+    });
+});
+
+describe('comments', () => {
+    const commentDoc = (uid, id) => doc(dbAs(uid), `${loanPath}/comments/${id}`);
+    const comment = (authorId, extra) => ({ transactionId: 'tx1', text: 'Did this cover the insurance too?', attachments: [], authorId, createdAt: serverTimestamp(), ...extra });
+
+    test('members who can add transactions can comment on them', async () => {
+        await assertSucceeds(setDoc(commentDoc('borrower', 'c1'), comment('borrower')));
+        await assertSucceeds(setDoc(commentDoc('lender', 'c2'), comment('lender')));
+        await assertFails(setDoc(commentDoc('viewer', 'c3'), comment('viewer')));
+        await assertFails(setDoc(commentDoc('stranger', 'c4'), comment('stranger')));
+        await assertSucceeds(getDoc(commentDoc('viewer', 'c1')));
+        await assertFails(getDoc(commentDoc('stranger', 'c1')));
+    });
+
+    test('a comment is posted as its author, now, on a transaction that exists', async () => {
+        await assertFails(setDoc(commentDoc('borrower', 'c1'), comment('lender')));
+        await assertFails(setDoc(commentDoc('borrower', 'c2'), comment('borrower', { createdAt: Timestamp.fromDate(new Date(2020, 0, 1)) })));
+        await assertFails(setDoc(commentDoc('borrower', 'c3'), comment('borrower', { transactionId: 'missing' })));
+        await assertFails(setDoc(commentDoc('borrower', 'c4'), comment('borrower', { text: '' })));
+        await assertFails(setDoc(commentDoc('borrower', 'c5'), comment('borrower', { text: 'x'.repeat(2001) })));
+        await assertSucceeds(setDoc(commentDoc('borrower', 'c6'), comment('borrower', { text: '', attachments: [{ id: 'f1', name: 'receipt.pdf', contentType: 'application/pdf', size: 1000 }] })));
+    });
+
+    test('comments are never edited and only their author or the owner deletes them', async () => {
+        await assertSucceeds(setDoc(commentDoc('borrower', 'c1'), comment('borrower')));
+        await assertFails(setDoc(commentDoc('borrower', 'c1'), { text: 'Never mind' }, { merge: true }));
+        await assertFails(deleteDoc(commentDoc('lender', 'c1')));
+        await assertSucceeds(deleteDoc(commentDoc('borrower', 'c1')));
+
+        await assertSucceeds(setDoc(commentDoc('borrower', 'c2'), comment('borrower')));
+        await assertSucceeds(deleteDoc(commentDoc('owner', 'c2')));
+    });
+});
@@ -0,0 +1,59 @@
+// Caches the app shell so the tracker opens without a connection. Firestore keeps its own
+// offline cache in IndexedDB, so only same-origin files are handled here.
+const CACHE_NAME = 'loan-tracker-shell-v1';
+const SHELL_FILES = ['/', '/index.html', '/manifest.json', '/favicon.ico', '/logo192.png', '/logo512.png'];
+// The hashed scripts and styles of this build, filled in by the Vite build (vite.config.js).
+const BUILD_FILES = self.__BUILD_FILES || [];
+const PRECACHED = new Set([...SHELL_FILES, ...BUILD_FILES]);
+
+// Everything the first page needs is cached up front: the page that registers the worker is not
+// controlled by it, so its own requests never reach the fetch handler below.
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll([...PRECACHED])).then(() => self.skipWaiting()));
+});
+
+// Drops other caches and the files of earlier builds.
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => caches.open(CACHE_NAME))
+            .then(cache => cache.keys().then(requests => Promise.all(requests
+                .filter(request => !PRECACHED.has(new URL(request.url).pathname))
+                .map(request => cache.delete(request)))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    // Pages: try the network so a new deploy is picked up, and fall back to the cached shell.
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(CACHE_NAME).then(cache => cache.put('/index.html', copy));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match('/index.html'))
+        );
+        return;
+    }
+
+    // Built assets have hashed names, so a cached copy never goes stale. Files of other builds are
+    // fetched but not kept.
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request).then(response => {
+            if (response.ok && PRECACHED.has(new URL(request.url).pathname)) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+            }
+            return response;
+        }))
+    );
+});
@@ -1,17 +1,285 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, onAuthStateChanged, createUserWithEmailAndPassword, signInWithEmailAndPassword, signOut, sendPasswordResetEmail } from 'firebase/auth';
-import { getFirestore, collection, doc, setDoc, onSnapshot, query, addDoc, deleteDoc, where, getDocs, writeBatch, arrayUnion, arrayRemove, Timestamp, orderBy } from 'firebase/firestore';
-
-// --- Firebase Initialization ---
-// IMPORTANT: Make sure your VITE_FIREBASE_CONFIG is set in your .env.local file
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { Timestamp, STORAGE_MODE_KEY, loanDocPath, transactionsPath, activityPath, joinRequestsPath, joinsPath, userProfilePath, notificationStatePath, inviteCodePath, commentsPath, attachmentPath, releaseFileUrl, arrayUnion, arrayRemove, deleteField, serverTimestamp, newDocId } from './storage.js';
+import { createFirestoreStorage } from './firestoreStorage.js';
+import { LOCAL_USER, createIndexedDbStorage } from './indexedDbStorage.js';
+import { ACCRUAL_METHODS, PAYMENT_ALLOCATIONS, getAccrualMethod, getPaymentAllocation, isChargeType, countsTowardBalance, summarizeLoan, PAYMENT_FREQUENCIES, getRatePeriods, rateOn, hasPositiveRate, projectedMonthInterest, buildAmortizationSchedule, summarizeSchedule, monthsUntil, solveMonthlyPayment, monthKey, buildYearStatement } from './loanMath.js';
+import { ROLES, DEFAULT_JOIN_ROLE, getMemberRole, can, countOwners } from './roles.js';
+import { INVITE_EXPIRY_OPTIONS, DEFAULT_INVITE_OPTIONS, generateInviteCode, normalizeInviteCode, inviteExpiryDate, getInviteProblem } from './invites.js';
+import { MAX_DISPLAY_NAME_LENGTH, normalizeDisplayName, getAuthorName } from './profiles.js';
+import { diffFields, describeActivity, describeChanges, filterActivity } from './activity.js';
+import { CURRENCIES, LOCALES, getLoanCurrency, createFormatter } from './format.js';
+import { LANGUAGES, LANGUAGE_STORAGE_KEY, matchLanguage, createTranslator } from './i18n.js';
+import { parseRoute, dashboardPath, loanPath, joinPath } from './routes.js';
+import { earlierDate, chargesAffectedFrom, postCharges } from './postings.js';
+import { BROWSER_ALERTS_KEY, FEED_LIMIT, isNotifiable, lastReadAt, countUnread, browserAlertsSupported, requestBrowserAlerts, showBrowserAlert } from './notifications.js';
+import { MAX_COMMENT_LENGTH, MAX_ATTACHMENTS, ATTACHMENT_ACCEPT, isImageAttachment, getAttachmentProblem, countComments, attachmentPaths, deleteFiles, uploadAttachments, addComment } from './comments.js';
+import { toCsv, downloadCsv, formatIsoDate, parseCsv, parseCsvDate, parseCsvAmount, parseCsvType, TRANSACTION_CSV_COLUMNS, AMORTIZATION_CSV_COLUMNS } from './csv.js';
+
+// --- Storage ---
+// Cloud storage needs VITE_FIREBASE_CONFIG set in your .env.local file. Without it the app runs in local
+// mode only, keeping loans in this browser.
 const firebaseConfig = JSON.parse(import.meta.env.VITE_FIREBASE_CONFIG || '{}');
-const appId = 'loan-tracker-app-v1';
+const isCloudConfigured = Boolean(firebaseConfig.apiKey);
+
+const createStorage = (mode) => (mode === 'cloud' ? createFirestoreStorage(firebaseConfig) : createIndexedDbStorage());
+
+const getSavedStorageMode = () => {
+    const saved = localStorage.getItem(STORAGE_MODE_KEY);
+    if (!isCloudConfigured) return 'local';
+    return saved === 'cloud' || saved === 'local' ? saved : null;
+};
+
+// A commit only resolves once the server has the write. Offline, the write is already safe in the
+// local cache and will sync on reconnect, so callers carry on instead of waiting for a connection.
+const commitOrQueue = (batch) => {
+    const committed = batch.commit();
+    if (navigator.onLine) return committed;
+    committed.catch(err => console.error("Queued write failed to sync:", err));
+    return Promise.resolve();
+};
+
+// Queues an audit entry on the batch that carries the change itself.
+const logActivity = (batch, loanId, actorId, { entity, entityId, action, before = null, after = null }) => {
+    batch.set(`${activityPath(loanId)}/${newDocId()}`, { entity, entityId, action, before, after, actorId, createdAt: serverTimestamp() });
+};
+
+// Claims an unused code inside a storage transaction. Reads happen before the single write,
+// so this can be followed by other writes in the same transaction.
+const reserveInviteCode = async (transaction, loanId, createdBy, options = DEFAULT_INVITE_OPTIONS) => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const code = generateInviteCode();
+        const existing = await transaction.get(inviteCodePath(code));
+        if (!existing) {
+            const expiresAt = inviteExpiryDate(options.expiry);
+            transaction.set(inviteCodePath(code), {
+                loanId,
+                createdBy,
+                createdAt: Timestamp.now(),
+                expiresAt: expiresAt ? Timestamp.fromDate(expiresAt) : null,
+                singleUse: Boolean(options.singleUse),
+                requiresApproval: Boolean(options.requiresApproval),
+                usedBy: null,
+            });
+            return code;
+        }
+    }
+    throw new Error('Could not find an unused invite code.');
+};
+
+// Resolves to the loan, or null when the user is not a member: Firestore refuses outsiders a read.
+const readLoanIfMember = async (storage, loanId) => {
+    try {
+        return await storage.getDoc(loanDocPath(loanId));
+    } catch (err) {
+        if (err.code === 'permission-denied') return null;
+        throw err;
+    }
+};
+
+// Gives a loan from before managed invites an invite document for its code, so people can still join
+// with it. Only the owner may create one.
+const ensureInviteDocument = async (storage, loanId, loan, userId) => {
+    if (!loan.friendlyId || await storage.getDoc(inviteCodePath(loan.friendlyId))) return;
+    await storage.setDoc(inviteCodePath(loan.friendlyId), {
+        loanId,
+        createdBy: userId,
+        createdAt: Timestamp.now(),
+        expiresAt: null,
+        singleUse: false,
+        requiresApproval: false,
+        usedBy: null,
+    });
+};
+
+// Copies a loan kept on this device into the signed-in account, then deletes the local copy. The loan
+// is created first so the security rules can see the user owns it when its transactions follow. The
+// activity log stays behind: cloud entries can only carry the time they are written. For the same
+// reason comments are posted again one by one, in order, with their attachments uploaded first.
+// Interest and late fees are not copied but posted again under the posting lock, as the rules require;
+// comments on a charge the new posting does not produce are dropped.
+const moveLoanToCloud = async (deviceStorage, cloudStorage, loanId, userId) => {
+    const loan = await deviceStorage.getDoc(loanDocPath(loanId));
+    const ledger = await deviceStorage.getCollection(transactionsPath(loanId));
+    const entries = ledger.filter(({ data }) => !isChargeType(data.type));
+    const activity = await deviceStorage.getCollection(activityPath(loanId));
+    const comments = await deviceStorage.getCollection(commentsPath(loanId), { orderBy: ['createdAt', 'asc'] });
+    const asUser = (id) => (id === LOCAL_USER.uid ? userId : id);
+    const newLoanId = newDocId();
+
+    await cloudStorage.runTransaction(async (transaction) => {
+        const friendlyId = await reserveInviteCode(transaction, newLoanId, userId);
+        transaction.set(loanDocPath(newLoanId), { ...loan, members: [userId], roles: { [userId]: 'owner' }, friendlyId });
+    });
+    // Firestore caps a batch at 500 writes.
+    for (let start = 0; start < entries.length; start += 450) {
+        const batch = cloudStorage.batch();
+        entries.slice(start, start + 450).forEach(({ id, data }) => {
+            const entry = { ...data, authorId: asUser(data.authorId) };
+            if (data.deletedBy) entry.deletedBy = asUser(data.deletedBy);
+            if (data.reviewedBy) entry.reviewedBy = asUser(data.reviewedBy);
+            batch.set(`${transactionsPath(newLoanId)}/${id}`, entry);
+        });
+        await batch.commit();
+    }
+    await postCharges(cloudStorage, newLoanId, { userId });
+    const transactionIds = new Set((await cloudStorage.getCollection(transactionsPath(newLoanId))).map(({ id }) => id));
+    for (const { id, data } of comments.filter(comment => transactionIds.has(comment.data.transactionId))) {
+        for (const attachment of data.attachments) {
+            const file = await deviceStorage.getFile(attachmentPath(loanId, id, attachment.id));
+            await cloudStorage.uploadFile(attachmentPath(newLoanId, id, attachment.id), file, { uploadedBy: userId });
+        }
+        const batch = cloudStorage.batch();
+        addComment(batch, newLoanId, id, { ...data, authorId: asUser(data.authorId) });
+        await batch.commit();
+    }
+
+    const cleanup = deviceStorage.batch();
+    ledger.forEach(({ id }) => cleanup.delete(`${transactionsPath(loanId)}/${id}`));
+    activity.forEach(({ id }) => cleanup.delete(`${activityPath(loanId)}/${id}`));
+    comments.forEach(({ id }) => cleanup.delete(`${commentsPath(loanId)}/${id}`));
+    cleanup.delete(loanDocPath(loanId));
+    await cleanup.commit();
+    await deleteFiles(deviceStorage, comments.flatMap(({ id, data }) => attachmentPaths(loanId, id, data)));
+    return newLoanId;
+};
+
+// Subscribes to the profile of each uid; `system` and empty ids are skipped.
+const useUserProfiles = (storage, uids) => {
+    const [profiles, setProfiles] = useState({});
+    const uidKey = [...new Set(uids.filter(uid => uid && uid !== 'system'))].sort().join(',');
+
+    useEffect(() => {
+        if (!uidKey) return;
+        const unsubscribes = uidKey.split(',').map(uid => storage.watchDoc(userProfilePath(uid), (profile) => {
+            setProfiles(prev => ({ ...prev, [uid]: profile }));
+        }, (err) => console.error("Error fetching profile:", err)));
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [storage, uidKey]);
+
+    return profiles;
+};
+
+const useOnlineStatus = () => {
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+
+    useEffect(() => {
+        const update = () => setIsOnline(navigator.onLine);
+        window.addEventListener('online', update);
+        window.addEventListener('offline', update);
+        return () => {
+            window.removeEventListener('online', update);
+            window.removeEventListener('offline', update);
+        };
+    }, []);
+
+    return isOnline;
+};
+
+// The current route from the address bar. `navigate` adds a history entry, or swaps the current one with
+// `{ replace: true }`; unknown paths are rewritten to the dashboard so the address bar never lies.
+const useRoute = () => {
+    const [pathname, setPathname] = useState(window.location.pathname);
+    const route = useMemo(() => parseRoute(pathname), [pathname]);
+
+    const navigate = useCallback((path, { replace = false } = {}) => {
+        if (path === window.location.pathname) return;
+        window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+        setPathname(path);
+    }, []);
+
+    useEffect(() => {
+        const update = () => setPathname(window.location.pathname);
+        window.addEventListener('popstate', update);
+        return () => window.removeEventListener('popstate', update);
+    }, []);
+
+    useEffect(() => {
+        if (route.name === 'dashboard') navigate(dashboardPath(), { replace: true });
+    }, [route, navigate]);
+
+    return [route, navigate];
+};
+
+// Follows the recent activity of every loan the user belongs to, for the notification center and the
+// browser alerts. Only cloud loans have other members, so in local mode the feed stays empty.
+const useNotificationFeed = (storage, user, t, onOpenLoan) => {
+    const [loans, setLoans] = useState([]);
+    const [activity, setActivity] = useState({});
+    const [readState, setReadState] = useState(null);
+    const [alertsEnabled, setAlertsEnabled] = useState(() => localStorage.getItem(BROWSER_ALERTS_KEY) === 'on');
+    const uid = storage?.mode === 'cloud' ? user?.uid : null;
 
-const app = initializeApp(firebaseConfig);
-const db = getFirestore(app);
-const auth = getAuth(app);
+    useEffect(() => {
+        setLoans([]);
+        setActivity({});
+        setReadState(null);
+        if (!uid) return;
+        const markersPath = notificationStatePath(uid);
+        // History from before the user's first visit starts out read.
+        storage.getDoc(markersPath)
+            .then(markers => !markers && storage.setDoc(markersPath, { allReadAt: Timestamp.now() }))
+            .catch(err => console.error("Error setting up notifications:", err));
+        const unsubscribeMarkers = storage.watchDoc(markersPath, setReadState, (err) => console.error("Error fetching notification markers:", err));
+        const unsubscribeLoans = storage.watchCollection('loans', { where: ['members', 'array-contains', uid] }, (docs) => {
+            setLoans(docs.map(({ id, data }) => ({ id, title: data.settings?.appTitle || '' })));
+        }, (err) => console.error("Error fetching loans for notifications:", err));
+        return () => {
+            unsubscribeMarkers();
+            unsubscribeLoans();
+        };
+    }, [storage, uid]);
+
+    const loanIdKey = loans.map(loan => loan.id).join(',');
+    useEffect(() => {
+        if (!loanIdKey) return;
+        const unsubscribes = loanIdKey.split(',').map(loanId => storage.watchCollection(activityPath(loanId), { orderBy: ['createdAt', 'desc'], limit: FEED_LIMIT }, (docs) => {
+            setActivity(prev => ({ ...prev, [loanId]: docs.map(({ id, data }) => ({ id, ...data, loanId, createdAt: data.createdAt.toDate() })) }));
+        }, (err) => console.error("Error fetching notifications:", err)));
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [storage, loanIdKey]);
+
+    const entries = useMemo(() => loans
+        .flatMap(loan => (activity[loan.id] || []).map(entry => ({ ...entry, loanTitle: loan.title })))
+        .filter(entry => isNotifiable(entry, uid))
+        .sort((a, b) => b.createdAt.getTime() - a.createdAt.getTime()), [loans, activity, uid]);
+    const unreadByLoan = useMemo(() => countUnread(entries, readState), [entries, readState]);
+    const unreadCount = Object.values(unreadByLoan).reduce((sum, count) => sum + count, 0);
+    const isUnread = (entry) => Boolean(readState) && entry.createdAt.getTime() > lastReadAt(readState, entry.loanId);
+    const profiles = useUserProfiles(storage, entries.flatMap(entry => [entry.actorId, entry.entity === 'member' ? entry.entityId : null]));
+
+    // Alerts cover what arrives while the app is open, never the history it loads at the start.
+    const openedAt = useRef(Date.now());
+    const alerted = useRef(new Set());
+    useEffect(() => {
+        if (!alertsEnabled) return;
+        entries.filter(entry => entry.createdAt.getTime() > openedAt.current && !alerted.current.has(entry.id)).forEach(entry => {
+            alerted.current.add(entry.id);
+            showBrowserAlert({
+                title: entry.loanTitle || t('dashboard.untitledLoan'),
+                body: `${getAuthorName(profiles, entry.actorId, t)} ${describeActivity(entry, t, profiles)}`,
+                tag: entry.id,
+                onClick: () => onOpenLoan(entry.loanId),
+            });
+        });
+    }, [entries, alertsEnabled]);
 
+    const saveMarkers = (markers) => storage.setDoc(notificationStatePath(uid), markers, { merge: true })
+        .catch(err => console.error("Error saving notification markers:", err));
+
+    const markAllRead = () => saveMarkers({ allReadAt: Timestamp.now() });
+
+    const markLoanRead = (loanId) => saveMarkers({ readAt: { [loanId]: Timestamp.now() } });
+
+    // Resolves to false when the browser does not allow alerts.
+    const changeAlerts = async (enabled) => {
+        if (enabled && !(await requestBrowserAlerts())) return false;
+        localStorage.setItem(BROWSER_ALERTS_KEY, enabled ? 'on' : 'off');
+        setAlertsEnabled(enabled);
+        return true;
+    };
+
+    return { entries, profiles, unreadByLoan, unreadCount, isUnread, markAllRead, markLoanRead, alertsEnabled, changeAlerts };
+};
 
 // --- Helper Components ---
 
@@ -25,26 +293,43 @@ const Spinner = ({ color = 'white' }) => (
     <div className={`animate-spin rounded-full h-6 w-6 border-b-2 border-${color}`}></div>
 );
 
-const Modal = ({ children, onClose }) => (
+const Modal = ({ children, onClose, wide = false }) => (
     <div className="fixed inset-0 bg-black bg-opacity-60 flex items-center justify-center z-50 p-4" onClick={onClose}>
-        <div className="bg-white rounded-2xl shadow-2xl p-6 sm:p-8 max-w-sm w-full" onClick={e => e.stopPropagation()}>
+        <div className={`bg-white rounded-2xl shadow-2xl p-6 sm:p-8 w-full ${wide ? 'max-w-lg max-h-[90vh] overflow-y-auto' : 'max-w-sm'}`} onClick={e => e.stopPropagation()}>
             {children}
         </div>
     </div>
 );
 
-const AccordionSection = ({ title, iconPath, children, defaultOpen = false, forceOpen = false }) => {
-    const [isOpen, setIsOpen] = useState(defaultOpen || forceOpen);
+// `linkedOpen` opens the section from the URL (e.g. /loans/{id}/settings) and `onToggle` reports the
+// user opening or closing it, so the URL can follow along.
+const AccordionSection = ({ title, iconPath, children, defaultOpen = false, forceOpen = false, linkedOpen = false, onToggle }) => {
+    const [isOpen, setIsOpen] = useState(defaultOpen || forceOpen || linkedOpen);
+    const sectionRef = useRef(null);
+    const openedFromLink = useRef(linkedOpen);
 
     useEffect(() => {
-        if (forceOpen) {
+        if (forceOpen || linkedOpen) {
             setIsOpen(true);
         }
-    }, [forceOpen]);
+    }, [forceOpen, linkedOpen]);
+
+    // Only a section the page was loaded with is scrolled to; one the user just clicked is already in view.
+    useEffect(() => {
+        if (openedFromLink.current) {
+            sectionRef.current?.scrollIntoView({ block: 'start' });
+        }
+    }, []);
+
+    const handleToggle = () => {
+        if (forceOpen) return;
+        setIsOpen(!isOpen);
+        onToggle?.(!isOpen);
+    };
 
     return (
-        <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
-            <button onClick={() => !forceOpen && setIsOpen(!isOpen)} className={`w-full flex justify-between items-center text-left text-xl font-semibold text-gray-700 ${forceOpen ? 'cursor-default' : ''}`}>
+        <div ref={sectionRef} className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200 scroll-mt-4">
+            <button onClick={handleToggle} className={`w-full flex justify-between items-center text-left text-xl font-semibold text-gray-700 ${forceOpen ? 'cursor-default' : ''}`}>
                 <span className="flex items-center">
                     <Icon path={iconPath} className="w-6 h-6 mr-3 text-indigo-500" />
                     {title}
@@ -56,7 +341,20 @@ const AccordionSection = ({ title, iconPath, children, defaultOpen = false, forc
     );
 };
 
-const Notification = ({ message, type, onDismiss }) => {
+const PendingSyncBadge = ({ t }) => (
+    <span className="inline-flex items-center mt-1 px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800 text-xs font-semibold" title={t('common.pendingSyncHint')}>
+        <Icon path="M2.25 15a4.5 4.5 0 004.5 4.5H18a3.75 3.75 0 001.332-7.257 3 3 0 00-3.758-3.848 5.25 5.25 0 00-10.233 2.33A4.502 4.502 0 002.25 15z" className="w-3 h-3 mr-1" />
+        {t('common.pendingSync')}
+    </span>
+);
+
+const LanguageSelect = ({ language, t, onChange, className = '' }) => (
+    <select aria-label={t('common.language')} value={language} onChange={(e) => onChange(e.target.value)} className={`text-xs p-1 border border-gray-300 rounded-md bg-white ${className}`}>
+        {Object.entries(LANGUAGES).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+    </select>
+);
+
+const Notification = ({ message, type, action, onDismiss }) => {
     useEffect(() => {
         const timer = setTimeout(onDismiss, 5000);
         return () => clearTimeout(timer);
@@ -77,16 +375,82 @@ const Notification = ({ message, type, onDismiss }) => {
         <div className={`${baseClasses} ${typeClasses[type]}`}>
             <Icon path={iconPaths[type]} className="w-6 h-6 mr-3" />
             <span>{message}</span>
+            {action && (
+                <button onClick={() => { action.onClick(); onDismiss(); }} className="ml-4 font-semibold underline hover:no-underline">{action.label}</button>
+            )}
         </div>
     );
 };
 
 
+// Filter, sort and status names are the messages under the same keys (e.g. `loan.history.filters`).
+const TRANSACTION_FILTERS = {
+    all: { matches: () => true },
+    payment: { matches: (t) => t.type === 'payment' },
+    advance: { matches: (t) => t.type === 'initial' || t.type === 'loanIncrease' },
+    interest: { matches: (t) => t.type === 'interest' },
+    lateFee: { matches: (t) => t.type === 'lateFee' },
+};
+
+// Items are `{ loan, role, summary }`, where `summary` is null until the loan is set up.
+const LOAN_STATUS_FILTERS = {
+    all: { matches: () => true },
+    active: { matches: (item) => !item.summary?.isPaidOff },
+    paidOff: { matches: (item) => Boolean(item.summary?.isPaidOff) },
+};
+
+// Loans with nothing to compare on (not set up, no payments, no plan) sort last.
+const compareMissingLast = (a, b) => (a == null) - (b == null) || (a ?? 0) - (b ?? 0);
+
+const LOAN_SORTS = {
+    name: { compare: (a, b) => (a.loan.settings.appTitle || '').localeCompare(b.loan.settings.appTitle || '') },
+    balance: { compare: (a, b) => compareMissingLast(a.summary && -a.summary.balance, b.summary && -b.summary.balance) },
+    nextDue: { compare: (a, b) => compareMissingLast(a.summary?.nextDue?.dueDate.getTime(), b.summary?.nextDue?.dueDate.getTime()) },
+    lastPayment: { compare: (a, b) => compareMissingLast(a.summary?.lastPayment && -a.summary.lastPayment.date.getTime(), b.summary?.lastPayment && -b.summary.lastPayment.date.getTime()) },
+};
+
+const LENDING_ROLES = ['owner', 'lender'];
+
+const exportFilename = (title, suffix) => (
+    `${(title || 'loan').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase()}-${suffix}-${formatIsoDate(new Date())}.csv`
+);
+
+const DUE_STATUS_STYLES = {
+    onTime: 'bg-green-100 text-green-800',
+    late: 'bg-amber-100 text-amber-800',
+    partial: 'bg-orange-100 text-orange-800',
+    missed: 'bg-red-100 text-red-800',
+    upcoming: 'bg-gray-100 text-gray-700',
+};
+
+const toJsDate = (value) => (value instanceof Date ? value : value.toDate());
+
+// Interest and fee postings, and entries saved without a description, store no text of their own, so
+// each reader sees them worded in their language. Older entries stored English defaults such as
+// "payment on 1/2/2024"; those are treated as blank.
+const LEGACY_DEFAULT_DESCRIPTION = /^(payment|loanIncrease) on \S+$/;
+
+const ownDescription = (transaction) => (
+    isChargeType(transaction.type) || LEGACY_DEFAULT_DESCRIPTION.test(transaction.description || '') ? '' : (transaction.description || '')
+);
+
+const describeTransaction = (transaction, t, format) => {
+    const description = ownDescription(transaction);
+    if (description) return description;
+    const date = toJsDate(transaction.date);
+    if (transaction.type === 'initial') return t('descriptions.initial');
+    if (transaction.type === 'interest') return t('descriptions.interest', { month: format.monthYear(date) });
+    if (transaction.type === 'lateFee' && transaction.dueDate) return t('descriptions.lateFee', { dueDate: format.date(toJsDate(transaction.dueDate)) });
+    return t('descriptions.entry', { type: t(`transactionTypes.${transaction.type}`), date: format.date(date) });
+};
+
+
 // --- Authentication Screen ---
-function AuthScreen() {
+function AuthScreen({ storage, t, joinCode, onChangeLanguage, onUseLocal }) {
     const [view, setView] = useState('login');
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
+    const [displayName, setDisplayName] = useState('');
     const [isPasswordVisible, setIsPasswordVisible] = useState(false);
     const [notification, setNotification] = useState(null);
     const [loading, setLoading] = useState(false);
@@ -97,9 +461,10 @@ function AuthScreen() {
         setNotification(null);
         try {
             if (view === 'login') {
-                await signInWithEmailAndPassword(auth, email, password);
+                await storage.signIn(email, password);
             } else {
-                await createUserWithEmailAndPassword(auth, email, password);
+                const user = await storage.signUp(email, password);
+                await storage.setDoc(userProfilePath(user.uid), { displayName: normalizeDisplayName(displayName), email, language: t.language, createdAt: Timestamp.now() });
             }
         } catch (err) {
             setNotification({ type: 'error', message: err.message });
@@ -113,8 +478,8 @@ function AuthScreen() {
         setLoading(true);
         setNotification(null);
         try {
-            await sendPasswordResetEmail(auth, email);
-            setNotification({ type: 'success', message: 'Password reset email sent! Please check your inbox.' });
+            await storage.resetPassword(email);
+            setNotification({ type: 'success', message: t('auth.resetSent') });
         } catch (err) {
             setNotification({ type: 'error', message: err.message });
         } finally {
@@ -126,11 +491,11 @@ function AuthScreen() {
         if (view === 'forgotPassword') {
             return (
                 <form onSubmit={handlePasswordReset} className="space-y-6">
-                    <h2 className="text-2xl font-semibold text-center text-gray-700">Reset Password</h2>
-                    <p className="text-center text-sm text-gray-600">Enter your email address and we will send you a link to reset your password.</p>
-                    <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="Email Address" required className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 transition" />
+                    <h2 className="text-2xl font-semibold text-center text-gray-700">{t('auth.resetTitle')}</h2>
+                    <p className="text-center text-sm text-gray-600">{t('auth.resetIntro')}</p>
+                    <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder={t('auth.email')} required className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 transition" />
                     <button type="submit" disabled={loading} className="w-full bg-indigo-600 text-white py-3 rounded-lg hover:bg-indigo-700 transition shadow-md disabled:bg-indigo-300 flex items-center justify-center">
-                        {loading ? <Spinner /> : 'Send Reset Email'}
+                        {loading ? <Spinner /> : t('auth.sendReset')}
                     </button>
                 </form>
             );
@@ -138,14 +503,17 @@ function AuthScreen() {
 
         return (
             <form onSubmit={handleSubmit} className="space-y-6">
-                <h2 className="text-2xl font-semibold text-center text-gray-700">{view === 'login' ? 'Log In' : 'Sign Up'}</h2>
-                <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder="Email Address" required className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 transition" />
+                <h2 className="text-2xl font-semibold text-center text-gray-700">{view === 'login' ? t('auth.logIn') : t('auth.signUp')}</h2>
+                {view === 'signup' && (
+                    <input type="text" value={displayName} onChange={(e) => setDisplayName(e.target.value)} placeholder={t('auth.yourName')} required pattern=".*\S.*" maxLength={MAX_DISPLAY_NAME_LENGTH} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 transition" />
+                )}
+                <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} placeholder={t('auth.email')} required className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 transition" />
                 <div className="relative">
                     <input 
                         type={isPasswordVisible ? 'text' : 'password'} 
                         value={password} 
                         onChange={(e) => setPassword(e.target.value)} 
-                        placeholder="Password" 
+                        placeholder={t('auth.password')}
                         required 
                         className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 transition" 
                     />
@@ -161,7 +529,7 @@ function AuthScreen() {
                     </button>
                 </div>
                 <button type="submit" disabled={loading} className="w-full bg-indigo-600 text-white py-3 rounded-lg hover:bg-indigo-700 transition shadow-md disabled:bg-indigo-300 flex items-center justify-center">
-                    {loading ? <Spinner /> : (view === 'login' ? 'Log In' : 'Create Account')}
+                    {loading ? <Spinner /> : (view === 'login' ? t('auth.logIn') : t('auth.createAccount'))}
                 </button>
             </form>
         );
@@ -169,25 +537,84 @@ function AuthScreen() {
 
     return (
         <div className="min-h-screen bg-gray-100 flex flex-col justify-center items-center p-4">
-            {notification && <Notification message={notification.message} type={notification.type} onDismiss={() => setNotification(null)} />}
+            {notification && <Notification message={notification.message} type={notification.type} action={notification.action} onDismiss={() => setNotification(null)} />}
             <div className="max-w-md w-full mx-auto">
+                <div className="flex justify-end mb-4">
+                    <LanguageSelect language={t.language} t={t} onChange={onChangeLanguage} />
+                </div>
                 <div className="text-center mb-8">
-                    <h1 className="text-4xl font-bold text-gray-800">Welcome</h1>
-                    <p className="text-gray-600 mt-2">Sign in or create an account to manage your loans.</p>
+                    <h1 className="text-4xl font-bold text-gray-800">{t('auth.welcome')}</h1>
+                    <p className="text-gray-600 mt-2">{joinCode ? t('auth.joinIntro', { code: joinCode }) : t('auth.intro')}</p>
                 </div>
                 <div className="bg-white p-8 rounded-2xl shadow-lg">
                     {renderForm()}
                     <div className="text-center text-sm text-gray-600 mt-6">
-                        {view === 'login' && (<button onClick={() => setView('forgotPassword')} className="font-semibold text-indigo-600 hover:underline">Forgot Password?</button>)}
-                        {view === 'forgotPassword' && (<button onClick={() => setView('login')} className="font-semibold text-indigo-600 hover:underline">Back to Log In</button>)}
+                        {view === 'login' && (<button onClick={() => setView('forgotPassword')} className="font-semibold text-indigo-600 hover:underline">{t('auth.forgotPassword')}</button>)}
+                        {view === 'forgotPassword' && (<button onClick={() => setView('login')} className="font-semibold text-indigo-600 hover:underline">{t('auth.backToLogIn')}</button>)}
                     </div>
                     <div className="text-center text-sm text-gray-600 mt-2">
-                        {view === 'login' ? "Don't have an account?" : "Already have an account?"}
+                        {view === 'login' ? t('auth.noAccount') : t('auth.haveAccount')}
                         <button onClick={() => setView(view === 'login' ? 'signup' : 'login')} className="font-semibold text-indigo-600 hover:underline ml-1">
-                            {view === 'login' ? 'Sign Up' : 'Log In'}
+                            {view === 'login' ? t('auth.signUp') : t('auth.logIn')}
                         </button>
                     </div>
                 </div>
+                <p className="text-center text-sm text-gray-600 mt-6">
+                    <button onClick={onUseLocal} className="font-semibold text-gray-700 hover:underline">{t('auth.useLocal')}</button>
+                </p>
+            </div>
+        </div>
+    );
+}
+
+// --- Storage Choice Screen ---
+// Shown once per device, before anything touches Firebase; the choice is remembered under STORAGE_MODE_KEY.
+function StorageChoiceScreen({ t, onChangeLanguage, onChoose }) {
+    const [displayName, setDisplayName] = useState('');
+    const [notification, setNotification] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const handleUseLocal = async (e) => {
+        e.preventDefault();
+        setIsSaving(true);
+        setNotification(null);
+        try {
+            await onChoose('local', normalizeDisplayName(displayName));
+        } catch (err) {
+            console.error("Error setting up local storage:", err);
+            setNotification({ type: 'error', message: t('storage.localFailed') });
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen bg-gray-100 flex flex-col justify-center items-center p-4">
+            {notification && <Notification message={notification.message} type={notification.type} onDismiss={() => setNotification(null)} />}
+            <div className="max-w-md w-full mx-auto">
+                <div className="flex justify-end mb-4">
+                    <LanguageSelect language={t.language} t={t} onChange={onChangeLanguage} />
+                </div>
+                <div className="text-center mb-8">
+                    <h1 className="text-4xl font-bold text-gray-800">{t('auth.welcome')}</h1>
+                    <p className="text-gray-600 mt-2">{t('storage.intro')}</p>
+                </div>
+                <div className="space-y-4">
+                    <div className="bg-white p-6 rounded-2xl shadow-lg">
+                        <h2 className="text-xl font-semibold text-gray-700">{t('storage.cloudTitle')}</h2>
+                        <p className="text-sm text-gray-600 mt-1 mb-4">{t('storage.cloudBody')}</p>
+                        <button onClick={() => onChoose('cloud')} className="w-full bg-indigo-600 text-white py-3 rounded-lg hover:bg-indigo-700 transition shadow-md">
+                            {t('storage.cloudButton')}
+                        </button>
+                    </div>
+                    <form onSubmit={handleUseLocal} className="bg-white p-6 rounded-2xl shadow-lg">
+                        <h2 className="text-xl font-semibold text-gray-700">{t('storage.localTitle')}</h2>
+                        <p className="text-sm text-gray-600 mt-1 mb-4">{t('storage.localBody')}</p>
+                        <input type="text" value={displayName} onChange={(e) => setDisplayName(e.target.value)} placeholder={t('storage.yourName')} required pattern=".*\S.*" maxLength={MAX_DISPLAY_NAME_LENGTH} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 transition" />
+                        <button type="submit" disabled={isSaving} className="w-full mt-4 bg-gray-700 text-white py-3 rounded-lg hover:bg-gray-800 transition shadow-md disabled:bg-gray-400 flex items-center justify-center">
+                            {isSaving ? <Spinner /> : t('storage.localButton')}
+                        </button>
+                    </form>
+                </div>
             </div>
         </div>
     );
@@ -196,7 +623,63 @@ function AuthScreen() {
 
 // --- Dashboard Screen ---
 
-function DashboardScreen({ user, onSelectLoan }) {
+// Lists what the other members did on the user's loans. `feed` comes from `useNotificationFeed`.
+const NotificationCenter = ({ feed, locale, t, onOpen, onNotify }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const format = useMemo(() => createFormatter({ locale }), [locale]);
+
+    const handleOpen = (loanId) => {
+        setIsOpen(false);
+        onOpen(loanId);
+    };
+
+    const handleToggleAlerts = async (enabled) => {
+        if (!(await feed.changeAlerts(enabled))) {
+            onNotify({ type: 'error', message: t('notifications.alertsBlocked') });
+        }
+    };
+
+    return (
+        <div className="relative">
+            <button onClick={() => setIsOpen(open => !open)} aria-label={t('notifications.title')} aria-expanded={isOpen} className="relative p-2 rounded-full text-gray-600 hover:bg-gray-200">
+                <Icon path="M14.857 17.082a23.848 23.848 0 005.454-1.31A8.967 8.967 0 0118 9.75v-.7V9A6 6 0 006 9v.75a8.967 8.967 0 01-2.312 6.022c1.733.64 3.56 1.085 5.455 1.31m5.714 0a24.255 24.255 0 01-5.714 0m5.714 0a3 3 0 11-5.714 0" />
+                {feed.unreadCount > 0 && (
+                    <span className="absolute -top-1 -right-1 min-w-[1.25rem] px-1 rounded-full bg-red-500 text-white text-xs font-semibold text-center">{feed.unreadCount > 99 ? '99+' : feed.unreadCount}</span>
+                )}
+            </button>
+            {isOpen && (
+                <div className="absolute right-0 mt-2 w-80 max-w-[90vw] bg-white rounded-xl shadow-xl border border-gray-200 z-40 text-left">
+                    <div className="flex justify-between items-center p-3 border-b border-gray-200">
+                        <h2 className="font-semibold text-gray-800">{t('notifications.title')}</h2>
+                        <button onClick={feed.markAllRead} disabled={feed.unreadCount === 0} className="text-sm font-semibold text-indigo-600 hover:text-indigo-800 disabled:text-gray-300">{t('notifications.markAllRead')}</button>
+                    </div>
+                    {feed.entries.length > 0 ? (
+                        <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+                            {feed.entries.map(entry => (
+                                <li key={`${entry.loanId}/${entry.id}`}>
+                                    <button onClick={() => handleOpen(entry.loanId)} className={`w-full text-left p-3 hover:bg-gray-50 ${feed.isUnread(entry) ? 'bg-indigo-50' : ''}`}>
+                                        <p className="text-sm text-gray-800"><span className="font-medium">{getAuthorName(feed.profiles, entry.actorId, t)}</span> {describeActivity(entry, t, feed.profiles)}</p>
+                                        <p className="text-xs text-gray-500">{entry.loanTitle || t('dashboard.untitledLoan')} · {format.dateTime(entry.createdAt)}</p>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    ) : (
+                        <p className="p-4 text-sm text-center text-gray-500">{t('notifications.empty')}</p>
+                    )}
+                    {browserAlertsSupported() && (
+                        <label className="flex items-center gap-2 p-3 border-t border-gray-200 text-sm text-gray-700">
+                            <input type="checkbox" checked={feed.alertsEnabled} onChange={(e) => handleToggleAlerts(e.target.checked)} />
+                            {t('notifications.browserAlerts')}
+                        </label>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+function DashboardScreen({ storage, deviceStorage, user, locale, t, joinCode, onJoinHandled, onChangeLanguage, onChangeStorage, onSelectLoan, feed, onOpenNotification }) {
     const [userLoans, setUserLoans] = useState([]);
     const [loading, setLoading] = useState(true);
     const [newLoanName, setNewLoanName] = useState('');
@@ -205,129 +688,279 @@ function DashboardScreen({ user, onSelectLoan }) {
     const [isCreating, setIsCreating] = useState(false);
     const [isJoining, setIsJoining] = useState(false);
     const [loanToLeave, setLoanToLeave] = useState(null);
-
-    const generateFriendlyId = () => {
-        const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-        let result = '';
-        for (let i = 0; i < 6; i++) {
-            result += chars.charAt(Math.floor(Math.random() * chars.length));
-        }
-        return `${result.slice(0,3)}-${result.slice(3,6)}`;
-    };
+    const [loanTransactions, setLoanTransactions] = useState({});
+    const [statusFilter, setStatusFilter] = useState('all');
+    const [roleFilter, setRoleFilter] = useState('all');
+    const [sortBy, setSortBy] = useState('name');
+    const [deviceLoans, setDeviceLoans] = useState([]);
+    const [loanToMove, setLoanToMove] = useState(null);
+    const [isMoving, setIsMoving] = useState(false);
+    const isLocal = storage.mode === 'local';
 
     useEffect(() => {
         if (!user) return;
         setLoading(true);
-        const loansQuery = query(collection(db, `artifacts/${appId}/public/data/loans`), where('members', 'array-contains', user.uid));
-        const unsubscribe = onSnapshot(loansQuery, (snapshot) => {
-            const loansData = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
-            setUserLoans(loansData);
+        const unsubscribe = storage.watchCollection('loans', { where: ['members', 'array-contains', user.uid] }, (docs) => {
+            setUserLoans(docs.map(({ id, data }) => ({ id, ...data })));
             setLoading(false);
         }, (err) => {
             console.error("Error fetching user loans:", err);
-            setNotification({type: 'error', message: "Could not fetch your loans."});
+            setNotification({type: 'error', message: t('dashboard.errors.fetchLoans')});
             setLoading(false);
         });
 
         return () => unsubscribe();
-    }, [user]);
+    }, [storage, user]);
+
+    const loanIdKey = userLoans.map(loan => loan.id).join(',');
+    useEffect(() => {
+        if (!loanIdKey) return;
+        const unsubscribes = loanIdKey.split(',').map(loanId => storage.watchCollection(transactionsPath(loanId), {}, (docs) => {
+            setLoanTransactions(prev => ({ ...prev, [loanId]: docs.map(d => d.data) }));
+        }, (err) => console.error("Error fetching loan transactions:", err)));
+        return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+    }, [storage, loanIdKey]);
+
+    // Signed in to the cloud, loans still kept on this device are listed so they can be moved to the account.
+    useEffect(() => {
+        if (!deviceStorage) return;
+        return deviceStorage.watchCollection('loans', {}, (docs) => {
+            setDeviceLoans(docs.map(({ id, data }) => ({ id, ...data })));
+        }, (err) => console.error("Error fetching loans on this device:", err));
+    }, [deviceStorage]);
+
+    // Summarised with the same function as the loan screen, so the numbers always match.
+    const portfolio = useMemo(() => userLoans.map(loan => {
+        const loanEntries = loanTransactions[loan.id] || [];
+        const role = getMemberRole(loan, user.uid);
+        return {
+            loan,
+            role,
+            summary: summarizeLoan(loan.settings, loanEntries.filter(countsTowardBalance).map(t => ({ ...t, date: t.date.toDate() }))),
+            pendingCount: can(role, 'confirmPayment') ? loanEntries.filter(t => !t.deletedAt && t.status === 'pending').length : 0,
+            format: createFormatter({ locale, currency: getLoanCurrency(loan.settings) }),
+        };
+    }), [userLoans, loanTransactions, user.uid, locale]);
+
+    // Amounts in different currencies are never added together; each currency gets its own line.
+    const portfolioTotals = useMemo(() => {
+        const byCurrency = {};
+        portfolio.forEach(({ role, summary, format }) => {
+            if (!summary) return;
+            if (!byCurrency[format.currency]) {
+                byCurrency[format.currency] = { format, lentOut: 0, borrowed: 0, interestEarned: 0 };
+            }
+            const totals = byCurrency[format.currency];
+            const outstanding = Math.max(0, summary.balance);
+            if (LENDING_ROLES.includes(role)) {
+                totals.lentOut += outstanding;
+                totals.interestEarned += summary.interestPaidThisYear;
+            } else if (role === 'borrower') {
+                totals.borrowed += outstanding;
+            }
+        });
+        const currencyTotals = Object.values(byCurrency);
+        return currencyTotals.length > 0
+            ? currencyTotals
+            : [{ format: createFormatter({ locale }), lentOut: 0, borrowed: 0, interestEarned: 0 }];
+    }, [portfolio, locale]);
+
+    const visibleLoans = portfolio
+        .filter(item => LOAN_STATUS_FILTERS[statusFilter].matches(item) && (roleFilter === 'all' || item.role === roleFilter))
+        .sort(LOAN_SORTS[sortBy].compare);
 
     const handleCreateLoan = async (e) => {
         e.preventDefault();
         if (!newLoanName.trim()) {
-            setNotification({type: 'error', message: "Please enter a name for the loan."});
+            setNotification({type: 'error', message: t('dashboard.errors.nameRequired')});
             return;
         }
         setIsCreating(true);
         setNotification(null);
 
-        const newLoanRef = doc(collection(db, `artifacts/${appId}/public/data/loans`));
-        const friendlyId = generateFriendlyId();
+        const newLoanId = newDocId();
         
         try {
-            await setDoc(newLoanRef, {
-                members: [user.uid],
-                friendlyId: friendlyId,
-                settings: {
-                    appTitle: newLoanName,
-                    createdAt: Timestamp.now(),
-                }
+            await storage.runTransaction(async (transaction) => {
+                // A loan kept on this device cannot be shared, so it gets no invite code.
+                const friendlyId = isLocal ? null : await reserveInviteCode(transaction, newLoanId, user.uid);
+                transaction.set(loanDocPath(newLoanId), {
+                    members: [user.uid],
+                    roles: { [user.uid]: 'owner' },
+                    friendlyId: friendlyId,
+                    settings: {
+                        appTitle: newLoanName,
+                        createdAt: Timestamp.now(),
+                    }
+                });
             });
             setNewLoanName('');
-            onSelectLoan(newLoanRef.id);
+            onSelectLoan(newLoanId);
         } catch (err) {
             console.error("Error creating loan:", err);
-            setNotification({type: 'error', message: "Failed to create loan. Please try again."});
+            setNotification({type: 'error', message: t('dashboard.errors.createFailed')});
         } finally {
             setIsCreating(false);
         }
     };
 
-    const handleJoinLoan = async (e) => {
+    const handleJoinLoan = (e) => {
         e.preventDefault();
-        if (!joinLoanId.trim()) {
-            setNotification({type: 'error', message: "Please enter a Loan Code to join."});
+        joinLoan(joinLoanId);
+    };
+
+    const joinLoan = async (code) => {
+        if (isLocal) {
+            setNotification({type: 'error', message: t('dashboard.errors.joinNeedsAccount')});
+            return;
+        }
+        if (!code.trim()) {
+            setNotification({type: 'error', message: t('dashboard.errors.codeRequired')});
             return;
         }
         setIsJoining(true);
         setNotification(null);
 
-        const friendlyIdToJoin = joinLoanId.trim().toUpperCase();
+        const friendlyIdToJoin = normalizeInviteCode(code);
         
         try {
-            const loansRef = collection(db, `artifacts/${appId}/public/data/loans`);
-            const q = query(loansRef, where("friendlyId", "==", friendlyIdToJoin));
-            const querySnapshot = await getDocs(q);
+            // The invite document is the only way to a loan: outsiders cannot search or read loans.
+            const invite = await storage.getDoc(inviteCodePath(friendlyIdToJoin));
+            if (!invite) {
+                setNotification({type: 'error', message: t('dashboard.errors.codeNotFound')});
+                setIsJoining(false);
+                return;
+            }
+            const inviteProblem = getInviteProblem(invite);
+            if (inviteProblem) {
+                setNotification({type: 'error', message: t(`invites.problems.${inviteProblem}`)});
+                setIsJoining(false);
+                return;
+            }
 
-            if (querySnapshot.empty) {
-                setNotification({type: 'error', message: "Loan ID not found. Please check the code and try again."});
+            const existingLoan = await readLoanIfMember(storage, invite.loanId);
+            if (existingLoan) {
+                setNotification({type: 'error', message: t('dashboard.errors.alreadyMember', { title: existingLoan.settings.appTitle })});
                 setIsJoining(false);
                 return;
             }
+            if (invite.requiresApproval) {
+                await storage.setDoc(`${joinRequestsPath(invite.loanId)}/${user.uid}`, { uid: user.uid, email: user.email, code: friendlyIdToJoin, requestedAt: Timestamp.now() });
+                setJoinLoanId('');
+                setNotification({type: 'success', message: t('dashboard.requestSent')});
+                return;
+            }
 
-            const loanDoc = querySnapshot.docs[0];
-            const loanDocRef = doc(db, `artifacts/${appId}/public/data/loans/${loanDoc.id}`);
-            await setDoc(loanDocRef, { members: arrayUnion(user.uid) }, { merge: true });
+            // The rules only let someone join with the code they name here, checked against the loan's current one.
+            const batch = storage.batch();
+            batch.set(loanDocPath(invite.loanId), { members: arrayUnion(user.uid), roles: { [user.uid]: DEFAULT_JOIN_ROLE } }, { merge: true });
+            batch.set(`${joinsPath(invite.loanId)}/${user.uid}`, { code: friendlyIdToJoin, joinedAt: Timestamp.now() });
+            logActivity(batch, invite.loanId, user.uid, { entity: 'member', entityId: user.uid, action: 'join' });
+            if (invite.singleUse) {
+                batch.update(inviteCodePath(friendlyIdToJoin), { usedBy: user.uid, usedAt: Timestamp.now() });
+            }
+            await batch.commit();
+            const joinedLoan = await storage.getDoc(loanDocPath(invite.loanId));
             setJoinLoanId('');
-            setNotification({type: 'success', message: `Successfully joined "${loanDoc.data().settings.appTitle}"!`});
+            setNotification({type: 'success', message: t('dashboard.joined', { title: joinedLoan?.settings.appTitle || t('dashboard.untitledLoan') })});
         } catch (err) {
             console.error("Error joining loan:", err);
-            setNotification({type: 'error', message: "Failed to join loan. Please check the code and try again."});
+            setNotification({type: 'error', message: t('dashboard.errors.joinFailed')});
         } finally {
             setIsJoining(false);
         }
     };
 
+    // A /join/{code} link fills in the join form and submits it once; the ref keeps a re-render from joining twice.
+    const handledJoinCode = useRef(null);
+    useEffect(() => {
+        if (!joinCode || handledJoinCode.current === joinCode) return;
+        handledJoinCode.current = joinCode;
+        setJoinLoanId(joinCode);
+        joinLoan(joinCode);
+        onJoinHandled();
+    }, [joinCode]);
+
+    const handleChangeLocale = async (newLocale) => {
+        try {
+            await storage.setDoc(userProfilePath(user.uid), { locale: newLocale, updatedAt: Timestamp.now() }, { merge: true });
+        } catch (err) {
+            console.error("Error saving locale:", err);
+            setNotification({type: 'error', message: t('dashboard.errors.saveFormat')});
+        }
+    };
+
+    // The choice applies right away; saving it to the profile carries it to the user's other devices.
+    const handleChangeLanguage = async (newLanguage) => {
+        onChangeLanguage(newLanguage);
+        try {
+            await storage.setDoc(userProfilePath(user.uid), { language: newLanguage, updatedAt: Timestamp.now() }, { merge: true });
+        } catch (err) {
+            console.error("Error saving language:", err);
+            setNotification({type: 'error', message: t('dashboard.errors.saveLanguage')});
+        }
+    };
+
     const handleLeaveLoan = async () => {
         if (!loanToLeave || !user) return;
+        if (getMemberRole(loanToLeave, user.uid) === 'owner' && countOwners(loanToLeave) <= 1) {
+            setNotification({type: 'error', message: t('dashboard.errors.onlyOwner')});
+            setLoanToLeave(null);
+            return;
+        }
         
-        const loanDocRef = doc(db, `artifacts/${appId}/public/data/loans/${loanToLeave.id}`);
         try {
-            await setDoc(loanDocRef, { members: arrayRemove(user.uid) }, { merge: true });
-            setNotification({type: 'success', message: `You have left "${loanToLeave.settings.appTitle}".`});
+            const batch = storage.batch();
+            batch.set(loanDocPath(loanToLeave.id), { members: arrayRemove(user.uid), roles: { [user.uid]: deleteField() } }, { merge: true });
+            logActivity(batch, loanToLeave.id, user.uid, { entity: 'member', entityId: user.uid, action: 'leave' });
+            await batch.commit();
+            setNotification({type: 'success', message: t('dashboard.left', { title: loanToLeave.settings.appTitle })});
             setLoanToLeave(null); 
         } catch (err) {
             console.error("Error leaving loan:", err);
-            setNotification({type: 'error', message: "Failed to leave the loan. Please try again."});
+            setNotification({type: 'error', message: t('dashboard.errors.leaveFailed')});
             setLoanToLeave(null);
         }
     };
 
+    const handleMoveLoan = async () => {
+        setIsMoving(true);
+        try {
+            const newLoanId = await moveLoanToCloud(deviceStorage, storage, loanToMove.id, user.uid);
+            setNotification({type: 'success', message: t('dashboard.moved', { title: loanToMove.settings?.appTitle || t('dashboard.untitledLoan') }), action: { label: t('dashboard.openLoan'), onClick: () => onSelectLoan(newLoanId) }});
+        } catch (err) {
+            console.error("Error moving loan to the cloud:", err);
+            setNotification({type: 'error', message: t('dashboard.errors.moveFailed')});
+        } finally {
+            setIsMoving(false);
+            setLoanToMove(null);
+        }
+    };
+
     return (
         <div className="min-h-screen bg-gray-100 p-4">
-            {notification && <Notification message={notification.message} type={notification.type} onDismiss={() => setNotification(null)} />}
+            {notification && <Notification message={notification.message} type={notification.type} action={notification.action} onDismiss={() => setNotification(null)} />}
             {loanToLeave && (
                 <Modal onClose={() => setLoanToLeave(null)}>
-                    <h3 className="text-lg font-semibold text-gray-900 mb-4">Leave Loan?</h3>
+                    <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('dashboard.leaveTitle')}</h3>
                     <p className="text-sm text-gray-700 mb-6">
-                        Are you sure you want to leave the loan "{loanToLeave.settings.appTitle}"? You will lose access to it unless you are invited back.
+                        {t('dashboard.leaveBody', { title: loanToLeave.settings.appTitle })}
                     </p>
                     <div className="flex justify-end space-x-3">
-                        <button onClick={() => setLoanToLeave(null)} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">Cancel</button>
-                        <button onClick={handleLeaveLoan} className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700">Leave Loan</button>
+                        <button onClick={() => setLoanToLeave(null)} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">{t('common.cancel')}</button>
+                        <button onClick={handleLeaveLoan} className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700">{t('dashboard.leaveButton')}</button>
+                    </div>
+                </Modal>
+            )}
+            {loanToMove && (
+                <Modal onClose={() => !isMoving && setLoanToMove(null)}>
+                    <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('dashboard.moveTitle')}</h3>
+                    <p className="text-sm text-gray-700 mb-6">
+                        {t('dashboard.moveBody', { title: loanToMove.settings?.appTitle || t('dashboard.untitledLoan') })}
+                    </p>
+                    <div className="flex justify-end space-x-3">
+                        <button onClick={() => setLoanToMove(null)} disabled={isMoving} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">{t('common.cancel')}</button>
+                        <button onClick={handleMoveLoan} disabled={isMoving} className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700">{isMoving ? t('dashboard.moving') : t('dashboard.moveButton')}</button>
                     </div>
                 </Modal>
             )}
@@ -335,79 +968,1296 @@ function DashboardScreen({ user, onSelectLoan }) {
             <div className="w-full max-w-2xl mx-auto">
                 <div className="flex justify-between items-center mb-10">
                     <div className="text-left">
-                        <h1 className="text-4xl sm:text-5xl font-bold text-gray-800">Dashboard</h1>
-                        <p className="text-gray-600 mt-1">Welcome, {user.email}</p>
+                        <h1 className="text-4xl sm:text-5xl font-bold text-gray-800">{t('dashboard.title')}</h1>
+                        <p className="text-gray-600 mt-1">{isLocal ? t('dashboard.localOnly') : t('dashboard.welcomeUser', { email: user.email })}</p>
+                    </div>
+                    <div className="flex flex-col items-end gap-2">
+                        {isLocal ? (
+                            onChangeStorage && (
+                                <button onClick={onChangeStorage} className="bg-gray-600 text-white py-2 px-4 rounded-lg hover:bg-gray-700 transition shadow-md">
+                                    {t('dashboard.changeStorage')}
+                                </button>
+                            )
+                        ) : (
+                            <div className="flex items-center gap-2">
+                                <NotificationCenter feed={feed} locale={locale} t={t} onOpen={onOpenNotification} onNotify={setNotification} />
+                                <button onClick={() => storage.signOut()} className="bg-red-500 text-white py-2 px-4 rounded-lg hover:bg-red-600 transition shadow-md">
+                                    {t('dashboard.logOut')}
+                                </button>
+                            </div>
+                        )}
+                        <LanguageSelect language={t.language} t={t} onChange={handleChangeLanguage} />
+                        <select aria-label={t('dashboard.formatLabel')} value={locale} onChange={(e) => handleChangeLocale(e.target.value)} className="text-xs p-1 border border-gray-300 rounded-md bg-white">
+                            {Object.entries(LOCALES).map(([value, { label }]) => <option key={value} value={value}>{value ? label : t('dashboard.browserFormat')}</option>)}
+                        </select>
                     </div>
-                    <button onClick={() => signOut(auth)} className="bg-red-500 text-white py-2 px-4 rounded-lg hover:bg-red-600 transition shadow-md">
-                        Log Out
-                    </button>
                 </div>
 
-                <div className="grid grid-cols-1 md:grid-cols-2 gap-8">
+                {userLoans.length > 0 && (
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-8">
+                        <div className="bg-white p-4 rounded-2xl shadow-lg border border-gray-200">
+                            <p className="text-sm text-gray-500">{t('dashboard.totalLentOut')}</p>
+                            {portfolioTotals.map(totals => <p key={totals.format.currency} className="text-2xl font-bold text-gray-800">{totals.format.money(totals.lentOut)}</p>)}
+                            <p className="text-xs text-gray-400">{t('dashboard.totalLentOutHint')}</p>
+                        </div>
+                        <div className="bg-white p-4 rounded-2xl shadow-lg border border-gray-200">
+                            <p className="text-sm text-gray-500">{t('dashboard.totalBorrowed')}</p>
+                            {portfolioTotals.map(totals => <p key={totals.format.currency} className="text-2xl font-bold text-gray-800">{totals.format.money(totals.borrowed)}</p>)}
+                            <p className="text-xs text-gray-400">{t('dashboard.totalBorrowedHint')}</p>
+                        </div>
+                        <div className="bg-white p-4 rounded-2xl shadow-lg border border-gray-200">
+                            <p className="text-sm text-gray-500">{t('dashboard.interestEarned', { year: new Date().getFullYear() })}</p>
+                            {portfolioTotals.map(totals => <p key={totals.format.currency} className="text-2xl font-bold text-green-600">{totals.format.money(totals.interestEarned)}</p>)}
+                            <p className="text-xs text-gray-400">{t('dashboard.interestEarnedHint')}</p>
+                        </div>
+                    </div>
+                )}
+
+                <div className={`grid grid-cols-1 gap-8 ${isLocal ? '' : 'md:grid-cols-2'}`}>
                     <div className="bg-white p-6 rounded-2xl shadow-lg border border-gray-200">
                         <h2 className="text-2xl font-semibold text-gray-700 mb-4 flex items-center">
                             <Icon path="M12 4.5v15m7.5-7.5h-15" className="w-6 h-6 mr-2 text-indigo-500" />
-                            Create a New Loan
+                            {t('dashboard.createTitle')}
                         </h2>
                         <form onSubmit={handleCreateLoan}>
-                            <input type="text" value={newLoanName} onChange={(e) => setNewLoanName(e.target.value)} placeholder="e.g., Family Car Loan" className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 transition" />
+                            <input type="text" value={newLoanName} onChange={(e) => setNewLoanName(e.target.value)} placeholder={t('dashboard.createPlaceholder')} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 transition" />
                             <button type="submit" disabled={isCreating} className="w-full mt-4 bg-indigo-600 text-white py-3 rounded-lg hover:bg-indigo-700 transition shadow-md disabled:bg-indigo-300 flex items-center justify-center">
-                                {isCreating ? <Spinner /> : 'Create & Go'}
+                                {isCreating ? <Spinner /> : t('dashboard.createButton')}
+                            </button>
+                        </form>
+                    </div>
+
+                    {!isLocal && <div className="bg-white p-6 rounded-2xl shadow-lg border border-gray-200">
+                        <h2 className="text-2xl font-semibold text-gray-700 mb-4 flex items-center">
+                             <Icon path="M19 7.5v3m0 0v3m0-3h3m-3 0h-3m-2.25-4.125a3.375 3.375 0 1 1-6.75 0 3.375 3.375 0 0 1 6.75 0ZM3.375 19.125a7.125 7.125 0 0 1 14.25 0" className="w-6 h-6 mr-2 text-teal-500" />
+                            {t('dashboard.joinTitle')}
+                        </h2>
+                        <form onSubmit={handleJoinLoan}>
+                            <input type="text" value={joinLoanId} onChange={(e) => setJoinLoanId(e.target.value)} placeholder={t('dashboard.joinPlaceholder')} className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 transition" />
+                            <button type="submit" disabled={isJoining} className="w-full mt-4 bg-teal-600 text-white py-3 rounded-lg hover:bg-teal-700 transition shadow-md disabled:bg-teal-300 flex items-center justify-center">
+                                {isJoining ? <Spinner /> : t('dashboard.joinButton')}
                             </button>
                         </form>
+                    </div>}
+                </div>
+
+                <div className="mt-10 bg-white p-6 rounded-2xl shadow-lg border border-gray-200">
+                     <h2 className="text-2xl font-semibold text-gray-700 mb-4 flex items-center">
+                        <Icon path="M3.75 12h16.5m-16.5 3.75h16.5M3.75 19.5h16.5M5.625 4.5h12.75a1.125 1.125 0 010 2.25H5.625a1.125 1.125 0 010-2.25z" className="w-6 h-6 mr-2 text-amber-500" />
+                        {t('dashboard.myLoans')}
+                    </h2>
+                    {userLoans.length > 1 && (
+                        <div className="flex flex-wrap gap-3 mb-4 text-sm">
+                            <select aria-label={t('dashboard.filterByStatus')} value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className="p-1 border border-gray-300 rounded-md">
+                                {Object.keys(LOAN_STATUS_FILTERS).map(value => <option key={value} value={value}>{t(`dashboard.statusFilters.${value}`)}</option>)}
+                            </select>
+                            <select aria-label={t('dashboard.filterByRole')} value={roleFilter} onChange={(e) => setRoleFilter(e.target.value)} className="p-1 border border-gray-300 rounded-md">
+                                <option value="all">{t('dashboard.allRoles')}</option>
+                                {ROLES.map(value => <option key={value} value={value}>{t(`roles.${value}.label`)}</option>)}
+                            </select>
+                            <select aria-label={t('dashboard.sortLoans')} value={sortBy} onChange={(e) => setSortBy(e.target.value)} className="p-1 border border-gray-300 rounded-md">
+                                {Object.keys(LOAN_SORTS).map(value => <option key={value} value={value}>{t('dashboard.sortOption', { label: t(`dashboard.sorts.${value}`) })}</option>)}
+                            </select>
+                        </div>
+                    )}
+                    {loading ? (
+                        <div className="flex justify-center p-4"><Spinner color="gray-800" /></div>
+                    ) : userLoans.length > 0 && visibleLoans.length === 0 ? (
+                        <p className="text-center text-gray-500 py-4">{t('dashboard.noMatches')}</p>
+                    ) : userLoans.length > 0 ? (
+                        <ul className="space-y-3">
+                            {visibleLoans.map(({ loan, role, summary, pendingCount, format }) => (
+                                <li key={loan.id} className="bg-gray-50 p-4 rounded-lg flex justify-between items-center transition group">
+                                    <div onClick={() => onSelectLoan(loan.id)} className="flex-grow cursor-pointer min-w-0">
+                                        <div className="flex justify-between items-baseline gap-4">
+                                            <p className="font-semibold text-gray-800 group-hover:text-indigo-800 truncate">
+                                                {loan.settings.appTitle || t('dashboard.untitledLoan')}
+                                                {pendingCount > 0 && (
+                                                    <span className="ml-2 px-2 py-0.5 rounded-full bg-yellow-100 text-yellow-800 text-xs font-semibold">{t('dashboard.toConfirm', { count: pendingCount })}</span>
+                                                )}
+                                                {feed.unreadByLoan[loan.id] > 0 && (
+                                                    <span className="ml-2 px-2 py-0.5 rounded-full bg-red-100 text-red-700 text-xs font-semibold">{t('notifications.unread', { count: feed.unreadByLoan[loan.id] })}</span>
+                                                )}
+                                            </p>
+                                            {summary && (
+                                                summary.isPaidOff
+                                                    ? <span className="text-sm font-semibold text-green-600 whitespace-nowrap">{t('dashboard.paidOff')}</span>
+                                                    : <span className="text-lg font-bold text-gray-800 whitespace-nowrap">{format.money(summary.balance)}</span>
+                                            )}
+                                        </div>
+                                        {summary ? (
+                                            <div className="mt-2 space-y-1">
+                                                <div className="w-full bg-gray-200 rounded-full h-1.5">
+                                                    <div className="bg-green-500 h-1.5 rounded-full" style={{ width: `${summary.percentPaidOff}%` }}></div>
+                                                </div>
+                                                <p className="text-xs text-gray-500 flex flex-wrap gap-x-3">
+                                                    <span>{t('dashboard.percentPaidOff', { percent: format.number(Number(summary.percentPaidOff.toFixed(1))) })}</span>
+                                                    <span>{summary.lastPayment ? t('dashboard.lastPayment', { amount: format.money(summary.lastPayment.amount), date: format.date(summary.lastPayment.date) }) : t('dashboard.noPayments')}</span>
+                                                    {summary.nextDue && !summary.isPaidOff && <span>{t('dashboard.nextDue', { date: format.date(summary.nextDue.dueDate) })}</span>}
+                                                    {summary.amountPastDue > 0.005 && !summary.isPaidOff && <span className="font-semibold text-red-600">{t('dashboard.pastDue', { amount: format.money(summary.amountPastDue) })}</span>}
+                                                </p>
+                                            </div>
+                                        ) : (
+                                            <p className="text-xs text-gray-400 mt-1">{t('dashboard.setupNotFinished')}</p>
+                                        )}
+                                        <p className="text-xs text-gray-500 mt-2">
+                                            <span className="px-2 py-0.5 rounded-full bg-indigo-100 text-indigo-700 font-semibold mr-2">{role && t(`roles.${role}.label`)}</span>
+                                            {can(role, 'manageMembers') && loan.friendlyId && <span className="font-mono">{t('dashboard.code', { code: loan.friendlyId })}</span>}
+                                        </p>
+                                    </div>
+                                    {!isLocal && <button onClick={(e) => { e.stopPropagation(); setLoanToLeave(loan); }} className="text-red-500 hover:text-red-700 p-2 rounded-full hover:bg-red-100">
+                                        <Icon path="M14.74 9l-.346 9m-4.788 0L9.26 9m9.968-3.21c.342.052.682.107 1.022.166m-1.022-.165L18.16 19.673a2.25 2.25 0 01-2.244 2.077H8.084a2.25 2.25 0 01-2.244-2.077L4.772 5.79m14.456 0a48.108 48.108 0 00-3.478-.397m-12 .562c.34-.059.68-.114 1.022-.165m0 0a48.11 48.11 0 013.478-.397m7.5 0v-.916c0-1.18-.91-2.134-2.09-2.134H8.09a2.09 2.09 0 00-2.09 2.134v.916m7.5 0a48.667 48.667 0 00-7.5 0" className="w-5 h-5" />
+                                    </button>}
+                                </li>
+                            ))}
+                        </ul>
+                    ) : (
+                        <p className="text-center text-gray-500 py-4">{t('dashboard.noLoans')}</p>
+                    )}
+                </div>
+
+                {!isLocal && deviceLoans.length > 0 && (
+                    <div className="mt-10 bg-white p-6 rounded-2xl shadow-lg border border-gray-200">
+                        <h2 className="text-2xl font-semibold text-gray-700 mb-2 flex items-center">
+                            <Icon path="M9 17.25v1.007a3 3 0 01-.879 2.122L7.5 21h9l-.621-.621A3 3 0 0115 18.257V17.25m6-12V15a2.25 2.25 0 01-2.25 2.25H5.25A2.25 2.25 0 013 15V5.25m18 0A2.25 2.25 0 0018.75 3H5.25A2.25 2.25 0 003 5.25m18 0V12a2.25 2.25 0 01-2.25 2.25H5.25A2.25 2.25 0 013 12V5.25" className="w-6 h-6 mr-2 text-gray-500" />
+                            {t('dashboard.deviceLoans')}
+                        </h2>
+                        <p className="text-sm text-gray-500 mb-4">{t('dashboard.deviceLoansHint')}</p>
+                        <ul className="space-y-3">
+                            {deviceLoans.map(loan => (
+                                <li key={loan.id} className="bg-gray-50 p-4 rounded-lg flex justify-between items-center gap-4">
+                                    <span className="font-semibold text-gray-800 truncate">{loan.settings?.appTitle || t('dashboard.untitledLoan')}</span>
+                                    <button onClick={() => setLoanToMove(loan)} className="text-sm font-semibold text-indigo-600 hover:text-indigo-800 whitespace-nowrap">{t('dashboard.moveButton')}</button>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// --- Payoff Scenarios ---
+
+const emptyScenario = () => ({ name: '', monthlyPayment: '', extraPayments: [], stepUps: [] });
+
+const ScenarioComparison = ({ storage, loanId, userId, loanData, balance, canShare, format, t, onNotify }) => {
+    const formatMonth = (month) => format.shortMonthYear(new Date(`${month}-01T00:00:00`));
+    const [draft, setDraft] = useState(emptyScenario());
+    const [localScenarios, setLocalScenarios] = useState([]);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const savedScenarios = useMemo(() => loanData.scenarios || [], [loanData]);
+
+    const results = useMemo(() => {
+        const ratePeriods = getRatePeriods(loanData.settings);
+        const accrualMethod = getAccrualMethod(loanData.settings);
+        return [...savedScenarios.map(sc => ({ ...sc, isSaved: true })), ...localScenarios].map(sc => ({
+            ...sc,
+            summary: summarizeSchedule(buildAmortizationSchedule({
+                balance,
+                monthlyPayment: parseFloat(sc.monthlyPayment),
+                ratePeriods,
+                accrualMethod,
+                extraPayments: sc.extraPayments,
+                stepUps: sc.stepUps,
+            })),
+        }));
+    }, [savedScenarios, localScenarios, loanData, balance]);
+
+    const baseline = results[0];
+
+    const updateDraftList = (listName, index, field, value) => {
+        setDraft({ ...draft, [listName]: draft[listName].map((item, i) => i === index ? { ...item, [field]: value } : item) });
+    };
+
+    const handleAddScenario = (e) => {
+        e.preventDefault();
+        const monthlyPayment = parseFloat(draft.monthlyPayment);
+        const extraPayments = draft.extraPayments.map(x => ({ month: x.month, amount: parseFloat(x.amount) }));
+        const stepUps = draft.stepUps.map(x => ({ month: x.month, monthlyPayment: parseFloat(x.monthlyPayment) }));
+        if (!draft.name.trim() || isNaN(monthlyPayment) || monthlyPayment < 0
+            || extraPayments.some(x => !x.month || isNaN(x.amount) || x.amount <= 0)
+            || stepUps.some(x => !x.month || isNaN(x.monthlyPayment) || x.monthlyPayment < 0)) {
+            onNotify({type: 'error', message: t('scenarios.invalid')});
+            return;
+        }
+        setLocalScenarios([...localScenarios, { id: `${Date.now()}`, name: draft.name.trim(), monthlyPayment, extraPayments, stepUps }]);
+        setDraft(emptyScenario());
+    };
+
+    const writeSavedScenarios = async (scenarios, successMessage) => {
+        setIsSaving(true);
+        try {
+            await storage.setDoc(loanDocPath(loanId), { scenarios }, { merge: true });
+            onNotify({type: 'success', message: successMessage});
+            return true;
+        } catch (err) {
+            console.error("Error saving scenarios:", err);
+            onNotify({type: 'error', message: t('scenarios.saveFailed')});
+            return false;
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const handleSaveScenario = async (scenario) => {
+        const { id, name, monthlyPayment, extraPayments, stepUps } = scenario;
+        const saved = await writeSavedScenarios(
+            [...savedScenarios, { id, name, monthlyPayment, extraPayments, stepUps, authorId: userId, createdAt: Timestamp.now() }],
+            t('scenarios.saved', { name })
+        );
+        if (saved) {
+            setLocalScenarios(localScenarios.filter(sc => sc.id !== id));
+        }
+    };
+
+    const handleRemoveScenario = async (scenario) => {
+        if (scenario.isSaved) {
+            await writeSavedScenarios(savedScenarios.filter(sc => sc.id !== scenario.id), t('scenarios.removed', { name: scenario.name }));
+        } else {
+            setLocalScenarios(localScenarios.filter(sc => sc.id !== scenario.id));
+        }
+    };
+
+    return (
+        <div className="space-y-6">
+            <form onSubmit={handleAddScenario} className="space-y-3 bg-gray-50 p-4 rounded-lg">
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    <input type="text" aria-label={t('scenarios.nameLabel')} value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} placeholder={t('scenarios.namePlaceholder', { amount: format.wholeMoney(500) })} className="w-full p-2 border border-gray-300 rounded-md"/>
+                    <input type="number" aria-label={t('scenarios.monthlyPayment')} step="0.01" value={draft.monthlyPayment} onChange={(e) => setDraft({ ...draft, monthlyPayment: e.target.value })} placeholder={t('scenarios.monthlyPaymentPlaceholder', { currency: format.currency })} className="w-full p-2 border border-gray-300 rounded-md"/>
+                </div>
+                {draft.extraPayments.map((extra, index) => (
+                    <div key={`extra-${index}`} className="flex gap-2 items-center text-sm">
+                        <span className="w-28 text-gray-600">{t('scenarios.lumpSumIn')}</span>
+                        <input type="month" aria-label={t('scenarios.lumpSumMonth')} value={extra.month} onChange={(e) => updateDraftList('extraPayments', index, 'month', e.target.value)} className="flex-1 p-2 border border-gray-300 rounded-md"/>
+                        <input type="number" aria-label={t('scenarios.lumpSumAmount')} step="0.01" value={extra.amount} onChange={(e) => updateDraftList('extraPayments', index, 'amount', e.target.value)} placeholder={t('scenarios.amount')} className="w-32 p-2 border border-gray-300 rounded-md"/>
+                        <button type="button" onClick={() => setDraft({ ...draft, extraPayments: draft.extraPayments.filter((_, i) => i !== index) })} className="text-red-600 hover:text-red-900">{t('common.remove')}</button>
+                    </div>
+                ))}
+                {draft.stepUps.map((step, index) => (
+                    <div key={`step-${index}`} className="flex gap-2 items-center text-sm">
+                        <span className="w-28 text-gray-600">{t('scenarios.payFrom')}</span>
+                        <input type="month" aria-label={t('scenarios.stepUpMonth')} value={step.month} onChange={(e) => updateDraftList('stepUps', index, 'month', e.target.value)} className="flex-1 p-2 border border-gray-300 rounded-md"/>
+                        <input type="number" aria-label={t('scenarios.stepUpPayment')} step="0.01" value={step.monthlyPayment} onChange={(e) => updateDraftList('stepUps', index, 'monthlyPayment', e.target.value)} placeholder={t('scenarios.perMonthPlaceholder')} className="w-32 p-2 border border-gray-300 rounded-md"/>
+                        <button type="button" onClick={() => setDraft({ ...draft, stepUps: draft.stepUps.filter((_, i) => i !== index) })} className="text-red-600 hover:text-red-900">{t('common.remove')}</button>
+                    </div>
+                ))}
+                <div className="flex flex-wrap gap-4 text-sm font-medium">
+                    <button type="button" onClick={() => setDraft({ ...draft, extraPayments: [...draft.extraPayments, { month: monthKey(new Date()), amount: '' }] })} className="text-indigo-600 hover:text-indigo-800">{t('scenarios.addLumpSum')}</button>
+                    <button type="button" onClick={() => setDraft({ ...draft, stepUps: [...draft.stepUps, { month: monthKey(new Date()), monthlyPayment: '' }] })} className="text-indigo-600 hover:text-indigo-800">{t('scenarios.addStepUp')}</button>
+                </div>
+                <button type="submit" className="w-full bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 shadow-md">{t('scenarios.add')}</button>
+            </form>
+
+            {results.length === 0 ? (
+                <p className="text-center text-gray-500 py-2">{t('scenarios.empty')}</p>
+            ) : (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr>
+                                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('scenarios.scenario')}</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('scenarios.payoffDate')}</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('scenarios.totalInterest')}</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('scenarios.interestSaved')}</th>
+                                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('scenarios.actions')}</th>
+                            </tr>
+                        </thead>
+                        <tbody className="bg-white divide-y divide-gray-200">
+                            {results.map(sc => (
+                                <tr key={sc.id}>
+                                    <td className="px-4 py-4 text-sm text-gray-900">
+                                        <p className="font-medium">{sc.name} {sc === baseline && <span className="ml-1 px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-600">{t('scenarios.baseline')}</span>}</p>
+                                        <p className="text-xs text-gray-500">
+                                            {t('common.perMonth', { amount: format.money(parseFloat(sc.monthlyPayment)) })}
+                                            {sc.stepUps.map(step => t('scenarios.stepUpFrom', { amount: format.money(step.monthlyPayment), month: formatMonth(step.month) })).join('')}
+                                            {sc.extraPayments.map(extra => t('scenarios.lumpSumOn', { amount: format.money(extra.amount), month: formatMonth(extra.month) })).join('')}
+                                        </p>
+                                    </td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right">{sc.summary.payoffDate ? format.date(sc.summary.payoffDate) : t('common.overFiftyYears')}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-orange-600">{format.money(sc.summary.totalInterest)}</td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-green-600">
+                                        {sc === baseline ? '—' : format.money(baseline.summary.totalInterest - sc.summary.totalInterest)}
+                                    </td>
+                                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right font-medium">
+                                        {sc.isSaved ? (
+                                            <span className="text-xs text-gray-500 mr-3">{t('scenarios.shared')}</span>
+                                        ) : canShare && (
+                                            <button onClick={() => handleSaveScenario(sc)} disabled={isSaving} className="text-indigo-600 hover:text-indigo-900 mr-3">{t('common.save')}</button>
+                                        )}
+                                        {(!sc.isSaved || canShare) && <button onClick={() => handleRemoveScenario(sc)} disabled={isSaving} className="text-red-600 hover:text-red-900">{t('common.remove')}</button>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+
+// --- Transaction Import ---
+
+const IMPORT_FIELDS = [
+    { key: 'date', required: true, aliases: ['date', 'transaction date', 'posted'] },
+    { key: 'amount', required: true, aliases: ['amount', 'value', 'sum'] },
+    { key: 'type', aliases: ['type', 'transaction type', 'kind'] },
+    { key: 'description', aliases: ['description', 'memo', 'note', 'notes'] },
+];
+
+const guessColumn = (headers, aliases) => {
+    const index = headers.findIndex(h => aliases.includes(h.trim().toLowerCase()));
+    return index === -1 ? '' : String(index);
+};
+
+const TransactionImport = ({ storage, loanId, userId, transactions, format, t, onNotify, onImported }) => {
+    const [rows, setRows] = useState(null);
+    const [fileName, setFileName] = useState('');
+    const [mapping, setMapping] = useState({});
+    const [defaultType, setDefaultType] = useState('payment');
+    const [excluded, setExcluded] = useState({});
+    const [isImporting, setIsImporting] = useState(false);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const parsed = parseCsv(await file.text());
+        if (parsed.length < 2) {
+            onNotify({type: 'error', message: t('import.errors.noRows')});
+            return;
+        }
+        const headers = parsed[0];
+        setMapping(Object.fromEntries(IMPORT_FIELDS.map(f => [f.key, guessColumn(headers, f.aliases)])));
+        setFileName(file.name);
+        setRows(parsed);
+        setExcluded({});
+        e.target.value = '';
+    };
+
+    const handleReset = () => {
+        setRows(null);
+        setFileName('');
+        setExcluded({});
+    };
+
+    const preview = useMemo(() => {
+        if (!rows) return [];
+        const cell = (row, key) => (mapping[key] === '' || mapping[key] == null ? '' : (row[Number(mapping[key])] || '').trim());
+        // Entries in the trash or rejected are gone from the ledger, so importing them again is not a duplicate.
+        const existingKeys = new Set(transactions
+            .filter(t => (countsTowardBalance(t) || (!t.deletedAt && t.status === 'pending')) && !isChargeType(t.type))
+            .map(t => `${formatIsoDate(t.date.toDate())}|${t.type}|${parseFloat(t.amount).toFixed(2)}`));
+        const seenKeys = new Set();
+
+        return rows.slice(1).map((row, index) => {
+            const errors = [];
+            const date = parseCsvDate(cell(row, 'date'));
+            if (!date) errors.push(t('import.errors.date'));
+
+            let amount = parseCsvAmount(cell(row, 'amount'));
+            let type = defaultType;
+            const rawType = cell(row, 'type');
+            if (mapping.type !== '') {
+                if (isChargeType(rawType) || rawType === 'initial') {
+                    errors.push(t('import.errors.calculated'));
+                } else {
+                    type = parseCsvType(rawType);
+                    if (!type) errors.push(t('import.errors.unknownType', { type: rawType }));
+                }
+            } else if (amount < 0) {
+                type = 'payment';
+            }
+            if (isNaN(amount) || amount === 0) {
+                errors.push(t('import.errors.amount'));
+            }
+            amount = Math.abs(amount);
+
+            let isDuplicate = false;
+            if (errors.length === 0) {
+                const key = `${formatIsoDate(date)}|${type}|${amount.toFixed(2)}`;
+                isDuplicate = existingKeys.has(key) || seenKeys.has(key);
+                seenKeys.add(key);
+            }
+
+            return { index, date, amount, type, description: cell(row, 'description'), errors, isDuplicate };
+        });
+    }, [rows, mapping, defaultType, transactions, t]);
+
+    const isIncluded = (row) => row.errors.length === 0 && (excluded[row.index] ?? row.isDuplicate) === false;
+    const acceptedRows = preview.filter(isIncluded);
+
+    const handleImport = async () => {
+        if (acceptedRows.length === 0) return;
+        const earliestDate = acceptedRows.reduce((earliest, row) => (row.date < earliest ? row.date : earliest), acceptedRows[0].date);
+        setIsImporting(true);
+        try {
+            // The rules read each row's transaction to check its activity entry, and read at most 20
+            // documents for a whole batch, so rows go in small batches.
+            for (let start = 0; start < acceptedRows.length; start += 15) {
+                const batch = storage.batch();
+                acceptedRows.slice(start, start + 15).forEach(row => {
+                    const transactionId = newDocId();
+                    const transactionData = {
+                        date: Timestamp.fromDate(row.date),
+                        type: row.type,
+                        amount: row.amount,
+                        description: row.description,
+                        authorId: userId,
+                        createdAt: Timestamp.now(),
+                    };
+                    batch.set(`${transactionsPath(loanId)}/${transactionId}`, transactionData);
+                    logActivity(batch, loanId, userId, { entity: 'transaction', entityId: transactionId, action: 'create', after: transactionData });
+                });
+                await commitOrQueue(batch);
+            }
+            onNotify({type: 'success', message: t('import.imported', { count: acceptedRows.length })});
+            handleReset();
+        } catch (err) {
+            console.error("Error importing transactions:", err);
+            onNotify({type: 'error', message: t('import.errors.failed')});
+            return;
+        } finally {
+            setIsImporting(false);
+        }
+        // Charges are reposted (and any failure reported) by the loan screen, once the rows are saved.
+        await onImported(earliestDate);
+    };
+
+    if (!rows) {
+        return (
+            <div className="space-y-2">
+                <p className="text-sm text-gray-600">{t('import.intro')}</p>
+                <input type="file" accept=".csv,text/csv" onChange={handleFileChange} className="block w-full text-sm text-gray-600 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-indigo-50 file:text-indigo-700 hover:file:bg-indigo-100"/>
+            </div>
+        );
+    }
+
+    const headers = rows[0];
+    return (
+        <div className="space-y-4">
+            <p className="text-sm text-gray-600">{t('import.fileSummary', { fileName, count: rows.length - 1 })}</p>
+            <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                {IMPORT_FIELDS.map(field => (
+                    <div key={field.key}>
+                        <label htmlFor={`import-${field.key}`} className="block text-xs text-gray-600 mb-1">{t(`import.fields.${field.key}`)}{field.required ? ' *' : ''}</label>
+                        <select id={`import-${field.key}`} value={mapping[field.key]} onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value })} className="w-full p-2 border border-gray-300 rounded-md text-sm">
+                            <option value="">{field.required ? t('import.chooseColumn') : t('import.notInFile')}</option>
+                            {headers.map((header, i) => <option key={i} value={String(i)}>{header || t('import.column', { number: i + 1 })}</option>)}
+                        </select>
+                    </div>
+                ))}
+            </div>
+            {mapping.type === '' && (
+                <div className="flex items-center gap-2 text-sm">
+                    <label htmlFor="import-default-type" className="text-gray-600">{t('import.treatPositiveAs')}</label>
+                    <select id="import-default-type" value={defaultType} onChange={(e) => setDefaultType(e.target.value)} className="p-1 border border-gray-300 rounded-md">
+                        <option value="payment">{t('import.payments')}</option>
+                        <option value="loanIncrease">{t('import.loanIncreases')}</option>
+                    </select>
+                    <span className="text-gray-500">{t('import.negativeHint')}</span>
+                </div>
+            )}
+            <div className="overflow-x-auto max-h-96">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50 sticky top-0">
+                        <tr>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('import.importColumn')}</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('import.fields.date')}</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('import.fields.type')}</th>
+                            <th className="px-3 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('import.fields.amount')}</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('import.fields.description')}</th>
+                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('import.status')}</th>
+                        </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                        {preview.map(row => (
+                            <tr key={row.index} className={row.errors.length > 0 ? 'bg-red-50' : row.isDuplicate ? 'bg-amber-50' : ''}>
+                                <td className="px-3 py-2">
+                                    <input type="checkbox" aria-label={t('import.importRow', { number: row.index + 1 })} checked={isIncluded(row)} disabled={row.errors.length > 0} onChange={(e) => setExcluded({ ...excluded, [row.index]: !e.target.checked })}/>
+                                </td>
+                                <td className="px-3 py-2 whitespace-nowrap">{row.date ? format.date(row.date) : '—'}</td>
+                                <td className="px-3 py-2 whitespace-nowrap">{t(`transactionTypes.${row.type === 'payment' ? 'payment' : 'loanIncrease'}`)}</td>
+                                <td className="px-3 py-2 whitespace-nowrap text-right">{isNaN(row.amount) ? '—' : format.money(row.amount)}</td>
+                                <td className="px-3 py-2">{row.description}</td>
+                                <td className="px-3 py-2 text-xs">
+                                    {row.errors.length > 0
+                                        ? <span className="text-red-700">{row.errors.join('; ')}</span>
+                                        : row.isDuplicate
+                                            ? <span className="text-amber-700">{t('import.duplicate')}</span>
+                                            : <span className="text-green-700">{t('import.ready')}</span>}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <div className="flex gap-4">
+                <button onClick={handleImport} disabled={isImporting || acceptedRows.length === 0 || !mapping.date || !mapping.amount} className="flex-1 bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 shadow-md disabled:bg-indigo-300">
+                    {isImporting ? t('import.importing') : t('import.importButton', { count: acceptedRows.length })}
+                </button>
+                <button onClick={handleReset} disabled={isImporting} className="flex-1 bg-gray-500 text-white py-2 px-4 rounded-lg hover:bg-gray-600">{t('common.cancel')}</button>
+            </div>
+        </div>
+    );
+};
+
+
+// --- Balance Chart ---
+// Plain SVG so the chart renders offline and without a hosted chart service.
+
+const CHART = { width: 640, height: 260, left: 64, right: 16, top: 16, bottom: 32 };
+
+const CHART_MARKERS = {
+    payment: { className: 'fill-green-500', radius: 4 },
+    advance: { className: 'fill-red-500', radius: 4 },
+    charge: { className: 'fill-orange-400', radius: 2.5 },
+};
+
+const markerFor = (type) => (type === 'payment' ? 'payment' : isChargeType(type) ? 'charge' : 'advance');
+
+// Rounds a tick step up to 1, 2 or 5 times a power of ten.
+const niceStep = (range, count) => {
+    const rough = range / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+    return [1, 2, 5, 10].map(m => m * magnitude).find(step => step >= rough);
+};
+
+const BalanceChart = ({ ledgerRows, projection, format, t }) => {
+    const [hovered, setHovered] = useState(null);
+
+    const chart = useMemo(() => {
+        const history = ledgerRows.map(t => ({ kind: 'history', date: t.date, balance: t.runningBalance, transaction: t }));
+        if (history.length === 0) return null;
+
+        const lastHistory = history[history.length - 1];
+        const today = new Date();
+        const projectionStart = { kind: 'today', date: today > lastHistory.date ? today : lastHistory.date, balance: lastHistory.balance };
+        const projected = projection.map(row => ({ kind: 'projection', date: row.date, balance: row.endingBalance, row }));
+
+        const allPoints = [...history, ...(projected.length > 0 ? [projectionStart, ...projected] : [projectionStart])];
+        const minTime = history[0].date.getTime();
+        const maxTime = Math.max(minTime + 1, ...allPoints.map(p => p.date.getTime()));
+        const maxBalance = Math.max(1, ...allPoints.map(p => p.balance));
+        const minBalance = Math.min(0, ...allPoints.map(p => p.balance));
+        const step = niceStep(maxBalance - minBalance, 4);
+        const yMin = Math.floor(minBalance / step) * step;
+        const yMax = Math.ceil(maxBalance / step) * step;
+
+        const plotWidth = CHART.width - CHART.left - CHART.right;
+        const plotHeight = CHART.height - CHART.top - CHART.bottom;
+        const x = (date) => CHART.left + ((date.getTime() - minTime) / (maxTime - minTime)) * plotWidth;
+        const y = (balance) => CHART.top + (1 - (balance - yMin) / (yMax - yMin)) * plotHeight;
+        const place = (p) => ({ ...p, x: x(p.date), y: y(p.balance) });
+
+        // The balance only changes when a transaction lands, so history is drawn as steps.
+        const historyPoints = history.map(place);
+        const historyPath = historyPoints
+            .map((p, i) => (i === 0 ? `M${p.x},${p.y}` : `H${p.x}V${p.y}`))
+            .join('') + `H${x(projectionStart.date)}`;
+        const projectedPoints = projected.map(place);
+        const projectionPath = projectedPoints.length > 0
+            ? `M${x(projectionStart.date)},${y(projectionStart.balance)}` + projectedPoints.map(p => `L${p.x},${p.y}`).join('')
+            : null;
+
+        const yTicks = [];
+        for (let value = yMin; value <= yMax + step / 2; value += step) {
+            yTicks.push({ value, y: y(value) });
+        }
+        const xTicks = Array.from({ length: 5 }, (_, i) => {
+            const date = new Date(minTime + ((maxTime - minTime) * i) / 4);
+            return { date, x: x(date) };
+        });
+
+        return { historyPoints, historyPath, projectedPoints, projectionPath, yTicks, xTicks, zeroY: y(0) };
+    }, [ledgerRows, projection]);
+
+    if (!chart) {
+        return <p className="text-center text-gray-500 py-4">{t('chart.empty')}</p>;
+    }
+
+    const tooltipLines = (point) => {
+        if (point.kind === 'projection') {
+            return [
+                t('chart.projected', { month: format.shortMonthYear(point.date) }),
+                t('chart.projectedPayment', { payment: format.money(point.row.payment), interest: format.money(point.row.interest) }),
+                t('chart.balance', { amount: format.money(point.balance) }),
+            ];
+        }
+        const transaction = point.transaction;
+        return [
+            `${format.date(transaction.date)} · ${describeTransaction(transaction, t, format)}`,
+            `${transaction.type === 'payment' ? '-' : '+'}${format.money(parseFloat(transaction.amount))}`,
+            t('chart.balance', { amount: format.money(point.balance) }),
+        ];
+    };
+
+    return (
+        <div className="space-y-3">
+            <div className="relative">
+                <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full h-auto" role="img" aria-label={t('chart.label')} onMouseLeave={() => setHovered(null)}>
+                    {chart.yTicks.map(tick => (
+                        <g key={tick.value}>
+                            <line x1={CHART.left} x2={CHART.width - CHART.right} y1={tick.y} y2={tick.y} className="stroke-gray-200" />
+                            <text x={CHART.left - 8} y={tick.y} textAnchor="end" dominantBaseline="middle" className="fill-gray-500 text-[10px]">
+                                {format.wholeMoney(tick.value)}
+                            </text>
+                        </g>
+                    ))}
+                    {chart.xTicks.map(tick => (
+                        <text key={tick.x} x={tick.x} y={CHART.height - 10} textAnchor="middle" className="fill-gray-500 text-[10px]">
+                            {format.shortMonthYear(tick.date)}
+                        </text>
+                    ))}
+                    <line x1={CHART.left} x2={CHART.width - CHART.right} y1={chart.zeroY} y2={chart.zeroY} className="stroke-gray-400" />
+
+                    <path d={chart.historyPath} fill="none" strokeWidth={2} className="stroke-indigo-600" />
+                    {chart.projectionPath && <path d={chart.projectionPath} fill="none" strokeWidth={2} strokeDasharray="6 4" className="stroke-indigo-400" />}
+
+                    {chart.historyPoints.map((p, i) => {
+                        const marker = CHART_MARKERS[markerFor(p.transaction.type)];
+                        return <circle key={`h${i}`} cx={p.x} cy={p.y} r={hovered === p ? marker.radius + 2 : marker.radius} className={marker.className} />;
+                    })}
+                    {chart.projectedPoints.map((p, i) => (
+                        <circle key={`p${i}`} cx={p.x} cy={p.y} r={hovered === p ? 4 : 2} className="fill-indigo-300" />
+                    ))}
+
+                    {/* Larger invisible targets make small markers easy to hover. */}
+                    {[...chart.historyPoints, ...chart.projectedPoints].map((p, i) => (
+                        <circle key={`t${i}`} cx={p.x} cy={p.y} r={8} fill="transparent" onMouseEnter={() => setHovered(p)} />
+                    ))}
+                </svg>
+                {hovered && (
+                    <div
+                        className="absolute pointer-events-none bg-gray-800 text-white text-xs rounded-md px-2 py-1 shadow-lg whitespace-nowrap"
+                        style={{
+                            left: `${(hovered.x / CHART.width) * 100}%`,
+                            top: `${(hovered.y / CHART.height) * 100}%`,
+                            transform: `translate(${hovered.x > CHART.width / 2 ? 'calc(-100% - 8px)' : '8px'}, -50%)`,
+                        }}
+                    >
+                        {tooltipLines(hovered).map(line => <p key={line}>{line}</p>)}
+                    </div>
+                )}
+            </div>
+            <div className="flex flex-wrap gap-4 text-xs text-gray-600">
+                {Object.entries(CHART_MARKERS).map(([key, marker]) => (
+                    <span key={key} className="flex items-center"><svg className="w-3 h-3 mr-1" viewBox="0 0 10 10"><circle cx="5" cy="5" r="4" className={marker.className} /></svg>{t(`chart.markers.${key}`)}</span>
+                ))}
+                {chart.projectionPath
+                    ? <span className="flex items-center"><svg className="w-6 h-3 mr-1" viewBox="0 0 24 6"><line x1="0" x2="24" y1="3" y2="3" strokeWidth={2} strokeDasharray="6 4" className="stroke-indigo-400" /></svg>{t('chart.projection')}</span>
+                    : <span className="text-gray-400">{t('chart.projectionHint')}</span>}
+            </div>
+        </div>
+    );
+};
+
+
+// --- Year-End Statement ---
+
+const StatementView = ({ loanData, ledgerRows, year, format, t, onClose }) => {
+    const statement = useMemo(() => buildYearStatement(ledgerRows, year), [ledgerRows, year]);
+    const ratesInYear = getRatePeriods(loanData.settings)
+        .filter((p, i, periods) => p.effectiveDate < new Date(year + 1, 0, 1) && (i === periods.length - 1 || periods[i + 1].effectiveDate > new Date(year, 0, 1)));
+
+    const summaryLines = [
+        [t('statement.openingBalance'), statement.openingBalance],
+        [t('statement.advances'), statement.advances],
+        [t('statement.interestAccrued'), statement.interestAccrued],
+        ...(statement.feesCharged > 0 ? [[t('statement.feesCharged'), statement.feesCharged]] : []),
+        [t('statement.paymentsReceived'), -statement.payments],
+        [t('statement.closingBalance'), statement.closingBalance],
+    ];
+
+    return (
+        <div className="print-area fixed inset-0 z-50 bg-white overflow-y-auto">
+            <div className="max-w-3xl mx-auto p-8 text-gray-900 space-y-6">
+                <div className="flex justify-end gap-3 print:hidden">
+                    <button onClick={() => window.print()} className="bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 shadow-md">{t('statement.print')}</button>
+                    <button onClick={onClose} className="bg-gray-200 text-gray-800 py-2 px-4 rounded-lg hover:bg-gray-300">{t('statement.close')}</button>
+                </div>
+                <div className="border-b border-gray-300 pb-4">
+                    <h1 className="text-2xl font-bold">{t('statement.title', { year })}</h1>
+                    <p className="text-gray-600">{loanData.settings.appTitle}</p>
+                </div>
+                <div className="grid grid-cols-2 gap-4 text-sm">
+                    <div>
+                        <p className="text-gray-500">{t('statement.lender')}</p>
+                        <p className="font-semibold">{loanData.settings.lenderName || '—'}</p>
+                    </div>
+                    <div>
+                        <p className="text-gray-500">{t('statement.borrower')}</p>
+                        <p className="font-semibold">{loanData.settings.borrowerName || '—'}</p>
+                    </div>
+                    <div>
+                        <p className="text-gray-500">{t('statement.period')}</p>
+                        <p>{format.date(new Date(year, 0, 1))} – {format.date(new Date(year, 11, 31))}</p>
+                    </div>
+                    <div>
+                        <p className="text-gray-500">{t('statement.rate')}</p>
+                        <p>
+                            {ratesInYear.map(p => `${format.number(p.rate)}%`).join(t('statement.rateThen'))}
+                            {' '}({t(`accrualMethods.${getAccrualMethod(loanData.settings)}`)})
+                        </p>
+                    </div>
+                </div>
+                <table className="min-w-full text-sm">
+                    <tbody className="divide-y divide-gray-200">
+                        {summaryLines.map(([label, value], i) => (
+                            <tr key={label} className={i === 0 || i === summaryLines.length - 1 ? 'font-semibold' : ''}>
+                                <td className="py-2">{label}</td>
+                                <td className="py-2 text-right">{format.money(value)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <div className="grid grid-cols-2 gap-4 text-sm bg-gray-50 p-4 rounded-lg">
+                    <div>
+                        <p className="text-gray-500">{t('statement.interestPaidIn', { year })}</p>
+                        <p className="text-lg font-bold">{format.money(statement.interestPaid)}</p>
+                    </div>
+                    <div>
+                        <p className="text-gray-500">{t('statement.principalRepaidIn', { year })}</p>
+                        <p className="text-lg font-bold">{format.money(statement.principalPaid)}</p>
+                    </div>
+                </div>
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead>
+                        <tr>
+                            <th className="py-2 text-left font-medium text-gray-500">{t('statement.month')}</th>
+                            <th className="py-2 text-right font-medium text-gray-500">{t('statement.advances')}</th>
+                            <th className="py-2 text-right font-medium text-gray-500">{t('statement.payments')}</th>
+                            <th className="py-2 text-right font-medium text-gray-500">{t('statement.interestAccruedColumn')}</th>
+                            <th className="py-2 text-right font-medium text-gray-500">{t('statement.interestPaidColumn')}</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                        {statement.months.map(m => (
+                            <tr key={m.month}>
+                                <td className="py-1">{format.monthName(new Date(year, m.month, 1))}</td>
+                                <td className="py-1 text-right">{format.money(m.advances)}</td>
+                                <td className="py-1 text-right">{format.money(m.payments)}</td>
+                                <td className="py-1 text-right">{format.money(m.interestAccrued)}</td>
+                                <td className="py-1 text-right">{format.money(m.interestPaid)}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <p className="text-xs text-gray-500">{t('statement.footer', { date: format.date(new Date()), allocation: t(`paymentAllocations.${getPaymentAllocation(loanData.settings)}`).toLowerCase() })}</p>
+            </div>
+        </div>
+    );
+};
+
+
+// --- Members & Invites ---
+
+const MembersPanel = ({ storage, loanId, loanData, userId, profiles, format, t, onNotify }) => {
+    const [savingUid, setSavingUid] = useState(null);
+    const [editedName, setEditedName] = useState(null);
+    const [invite, setInvite] = useState(null);
+    const [joinRequests, setJoinRequests] = useState([]);
+    const [inviteOptions, setInviteOptions] = useState(DEFAULT_INVITE_OPTIONS);
+    const [isRotating, setIsRotating] = useState(false);
+    const [memberToRemove, setMemberToRemove] = useState(null);
+    const canManage = can(getMemberRole(loanData, userId), 'manageMembers');
+    const requesterProfiles = useUserProfiles(storage, joinRequests.map(request => request.uid));
+
+    useEffect(() => {
+        if (!canManage || !loanData.friendlyId) return;
+        const unsubscribeInvite = storage.watchDoc(inviteCodePath(loanData.friendlyId), setInvite, (err) => console.error("Error fetching invite:", err));
+        const unsubscribeRequests = storage.watchCollection(joinRequestsPath(loanId), {}, (docs) => {
+            setJoinRequests(docs.map(d => d.data));
+        }, (err) => console.error("Error fetching join requests:", err));
+        return () => {
+            unsubscribeInvite();
+            unsubscribeRequests();
+        };
+    }, [storage, canManage, loanId, loanData.friendlyId]);
+
+    const handleChangeRole = async (memberId, role) => {
+        if (getMemberRole(loanData, memberId) === 'owner' && role !== 'owner' && countOwners(loanData) <= 1) {
+            onNotify({type: 'error', message: t('members.needsOwner')});
+            return;
+        }
+        setSavingUid(memberId);
+        try {
+            await storage.setDoc(loanDocPath(loanId), { roles: { [memberId]: role } }, { merge: true });
+            onNotify({type: 'success', message: t('members.roleUpdated')});
+        } catch (err) {
+            console.error("Error updating role:", err);
+            onNotify({type: 'error', message: t('members.roleFailed')});
+        } finally {
+            setSavingUid(null);
+        }
+    };
+
+    const handleSaveName = async (e) => {
+        e.preventDefault();
+        const displayName = normalizeDisplayName(editedName);
+        if (!displayName) return;
+        setSavingUid(userId);
+        try {
+            await storage.setDoc(userProfilePath(userId), { displayName, updatedAt: Timestamp.now() }, { merge: true });
+            setEditedName(null);
+            onNotify({type: 'success', message: t('members.nameUpdated')});
+        } catch (err) {
+            console.error("Error updating name:", err);
+            onNotify({type: 'error', message: t('members.nameFailed')});
+        } finally {
+            setSavingUid(null);
+        }
+    };
+
+    const handleRemoveMember = async () => {
+        if (!memberToRemove) return;
+        setSavingUid(memberToRemove);
+        try {
+            const batch = storage.batch();
+            batch.set(loanDocPath(loanId), { members: arrayRemove(memberToRemove), roles: { [memberToRemove]: deleteField() } }, { merge: true });
+            logActivity(batch, loanId, userId, { entity: 'member', entityId: memberToRemove, action: 'leave' });
+            await batch.commit();
+            onNotify({type: 'success', message: t('members.removed')});
+        } catch (err) {
+            console.error("Error removing member:", err);
+            onNotify({type: 'error', message: t('members.removeFailed')});
+        } finally {
+            setSavingUid(null);
+            setMemberToRemove(null);
+        }
+    };
+
+    const handleRotateCode = async (e) => {
+        e.preventDefault();
+        setIsRotating(true);
+        try {
+            await storage.runTransaction(async (transaction) => {
+                const friendlyId = await reserveInviteCode(transaction, loanId, userId, inviteOptions);
+                if (loanData.friendlyId) {
+                    transaction.delete(inviteCodePath(loanData.friendlyId));
+                }
+                transaction.update(loanDocPath(loanId), { friendlyId });
+            });
+            onNotify({type: 'success', message: t('members.codeRotated')});
+        } catch (err) {
+            console.error("Error rotating invite code:", err);
+            onNotify({type: 'error', message: t('members.codeFailed')});
+        } finally {
+            setIsRotating(false);
+        }
+    };
+
+    const handleCopyJoinLink = async () => {
+        try {
+            await navigator.clipboard.writeText(window.location.origin + joinPath(loanData.friendlyId));
+            onNotify({type: 'success', message: t('members.linkCopied')});
+        } catch (err) {
+            console.error("Error copying join link:", err);
+            onNotify({type: 'error', message: t('members.copyFailed')});
+        }
+    };
+
+    // Approving a request made with a single-use code uses the code up, in the same write as the join.
+    const handleJoinRequest = async (request, approve) => {
+        const consumesInvite = approve && invite?.singleUse && request.code === loanData.friendlyId;
+        if (consumesInvite && invite.usedBy) {
+            onNotify({type: 'error', message: t('members.inviteUsedUp')});
+            return;
+        }
+        setSavingUid(request.uid);
+        const batch = storage.batch();
+        if (approve) {
+            batch.set(loanDocPath(loanId), { members: arrayUnion(request.uid), roles: { [request.uid]: DEFAULT_JOIN_ROLE } }, { merge: true });
+            logActivity(batch, loanId, userId, { entity: 'member', entityId: request.uid, action: 'join' });
+        }
+        if (consumesInvite) {
+            batch.update(inviteCodePath(request.code), { usedBy: request.uid, usedAt: Timestamp.now() });
+        }
+        batch.delete(`${joinRequestsPath(loanId)}/${request.uid}`);
+        try {
+            await batch.commit();
+            onNotify({type: 'success', message: approve ? t('members.approved', { name: requesterProfiles[request.uid]?.displayName || request.email || t('members.member') }) : t('members.declined')});
+        } catch (err) {
+            console.error("Error answering join request:", err);
+            onNotify({type: 'error', message: t('members.requestFailed')});
+        } finally {
+            setSavingUid(null);
+        }
+    };
+
+    const inviteStatus = invite
+        ? [
+            invite.expiresAt ? t('members.expires', { date: format.dateTime(invite.expiresAt.toDate()) }) : t('invites.expiry.never'),
+            invite.singleUse ? (invite.usedBy ? t('members.singleUseUsed') : t('members.singleUse')) : t('members.reusable'),
+            invite.requiresApproval ? t('members.approvalRequired') : t('members.joinsImmediately'),
+        ].join(' · ')
+        : [t('invites.expiry.never'), t('members.reusable'), t('members.joinsImmediately')].join(' · ');
+    const inviteProblem = getInviteProblem(invite);
+
+    return (
+        <div className="space-y-6">
+            {canManage && (
+                <div className="bg-gray-50 p-4 rounded-lg space-y-3">
+                    <div>
+                        <p className="text-sm text-gray-600">{t('members.inviteCode')}</p>
+                        <p className="font-mono text-lg font-semibold">
+                            <span className="select-all">{loanData.friendlyId}</span>
+                            {loanData.friendlyId && <button type="button" onClick={handleCopyJoinLink} className="ml-3 font-sans text-sm font-medium text-indigo-600 hover:text-indigo-800">{t('members.copyLink')}</button>}
+                        </p>
+                        <p className={`text-xs ${inviteProblem ? 'text-red-600' : 'text-gray-500'}`}>{inviteProblem ? t(`invites.problems.${inviteProblem}`) : inviteStatus}</p>
                     </div>
+                    <form onSubmit={handleRotateCode} className="space-y-2">
+                        <div className="flex flex-wrap gap-4 items-center text-sm text-gray-700">
+                            <select aria-label={t('members.codeExpiry')} value={inviteOptions.expiry} onChange={(e) => setInviteOptions({ ...inviteOptions, expiry: e.target.value })} className="p-1 border border-gray-300 rounded-md">
+                                {Object.keys(INVITE_EXPIRY_OPTIONS).map(value => (
+                                    <option key={value} value={value}>{t(`invites.expiry.${value}`)}</option>
+                                ))}
+                            </select>
+                            <label className="flex items-center"><input type="checkbox" checked={inviteOptions.singleUse} onChange={(e) => setInviteOptions({ ...inviteOptions, singleUse: e.target.checked })} className="mr-1"/>{t('members.singleUse')}</label>
+                            <label className="flex items-center"><input type="checkbox" checked={inviteOptions.requiresApproval} onChange={(e) => setInviteOptions({ ...inviteOptions, requiresApproval: e.target.checked })} className="mr-1"/>{t('members.requireApproval')}</label>
+                        </div>
+                        <button type="submit" disabled={isRotating} className="bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 shadow-md disabled:bg-indigo-300 text-sm">
+                            {isRotating ? t('members.creating') : t('members.generateCode')}
+                        </button>
+                    </form>
+                </div>
+            )}
+
+            {canManage && joinRequests.length > 0 && (
+                <div>
+                    <p className="text-sm font-medium text-gray-700 mb-2">{t('members.waitingForApproval')}</p>
+                    <ul className="divide-y divide-gray-200">
+                        {joinRequests.map(request => (
+                            <li key={request.uid} className="py-2 flex justify-between items-center gap-4 text-sm">
+                                <span className="truncate">
+                                    {requesterProfiles[request.uid]?.displayName || t('members.unknown')}
+                                    {request.email && <span className="text-gray-500"> · {request.email}</span>}
+                                </span>
+                                <span className="flex gap-3 font-medium">
+                                    <button onClick={() => handleJoinRequest(request, true)} disabled={savingUid === request.uid} className="text-green-600 hover:text-green-800">{t('members.approve')}</button>
+                                    <button onClick={() => handleJoinRequest(request, false)} disabled={savingUid === request.uid} className="text-red-600 hover:text-red-800">{t('members.decline')}</button>
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+
+            <ul className="divide-y divide-gray-200">
+                {loanData.members.map(memberId => {
+                    const role = getMemberRole(loanData, memberId);
+                    return (
+                        <li key={memberId} className="py-3 flex justify-between items-center gap-4">
+                            <div className="min-w-0">
+                                {memberId === userId && editedName !== null ? (
+                                    <form onSubmit={handleSaveName} className="flex items-center gap-2">
+                                        <input type="text" aria-label={t('members.yourName')} value={editedName} onChange={(e) => setEditedName(e.target.value)} maxLength={MAX_DISPLAY_NAME_LENGTH} autoFocus className="p-1 border border-gray-300 rounded-md text-sm" />
+                                        <button type="submit" disabled={savingUid === userId || !normalizeDisplayName(editedName)} className="text-sm font-medium text-indigo-600 hover:text-indigo-900 disabled:text-gray-400">{t('common.save')}</button>
+                                        <button type="button" onClick={() => setEditedName(null)} className="text-sm font-medium text-gray-500 hover:text-gray-700">{t('common.cancel')}</button>
+                                    </form>
+                                ) : (
+                                    <p className="text-sm text-gray-800 truncate">
+                                        {getAuthorName(profiles, memberId, t)}
+                                        {memberId === userId && (
+                                            <>
+                                            <span className="text-gray-500">{t('members.you')}</span>
+                                            <button onClick={() => setEditedName(profiles[userId]?.displayName || '')} className="ml-2 text-xs font-medium text-indigo-600 hover:text-indigo-900">{t('members.changeName')}</button>
+                                            </>
+                                        )}
+                                    </p>
+                                )}
+                                <p className="text-xs text-gray-500 truncate">{[profiles[memberId]?.email, t(`roles.${role}.description`)].filter(Boolean).join(' · ')}</p>
+                            </div>
+                            {canManage ? (
+                                <div className="flex items-center gap-3">
+                                    <select aria-label={t('members.role')} value={role} disabled={savingUid === memberId} onChange={(e) => handleChangeRole(memberId, e.target.value)} className="p-1 border border-gray-300 rounded-md text-sm">
+                                        {ROLES.map(value => (
+                                            <option key={value} value={value}>{t(`roles.${value}.label`)}</option>
+                                        ))}
+                                    </select>
+                                    {memberId !== userId && (
+                                        <button onClick={() => setMemberToRemove(memberId)} disabled={savingUid === memberId} className="text-sm font-medium text-red-600 hover:text-red-900">{t('common.remove')}</button>
+                                    )}
+                                </div>
+                            ) : (
+                                <span className="px-2 py-1 rounded-full text-xs font-semibold bg-indigo-100 text-indigo-700">{t(`roles.${role}.label`)}</span>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+
+            {memberToRemove && (
+                <Modal onClose={() => setMemberToRemove(null)}>
+                    <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('members.removeTitle')}</h3>
+                    <p className="text-sm text-gray-700 mb-6">{t('members.removeBody', { name: getAuthorName(profiles, memberToRemove, t) })}</p>
+                    <div className="flex justify-end space-x-3">
+                        <button onClick={() => setMemberToRemove(null)} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">{t('common.cancel')}</button>
+                        <button onClick={handleRemoveMember} className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700">{t('common.remove')}</button>
+                    </div>
+                </Modal>
+            )}
+        </div>
+    );
+};
+
+
+// --- Activity Log ---
+
+const ActivityLog = ({ storage, loanId, loanData, profiles, format, t }) => {
+    const [entries, setEntries] = useState([]);
+    const [filters, setFilters] = useState({ actorId: '', from: '', to: '' });
+    const actorProfiles = useUserProfiles(storage, entries.flatMap(entry => [entry.actorId, entry.entity === 'member' ? entry.entityId : null]));
+    const allProfiles = { ...actorProfiles, ...profiles };
+
+    useEffect(() => {
+        const unsubscribe = storage.watchCollection(activityPath(loanId), { orderBy: ['createdAt', 'desc'] }, (docs) => {
+            setEntries(docs.map(({ id, data }) => ({ id, ...data, createdAt: data.createdAt.toDate() })));
+        }, (err) => console.error("Error fetching activity:", err));
+        return () => unsubscribe();
+    }, [storage, loanId]);
+
+    const actorIds = [...new Set([...loanData.members, ...entries.map(entry => entry.actorId)])];
+    const visibleEntries = filterActivity(entries, filters);
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap gap-3 items-center text-sm">
+                <select aria-label={t('activity.filterByMember')} value={filters.actorId} onChange={(e) => setFilters({ ...filters, actorId: e.target.value })} className="p-1 border border-gray-300 rounded-md">
+                    <option value="">{t('activity.allMembers')}</option>
+                    {actorIds.map(uid => <option key={uid} value={uid}>{getAuthorName(allProfiles, uid, t)}</option>)}
+                </select>
+                <label className="flex items-center gap-1 text-gray-600">{t('activity.from')} <input type="date" value={filters.from} onChange={(e) => setFilters({ ...filters, from: e.target.value })} className="p-1 border border-gray-300 rounded-md" /></label>
+                <label className="flex items-center gap-1 text-gray-600">{t('activity.to')} <input type="date" value={filters.to} onChange={(e) => setFilters({ ...filters, to: e.target.value })} className="p-1 border border-gray-300 rounded-md" /></label>
+            </div>
+            {visibleEntries.length === 0 ? (
+                <p className="text-center text-gray-500 py-4">{entries.length === 0 ? t('activity.empty') : t('activity.noMatches')}</p>
+            ) : (
+                <ul className="divide-y divide-gray-200 max-h-96 overflow-y-auto">
+                    {visibleEntries.map(entry => (
+                        <li key={entry.id} className="py-3 text-sm">
+                            <div className="flex justify-between gap-4">
+                                <p className="text-gray-800"><span className="font-medium">{getAuthorName(allProfiles, entry.actorId, t)}</span> {describeActivity(entry, t, allProfiles)}</p>
+                                <p className="text-xs text-gray-500 whitespace-nowrap">{format.dateTime(entry.createdAt)}</p>
+                            </div>
+                            <ul className="mt-1 text-xs text-gray-600 space-y-0.5">
+                                {describeChanges(entry, format, t).map(change => (
+                                    <li key={change.label}>
+                                        <span className="text-gray-500">{change.label}:</span>{' '}
+                                        {change.before !== null && <span className={change.after !== null ? 'line-through text-red-600' : ''}>{change.before}</span>}
+                                        {change.before !== null && change.after !== null && ' → '}
+                                        {change.after !== null && <span className={change.before !== null ? 'text-green-700' : ''}>{change.after}</span>}
+                                    </li>
+                                ))}
+                            </ul>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+// --- Transaction Comments ---
+
+// Links to an attached file, with a thumbnail for images. Local files are object URLs, released on unmount.
+const AttachmentLink = ({ storage, path, attachment }) => {
+    const [url, setUrl] = useState(null);
+
+    useEffect(() => {
+        let active = true;
+        let loadedUrl = null;
+        storage.getFileUrl(path).then((fileUrl) => {
+            if (active) {
+                loadedUrl = fileUrl;
+                setUrl(fileUrl);
+            } else {
+                releaseFileUrl(fileUrl);
+            }
+        }, (err) => console.error("Error loading attachment:", err));
+        return () => {
+            active = false;
+            releaseFileUrl(loadedUrl);
+        };
+    }, [storage, path]);
+
+    if (!url) return <span className="text-xs text-gray-400">{attachment.name}</span>;
+    return (
+        <a href={url} target="_blank" rel="noopener noreferrer" title={attachment.name} className="text-xs font-medium text-indigo-600 hover:text-indigo-800">
+            {isImageAttachment(attachment) ? (
+                <img src={url} alt={attachment.name} className="h-20 w-20 object-cover rounded-md border border-gray-200" />
+            ) : (
+                <span className="inline-flex items-center px-2 py-1 rounded-md bg-gray-100">
+                    <Icon path="M19.5 14.25v-2.625a3.375 3.375 0 00-3.375-3.375h-1.5A1.125 1.125 0 0113.5 7.125v-1.5a3.375 3.375 0 00-3.375-3.375H8.25m2.25 0H5.625c-.621 0-1.125.504-1.125 1.125v17.25c0 .621.504 1.125 1.125 1.125h12.75c.621 0 1.125-.504 1.125-1.125V11.25a9 9 0 00-9-9z" className="w-4 h-4 mr-1" />
+                    {attachment.name}
+                </span>
+            )}
+        </a>
+    );
+};
+
+// The discussion on one transaction; `comments` are that transaction's, oldest first.
+const TransactionThread = ({ storage, loanId, userId, role, transaction, comments, profiles, isOnline, format, t, onNotify, onClose }) => {
+    const [text, setText] = useState('');
+    const [files, setFiles] = useState([]);
+    const [isPosting, setIsPosting] = useState(false);
+    const [commentToDelete, setCommentToDelete] = useState(null);
+    const fileInput = useRef(null);
+    // Uploads need a connection; a comment without files queues like any other write.
+    const canAttach = storage.mode === 'local' || isOnline;
+
+    const handlePickFiles = (e) => {
+        const picked = Array.from(e.target.files || []);
+        e.target.value = '';
+        const problem = picked.map(getAttachmentProblem).find(Boolean);
+        if (problem) {
+            onNotify({type: 'error', message: t(`comments.problems.${problem}`)});
+        } else if (files.length + picked.length > MAX_ATTACHMENTS) {
+            onNotify({type: 'error', message: t('comments.problems.count', { max: MAX_ATTACHMENTS })});
+        } else {
+            setFiles([...files, ...picked]);
+        }
+    };
+
+    const handlePost = async (e) => {
+        e.preventDefault();
+        const trimmed = text.trim();
+        if (!trimmed && files.length === 0) return;
+        setIsPosting(true);
+        const commentId = newDocId();
+        try {
+            const attachments = await uploadAttachments(storage, loanId, commentId, files, userId);
+            const batch = storage.batch();
+            addComment(batch, loanId, commentId, { transactionId: transaction.id, text: trimmed, attachments, authorId: userId });
+            try {
+                await commitOrQueue(batch);
+            } catch (err) {
+                await deleteFiles(storage, attachmentPaths(loanId, commentId, { attachments }));
+                throw err;
+            }
+            setText('');
+            setFiles([]);
+        } catch (err) {
+            console.error("Error posting comment:", err);
+            onNotify({type: 'error', message: t('comments.postFailed')});
+        } finally {
+            setIsPosting(false);
+        }
+    };
+
+    const handleDelete = async () => {
+        const { id, ...comment } = commentToDelete;
+        setCommentToDelete(null);
+        const batch = storage.batch();
+        batch.delete(`${commentsPath(loanId)}/${id}`);
+        try {
+            await commitOrQueue(batch);
+            await deleteFiles(storage, attachmentPaths(loanId, id, comment));
+        } catch (err) {
+            console.error("Error deleting comment:", err);
+            onNotify({type: 'error', message: t('comments.deleteFailed')});
+        }
+    };
 
-                    <div className="bg-white p-6 rounded-2xl shadow-lg border border-gray-200">
-                        <h2 className="text-2xl font-semibold text-gray-700 mb-4 flex items-center">
-                             <Icon path="M19 7.5v3m0 0v3m0-3h3m-3 0h-3m-2.25-4.125a3.375 3.375 0 1 1-6.75 0 3.375 3.375 0 0 1 6.75 0ZM3.375 19.125a7.125 7.125 0 0 1 14.25 0" className="w-6 h-6 mr-2 text-teal-500" />
-                            Join an Existing Loan
-                        </h2>
-                        <form onSubmit={handleJoinLoan}>
-                            <input type="text" value={joinLoanId} onChange={(e) => setJoinLoanId(e.target.value)} placeholder="Enter 6-Digit Code" className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-teal-500 transition" />
-                            <button type="submit" disabled={isJoining} className="w-full mt-4 bg-teal-600 text-white py-3 rounded-lg hover:bg-teal-700 transition shadow-md disabled:bg-teal-300 flex items-center justify-center">
-                                {isJoining ? <Spinner /> : 'Join Loan'}
-                            </button>
-                        </form>
-                    </div>
+    return (
+        <div>
+            <div className="flex justify-between items-start gap-4 mb-4">
+                <div className="min-w-0">
+                    <h3 className="text-lg font-semibold text-gray-900">{t('comments.title')}</h3>
+                    <p className="text-sm text-gray-500 truncate">{t('comments.about', { description: describeTransaction(transaction, t, format), date: format.date(transaction.date), amount: format.money(transaction.amount) })}</p>
                 </div>
+                <button onClick={onClose} aria-label={t('comments.close')} className="text-gray-400 hover:text-gray-600">
+                    <Icon path="M6 18L18 6M6 6l12 12" className="w-5 h-5" />
+                </button>
+            </div>
 
-                <div className="mt-10 bg-white p-6 rounded-2xl shadow-lg border border-gray-200">
-                     <h2 className="text-2xl font-semibold text-gray-700 mb-4 flex items-center">
-                        <Icon path="M3.75 12h16.5m-16.5 3.75h16.5M3.75 19.5h16.5M5.625 4.5h12.75a1.125 1.125 0 010 2.25H5.625a1.125 1.125 0 010-2.25z" className="w-6 h-6 mr-2 text-amber-500" />
-                        My Loans
-                    </h2>
-                    {loading ? (
-                        <div className="flex justify-center p-4"><Spinner color="gray-800" /></div>
-                    ) : userLoans.length > 0 ? (
-                        <ul className="space-y-3">
-                            {userLoans.map(loan => (
-                                <li key={loan.id} className="bg-gray-50 p-4 rounded-lg flex justify-between items-center transition group">
-                                    <div onClick={() => onSelectLoan(loan.id)} className="flex-grow cursor-pointer">
-                                        <p className="font-semibold text-gray-800 group-hover:text-indigo-800">{loan.settings.appTitle || "Untitled Loan"}</p>
-                                        <p className="text-xs text-gray-500 font-mono">CODE: {loan.friendlyId}</p>
-                                    </div>
-                                    <button onClick={(e) => { e.stopPropagation(); setLoanToLeave(loan); }} className="text-red-500 hover:text-red-700 p-2 rounded-full hover:bg-red-100">
-                                        <Icon path="M14.74 9l-.346 9m-4.788 0L9.26 9m9.968-3.21c.342.052.682.107 1.022.166m-1.022-.165L18.16 19.673a2.25 2.25 0 01-2.244 2.077H8.084a2.25 2.25 0 01-2.244-2.077L4.772 5.79m14.456 0a48.108 48.108 0 00-3.478-.397m-12 .562c.34-.059.68-.114 1.022-.165m0 0a48.11 48.11 0 013.478-.397m7.5 0v-.916c0-1.18-.91-2.134-2.09-2.134H8.09a2.09 2.09 0 00-2.09 2.134v.916m7.5 0a48.667 48.667 0 00-7.5 0" className="w-5 h-5" />
+            {comments.length > 0 ? (
+                <ul className="space-y-4 mb-4">
+                    {comments.map(comment => (
+                        <li key={comment.id} className="text-sm">
+                            <div className="flex justify-between gap-4">
+                                <p className="font-medium text-gray-800">{getAuthorName(profiles, comment.authorId, t)}</p>
+                                {comment.pendingSync ? <PendingSyncBadge t={t} /> : <p className="text-xs text-gray-500 whitespace-nowrap">{format.dateTime(comment.createdAt.toDate())}</p>}
+                            </div>
+                            {comment.text && <p className="mt-1 text-gray-700 whitespace-pre-wrap break-words">{comment.text}</p>}
+                            {comment.attachments?.length > 0 && (
+                                <div className="mt-2 flex flex-wrap gap-2">
+                                    {comment.attachments.map(attachment => (
+                                        <AttachmentLink key={attachment.id} storage={storage} path={attachmentPath(loanId, comment.id, attachment.id)} attachment={attachment} />
+                                    ))}
+                                </div>
+                            )}
+                            {(comment.authorId === userId || can(role, 'deleteAnyComment')) && (
+                                commentToDelete?.id === comment.id ? (
+                                    <p className="mt-1 text-xs text-gray-600">
+                                        {t('comments.deleteConfirm')}{' '}
+                                        <button onClick={handleDelete} className="font-semibold text-red-600 hover:text-red-800 mr-2">{t('common.delete')}</button>
+                                        <button onClick={() => setCommentToDelete(null)} className="font-semibold text-gray-600 hover:text-gray-800">{t('common.cancel')}</button>
+                                    </p>
+                                ) : (
+                                    <button onClick={() => setCommentToDelete(comment)} className="mt-1 text-xs text-red-600 hover:text-red-800">{t('common.delete')}</button>
+                                )
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-sm text-gray-500 mb-4">{t('comments.empty')}</p>
+            )}
+
+            {can(role, 'comment') ? (
+                <form onSubmit={handlePost} className="space-y-2 border-t border-gray-200 pt-4">
+                    <textarea value={text} onChange={(e) => setText(e.target.value)} maxLength={MAX_COMMENT_LENGTH} rows={3} placeholder={t('comments.placeholder')} className="w-full p-2 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-indigo-500" />
+                    {files.length > 0 && (
+                        <ul className="flex flex-wrap gap-2">
+                            {files.map((file, index) => (
+                                <li key={`${file.name}-${index}`} className="flex items-center gap-1 px-2 py-1 rounded-full bg-gray-100 text-xs text-gray-700">
+                                    {file.name}
+                                    <button type="button" onClick={() => setFiles(files.filter((_, i) => i !== index))} aria-label={t('comments.removeFile', { name: file.name })} className="text-gray-500 hover:text-red-600">
+                                        <Icon path="M6 18L18 6M6 6l12 12" className="w-3 h-3" />
                                     </button>
                                 </li>
                             ))}
                         </ul>
-                    ) : (
-                        <p className="text-center text-gray-500 py-4">You have not joined or created any loans yet.</p>
                     )}
-                </div>
-            </div>
+                    <div className="flex justify-between items-center gap-2">
+                        <div>
+                            <input ref={fileInput} type="file" accept={ATTACHMENT_ACCEPT} multiple onChange={handlePickFiles} className="hidden" />
+                            <button type="button" onClick={() => fileInput.current.click()} disabled={!canAttach || isPosting || files.length >= MAX_ATTACHMENTS} className="flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-800 disabled:text-gray-400">
+                                <Icon path="M18.375 12.739l-7.693 7.693a4.5 4.5 0 01-6.364-6.364l10.94-10.94A3 3 0 1119.5 7.372L8.552 18.32m.009-.01l-.01.01m5.699-9.941l-7.81 7.81a1.5 1.5 0 002.112 2.13" className="w-4 h-4 mr-1" />
+                                {t('comments.attach')}
+                            </button>
+                            {!canAttach && <p className="text-xs text-gray-500">{t('comments.attachOffline')}</p>}
+                        </div>
+                        <button type="submit" disabled={isPosting || (!text.trim() && files.length === 0) || (files.length > 0 && !canAttach)} className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:bg-indigo-300 flex items-center">
+                            {isPosting ? <Spinner /> : t('comments.post')}
+                        </button>
+                    </div>
+                </form>
+            ) : (
+                <p className="text-xs text-gray-500 border-t border-gray-200 pt-4">{t('comments.readOnly')}</p>
+            )}
         </div>
     );
-}
+};
+
 
 // --- Loan Detail Screen ---
-function LoanDetailScreen({ userId, loanId, onBack }) {
+function LoanDetailScreen({ storage, userId, locale, t, loanId, view, onChangeView, onBack }) {
     const [transactions, setTransactions] = useState([]);
+    const [deletedTransactions, setDeletedTransactions] = useState([]);
+    const [submittedPayments, setSubmittedPayments] = useState([]);
+    const [reviewingPaymentId, setReviewingPaymentId] = useState(null);
     const [loanData, setLoanData] = useState(null);
     const [loading, setLoading] = useState(true);
+    const [isUnavailable, setIsUnavailable] = useState(false);
     const [notification, setNotification] = useState(null);
-    const [isCalculatingInterest, setIsCalculatingInterest] = useState(false);
+    // Where charges still need reposting from; see `earlierDate` in postings.js.
+    const pendingPostingFrom = useRef(undefined);
+    const isPosting = useRef(false);
     
     const [newTransactionDate, setNewTransactionDate] = useState('');
     const [newTransactionType, setNewTransactionType] = useState('payment');
@@ -417,14 +2267,37 @@ function LoanDetailScreen({ userId, loanId, onBack }) {
     
     const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
     const [transactionToDelete, setTransactionToDelete] = useState(null);
+    const [transactionToPurge, setTransactionToPurge] = useState(null);
+    const [comments, setComments] = useState([]);
+    const [threadTransactionId, setThreadTransactionId] = useState(null);
     
     const [sortDirection, setSortDirection] = useState('desc');
+    const [transactionFilter, setTransactionFilter] = useState('all');
 
     const [formSettings, setFormSettings] = useState(null);
     const [isEditingSettings, setIsEditingSettings] = useState(false);
 
     const [projectionPayment, setProjectionPayment] = useState('');
     const [amortizationSchedule, setAmortizationSchedule] = useState([]);
+    const [projectionMode, setProjectionMode] = useState('payment');
+    const [solveBy, setSolveBy] = useState('date');
+    const [projectionTargetDate, setProjectionTargetDate] = useState('');
+    const [projectionTermMonths, setProjectionTermMonths] = useState('');
+    const [requiredPayment, setRequiredPayment] = useState(null);
+
+    const [statementYear, setStatementYear] = useState(new Date().getFullYear() - 1);
+    const [isStatementOpen, setIsStatementOpen] = useState(false);
+
+    const isOnline = useOnlineStatus();
+    const loanCurrency = getLoanCurrency(loanData?.settings);
+    const format = useMemo(() => createFormatter({ locale, currency: loanCurrency }), [locale, loanCurrency]);
+    const profiles = useUserProfiles(storage, [...(loanData?.members || []), ...transactions.map(t => t.authorId), ...submittedPayments.map(t => t.authorId), ...deletedTransactions.map(t => t.deletedBy), ...comments.map(c => c.authorId)]);
+
+    // Sections named in LOAN_VIEWS (routes.js) follow the URL, so /loans/{id}/projections opens on the projections.
+    const linkSection = (name) => ({
+        linkedOpen: view === name,
+        onToggle: (isOpen) => onChangeView(isOpen ? name : (view === name ? null : view)),
+    });
 
     const getTodayDate = () => {
         const today = new Date();
@@ -437,118 +2310,98 @@ function LoanDetailScreen({ userId, loanId, onBack }) {
 
     useEffect(() => {
         if (loanData?.settings) {
+            const [openingPeriod, ...laterPeriods] = getRatePeriods(loanData.settings);
             setFormSettings({
                 appTitle: loanData.settings.appTitle || '',
+                lenderName: loanData.settings.lenderName || '',
+                borrowerName: loanData.settings.borrowerName || '',
+                currency: getLoanCurrency(loanData.settings),
                 initialLoanAmount: loanData.settings.initialLoanAmount || '',
-                interestRate: loanData.settings.interestRate || '',
+                interestRate: openingPeriod?.rate ?? '',
+                rateChanges: laterPeriods.map(p => ({ effectiveDate: formatIsoDate(p.effectiveDate), rate: p.rate })),
+                accrualMethod: getAccrualMethod(loanData.settings),
+                paymentAllocation: getPaymentAllocation(loanData.settings),
+                repaymentPlan: {
+                    amount: loanData.settings.repaymentPlan?.amount ?? '',
+                    frequency: loanData.settings.repaymentPlan?.frequency || 'monthly',
+                    firstDueDate: loanData.settings.repaymentPlan?.firstDueDate ? formatIsoDate(loanData.settings.repaymentPlan.firstDueDate.toDate()) : '',
+                    graceDays: loanData.settings.repaymentPlan?.graceDays ?? 0,
+                    lateFee: loanData.settings.repaymentPlan?.lateFee ?? '',
+                },
                 initialLoanDate: loanData.settings.initialLoanDate?.toDate().toISOString().split('T')[0] || ''
             });
         }
     }, [loanData]);
 
-    const runInterestCalculation = async (currentLoanData, currentTransactions) => {
-        if (isCalculatingInterest || !currentLoanData || !currentLoanData.settings?.initialLoanDate || currentLoanData.settings.interestRate == null) {
-            return;
-        }
-        
-        setIsCalculatingInterest(true);
-        
-        const loanRef = doc(db, `artifacts/${appId}/public/data/loans/${loanId}`);
-        const transactionsRef = collection(loanRef, 'transactions');
-        const batch = writeBatch(db);
-
-        const interestQuery = query(transactionsRef, where('type', '==', 'interest'));
-        const interestSnapshot = await getDocs(interestQuery);
-        interestSnapshot.forEach(doc => batch.delete(doc.ref));
-
-        const nonInterestTransactions = currentTransactions
-            .filter(t => t.type !== 'interest')
-            .map(t => ({...t, date: t.date.toDate()}));
-
-        const dynamicTransactions = [
-            { date: currentLoanData.settings.initialLoanDate.toDate(), amount: currentLoanData.settings.initialLoanAmount, type: 'initial' },
-            ...nonInterestTransactions
-        ].sort((a, b) => a.date.getTime() - b.date.getTime());
-
-        const today = new Date();
-        let dateIterator = new Date(currentLoanData.settings.initialLoanDate.toDate());
-        let interestAdded = false;
-        
-        while(new Date(dateIterator.getFullYear(), dateIterator.getMonth() + 1, 0) < today) {
-            const year = dateIterator.getFullYear();
-            const month = dateIterator.getMonth();
-            const startOfMonth = new Date(year, month, 1);
-            const endOfMonth = new Date(year, month + 1, 0);
-
-            let balance = dynamicTransactions
-                .filter(t => t.date < startOfMonth)
-                .reduce((acc, t) => {
-                    const amount = parseFloat(t.amount);
-                    return t.type === 'payment' ? acc - amount : acc + amount;
-                }, 0);
-
-            if (balance > 0 && currentLoanData.settings.interestRate > 0) {
-                const monthlyRate = (currentLoanData.settings.interestRate / 100) / 12;
-                const interestAmount = balance * monthlyRate;
-                
-                if(interestAmount > 0.005) {
-                    const newInterestTransactionRef = doc(transactionsRef);
-                    const newInterestTx = {
-                        amount: interestAmount,
-                        date: Timestamp.fromDate(endOfMonth),
-                        description: `Monthly Interest - ${endOfMonth.toLocaleString('default', { month: 'long' })} ${year}`,
-                        type: 'interest',
-                        authorId: 'system',
-                        createdAt: Timestamp.now()
-                    };
-                    batch.set(newInterestTransactionRef, newInterestTx);
-                    dynamicTransactions.push({ ...newInterestTx, date: endOfMonth });
-                    dynamicTransactions.sort((a,b) => a.date.getTime() - b.date.getTime());
-                    interestAdded = true;
+    // Queues charges to be reposted from `from` (a Date, or null for the whole loan) and runs the queue.
+    // Changes made while a run is going, or while offline, are picked up by the next run. Only owners
+    // and lenders post; nothing a borrower does changes the charges until a lender confirms it. Failures
+    // are reported here, so callers run this once their own write has succeeded and outside its `try`.
+    // Resolves to whether the charges are up to date.
+    const runInterestCalculation = async (from = null) => {
+        if (!can(getMemberRole(loanData, userId), 'postCharges')) return true;
+        pendingPostingFrom.current = earlierDate(pendingPostingFrom.current, from);
+        if (isPosting.current || (storage.mode === 'cloud' && !navigator.onLine)) return true;
+
+        isPosting.current = true;
+        let changedCount = 0;
+        try {
+            while (pendingPostingFrom.current !== undefined) {
+                const next = pendingPostingFrom.current;
+                pendingPostingFrom.current = undefined;
+                try {
+                    changedCount += (await postCharges(storage, loanId, { from: next, userId })).length;
+                } catch (err) {
+                    pendingPostingFrom.current = earlierDate(pendingPostingFrom.current, next);
+                    throw err;
                 }
             }
-            dateIterator.setMonth(dateIterator.getMonth() + 1);
-        }
-
-        try {
-            await batch.commit();
-            if(interestAdded) {
-                setNotification({type: 'success', message: 'Interest recalculated successfully.'});
+            if (changedCount > 0) {
+                setNotification({type: 'success', message: t('loan.messages.interestRecalculated')});
             }
+            return true;
         } catch (err) {
             console.error("Error recalculating interest:", err);
-            setNotification({type: 'error', message: 'Failed to recalculate interest.'});
+            setNotification({type: 'error', message: t('loan.messages.chargesFailed')});
+            return false;
+        } finally {
+            isPosting.current = false;
         }
-        
-        setIsCalculatingInterest(false);
     };
 
+    useEffect(() => {
+        if (isOnline && pendingPostingFrom.current !== undefined) {
+            runInterestCalculation(pendingPostingFrom.current);
+        }
+    }, [isOnline]);
+
     useEffect(() => {
         if (!userId || !loanId) return;
 
         setLoading(true);
-        const settingsDocRef = doc(db, `artifacts/${appId}/public/data/loans/${loanId}`);
-        const unsubscribeSettings = onSnapshot(settingsDocRef, (docSnap) => {
-            if (docSnap.exists()) {
-                setLoanData(docSnap.data());
+        const unsubscribeSettings = storage.watchDoc(loanDocPath(loanId), (loan) => {
+            // A bookmarked or linked loan may have been deleted, or the user removed from it.
+            if (loan) {
+                setLoanData(loan);
+            } else {
+                setIsUnavailable(true);
             }
         }, (err) => {
             console.error("Error fetching settings:", err);
-            setNotification({type: 'error', message: "Could not fetch loan settings."});
+            setIsUnavailable(true);
         });
 
-        const transactionsColRef = collection(db, `artifacts/${appId}/public/data/loans/${loanId}/transactions`);
-        const q = query(transactionsColRef, orderBy('date', 'asc'));
-        const unsubscribeTransactions = onSnapshot(q, (snapshot) => {
-            const fetchedTransactions = snapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data(),
-            }));
-            setTransactions(fetchedTransactions);
+        const unsubscribeTransactions = storage.watchCollection(transactionsPath(loanId), { orderBy: ['date', 'asc'] }, (docs) => {
+            const fetchedTransactions = docs.map(({ id, data, pendingSync }) => ({ id, ...data, pendingSync }));
+            // Deleted transactions stay in the trash until the owner restores or purges them, and
+            // payments awaiting confirmation stay out of the ledger until a lender confirms them.
+            setTransactions(fetchedTransactions.filter(countsTowardBalance));
+            setSubmittedPayments(fetchedTransactions.filter(t => !t.deletedAt && (t.status === 'pending' || t.status === 'rejected')).reverse());
+            setDeletedTransactions(fetchedTransactions.filter(t => t.deletedAt).sort((a, b) => b.deletedAt.toMillis() - a.deletedAt.toMillis()));
             setLoading(false);
         }, (err) => {
             console.error("Error fetching transactions:", err);
-            setNotification({type: 'error', message: "Could not fetch loan transactions."});
+            setNotification({type: 'error', message: t('loan.messages.fetchTransactions')});
             setLoading(false);
         });
 
@@ -556,7 +2409,23 @@ function LoanDetailScreen({ userId, loanId, onBack }) {
             unsubscribeSettings();
             unsubscribeTransactions();
         };
-    }, [userId, loanId]);
+    }, [storage, userId, loanId]);
+
+    useEffect(() => {
+        if (!userId || !loanId) return;
+        return storage.watchCollection(commentsPath(loanId), { orderBy: ['createdAt', 'asc'] }, (docs) => {
+            setComments(docs.map(({ id, data, pendingSync }) => ({ id, ...data, pendingSync })));
+        }, (err) => console.error("Error fetching comments:", err));
+    }, [storage, userId, loanId]);
+
+    const commentCounts = useMemo(() => countComments(comments), [comments]);
+
+    // A loan from before managed invites gets its invite document the first time its owner opens it.
+    const shouldEnsureInvite = storage.mode === 'cloud' && can(getMemberRole(loanData, userId), 'manageMembers') && Boolean(loanData?.friendlyId);
+    useEffect(() => {
+        if (!shouldEnsureInvite) return;
+        ensureInviteDocument(storage, loanId, loanData, userId).catch(err => console.error("Error creating invite document:", err));
+    }, [storage, loanId, shouldEnsureInvite, loanData?.friendlyId]);
 
     const handleSaveSettings = async (e) => {
         e.preventDefault();
@@ -565,143 +2434,264 @@ function LoanDetailScreen({ userId, loanId, onBack }) {
         const newSettings = {
             ...loanData.settings,
             appTitle: formSettings.appTitle,
+            lenderName: formSettings.lenderName.trim(),
+            borrowerName: formSettings.borrowerName.trim(),
+            currency: formSettings.currency,
             initialLoanAmount: parseFloat(formSettings.initialLoanAmount),
             interestRate: parseFloat(formSettings.interestRate),
+            accrualMethod: formSettings.accrualMethod,
+            paymentAllocation: formSettings.paymentAllocation,
             initialLoanDate: Timestamp.fromDate(new Date(formSettings.initialLoanDate + 'T00:00:00')),
         };
 
         if (isNaN(newSettings.initialLoanAmount) || newSettings.interestRate == null || !formSettings.initialLoanDate) {
-            setNotification({type: 'error', message: "Please enter valid numbers and a date for all settings."});
+            setNotification({type: 'error', message: t('loan.messages.invalidSettings')});
+            return;
+        }
+
+        const rateChanges = formSettings.rateChanges.map(c => ({ effectiveDate: c.effectiveDate, rate: parseFloat(c.rate) }));
+        if (rateChanges.some(c => !c.effectiveDate || isNaN(c.rate) || c.rate < 0 || c.effectiveDate <= formSettings.initialLoanDate)) {
+            setNotification({type: 'error', message: t('loan.messages.invalidRateChange')});
             return;
         }
+        const planForm = formSettings.repaymentPlan;
+        if (planForm.amount === '' || planForm.amount == null) {
+            newSettings.repaymentPlan = null;
+        } else {
+            newSettings.repaymentPlan = {
+                amount: parseFloat(planForm.amount),
+                frequency: planForm.frequency,
+                graceDays: parseInt(planForm.graceDays, 10) || 0,
+                lateFee: parseFloat(planForm.lateFee) || 0,
+            };
+            if (!(newSettings.repaymentPlan.amount > 0) || !planForm.firstDueDate || newSettings.repaymentPlan.graceDays < 0 || newSettings.repaymentPlan.lateFee < 0) {
+                setNotification({type: 'error', message: t('loan.messages.invalidPlan')});
+                return;
+            }
+            newSettings.repaymentPlan.firstDueDate = Timestamp.fromDate(new Date(planForm.firstDueDate + 'T00:00:00'));
+        }
+
+        newSettings.ratePeriods = [
+            { effectiveDate: newSettings.initialLoanDate, rate: newSettings.interestRate },
+            ...rateChanges
+                .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate))
+                .map(c => ({ effectiveDate: Timestamp.fromDate(new Date(c.effectiveDate + 'T00:00:00')), rate: c.rate }))
+        ];
 
         setLoading(true);
         setNotification(null);
-        const settingsDocRef = doc(db, `artifacts/${appId}/public/data/loans/${loanId}`);
+        const batch = storage.batch();
+        batch.set(loanDocPath(loanId), { settings: newSettings }, { merge: true });
+        const changes = diffFields(loanData.settings, newSettings);
+        if (Object.keys(changes.after).length > 0) {
+            logActivity(batch, loanId, userId, { entity: 'settings', entityId: loanId, action: 'update', ...changes });
+        }
+        let saved = false;
         try {
-            await setDoc(settingsDocRef, { settings: newSettings }, { merge: true });
-            setNotification({type: 'success', message: 'Settings saved!'});
+            await commitOrQueue(batch);
+            saved = true;
+            setNotification({type: 'success', message: t('loan.messages.settingsSaved')});
             setIsEditingSettings(false);
-            await runInterestCalculation();
         } catch (err) {
-            setNotification({type: 'error', message: "Failed to save settings."});
+            setNotification({type: 'error', message: t('loan.messages.settingsFailed')});
         } finally {
             setLoading(false);
         }
+        if (saved) {
+            await runInterestCalculation(chargesAffectedFrom(loanData.settings, newSettings));
+        }
     };
 
     const handleAddOrUpdateTransaction = async (e) => {
         e.preventDefault();
         if (!userId || !loanId) return;
         if (!newTransactionDate || isNaN(parseFloat(newTransactionAmount)) || parseFloat(newTransactionAmount) <= 0) {
-            setNotification({type: 'error', message: "Please enter a valid date and amount."});
+            setNotification({type: 'error', message: t('loan.messages.invalidTransaction')});
             return;
         }
 
         setLoading(true);
         setNotification(null);
+        // An edit keeps who recorded the entry and when; only what it says changes.
         const transactionData = {
             date: Timestamp.fromDate(new Date(newTransactionDate + 'T00:00:00')),
             type: newTransactionType,
             amount: parseFloat(newTransactionAmount),
-            description: newTransactionDescription || `${newTransactionType} on ${new Date(newTransactionDate).toLocaleDateString()}`,
-            authorId: userId,
-            createdAt: Timestamp.now(),
+            description: newTransactionDescription,
         };
+        const needsConfirmation = !editingTransaction && !can(getMemberRole(loanData, userId), 'confirmPayment');
 
-        const transactionsColRef = collection(db, `artifacts/${appId}/public/data/loans/${loanId}/transactions`);
+        let affectedFrom = transactionData.date.toDate();
+        let saved = false;
         try {
+            const batch = storage.batch();
+            if (editingTransaction) {
+                // The entry may have been moved to the trash or purged while the form was open.
+                const current = transactions.find(t => t.id === editingTransaction.id);
+                if (!current) {
+                    setNotification({type: 'error', message: t('loan.messages.transactionFailed')});
+                    return;
+                }
+                const { id, pendingSync, ...before } = current;
+                affectedFrom = earlierDate(affectedFrom, before.date.toDate());
+                batch.set(`${transactionsPath(loanId)}/${id}`, transactionData, { merge: true });
+                logActivity(batch, loanId, userId, { entity: 'transaction', entityId: id, action: 'update', before, after: { ...before, ...transactionData } });
+            } else {
+                const created = { ...transactionData, authorId: userId, createdAt: Timestamp.now() };
+                if (needsConfirmation) {
+                    created.status = 'pending';
+                }
+                const transactionId = newDocId();
+                batch.set(`${transactionsPath(loanId)}/${transactionId}`, created);
+                logActivity(batch, loanId, userId, { entity: 'transaction', entityId: transactionId, action: 'create', after: created });
+            }
+            await commitOrQueue(batch);
+            saved = true;
             if (editingTransaction) {
-                await setDoc(doc(transactionsColRef, editingTransaction.id), transactionData, { merge: true });
-                setNotification({type: 'success', message: 'Transaction updated.'});
+                setNotification({type: 'success', message: t('loan.messages.transactionUpdated')});
                 setEditingTransaction(null);
             } else {
-                await addDoc(transactionsColRef, transactionData);
-                setNotification({type: 'success', message: 'Transaction added.'});
+                setNotification({type: 'success', message: needsConfirmation ? t('loan.messages.paymentSubmitted') : t('loan.messages.transactionAdded')});
             }
             setNewTransactionAmount('');
             setNewTransactionDescription('');
             setNewTransactionDate(getTodayDate());
             setNewTransactionType('payment'); // Reset to default
-            await runInterestCalculation(); // Recalculate interest after any change
         } catch (err) {
-            setNotification({type: 'error', message: "Failed to save transaction."});
+            setNotification({type: 'error', message: t('loan.messages.transactionFailed')});
         } finally {
             setLoading(false);
         }
+        if (saved && !needsConfirmation) {
+            await runInterestCalculation(affectedFrom);
+        }
     };
 
     const handleDeleteTransaction = async () => {
         if (!userId || !loanId || !transactionToDelete) return;
         setLoading(true);
         setNotification(null);
-        const transactionDocRef = doc(db, `artifacts/${appId}/public/data/loans/${loanId}/transactions`, transactionToDelete);
+        const { id, pendingSync, ...before } = [...transactions, ...submittedPayments].find(t => t.id === transactionToDelete);
+        const batch = storage.batch();
+        batch.update(`${transactionsPath(loanId)}/${id}`, { deletedAt: Timestamp.now(), deletedBy: userId });
+        logActivity(batch, loanId, userId, { entity: 'transaction', entityId: id, action: 'delete', before });
+        let saved = false;
         try {
-            await deleteDoc(transactionDocRef);
-            setNotification({type: 'success', message: 'Transaction deleted.'});
-            await runInterestCalculation(); // Recalculate interest after delete
+            await commitOrQueue(batch);
+            saved = true;
         } catch (err) {
-            setNotification({type: 'error', message: "Failed to delete transaction."});
+            setNotification({type: 'error', message: t('loan.messages.deleteFailed')});
         } finally {
             setLoading(false);
             setShowDeleteConfirm(false);
             setTransactionToDelete(null);
         }
+        // Posted after the recalculation so its own message does not replace the undo action.
+        if (saved && await runInterestCalculation(before.date.toDate())) {
+            setNotification({type: 'success', message: t('loan.messages.movedToTrash'), action: { label: t('common.undo'), onClick: () => handleRestoreTransaction(id) }});
+        }
     };
 
-    const { transactionsForDisplay, currentRunningBalance, lastPayment } = useMemo(() => {
-        if (!loanData?.settings?.initialLoanAmount || !loanData.settings.initialLoanDate) {
-            return { transactionsForDisplay: [], currentRunningBalance: 0, lastPayment: null };
+    const handleReviewPayment = async (payment, status) => {
+        setReviewingPaymentId(payment.id);
+        const { id, pendingSync, ...before } = payment;
+        const review = { status, reviewedBy: userId, reviewedAt: Timestamp.now() };
+        const batch = storage.batch();
+        batch.update(`${transactionsPath(loanId)}/${id}`, review);
+        logActivity(batch, loanId, userId, { entity: 'transaction', entityId: id, action: 'update', before, after: { ...before, ...review } });
+        let saved = false;
+        try {
+            await commitOrQueue(batch);
+            saved = true;
+            setNotification({type: 'success', message: status === 'confirmed' ? t('loan.messages.paymentConfirmed') : t('loan.messages.paymentRejected')});
+        } catch (err) {
+            console.error("Error reviewing payment:", err);
+            setNotification({type: 'error', message: t('loan.messages.reviewFailed')});
+        } finally {
+            setReviewingPaymentId(null);
         }
+        if (saved && status === 'confirmed') {
+            await runInterestCalculation(payment.date.toDate());
+        }
+    };
 
-        let lastPaymentInfo = null;
-        
-        const allTransactions = [
-            { id: 'initial', date: loanData.settings.initialLoanDate.toDate(), description: 'Initial Loan Amount', amount: parseFloat(loanData.settings.initialLoanAmount), type: 'initial' },
-            ...transactions.map(t => ({...t, date: t.date.toDate()}))
-        ].sort((a, b) => a.date.getTime() - b.date.getTime());
-
-        let runningBalance = 0;
-        const calculatedTransactions = allTransactions.map(t => {
-            const amount = parseFloat(t.amount);
-            if (t.type === 'payment') {
-                runningBalance -= amount;
-                lastPaymentInfo = { date: t.date, amount: amount };
-            } else {
-                runningBalance += amount;
-            }
-            return { ...t, runningBalance };
-        });
+    const handleRestoreTransaction = async (transactionId) => {
+        const transactionPath = `${transactionsPath(loanId)}/${transactionId}`;
+        let restored = null;
+        try {
+            // Read the entry fresh; when this is an undo the snapshot may not have caught up yet.
+            const { deletedAt, deletedBy, ...after } = await storage.getDoc(transactionPath);
+            const batch = storage.batch();
+            batch.update(transactionPath, { deletedAt: deleteField(), deletedBy: deleteField() });
+            logActivity(batch, loanId, userId, { entity: 'transaction', entityId: transactionId, action: 'restore', after });
+            await commitOrQueue(batch);
+            restored = after;
+            setNotification({type: 'success', message: t('loan.messages.restored')});
+        } catch (err) {
+            console.error("Error restoring transaction:", err);
+            setNotification({type: 'error', message: t('loan.messages.restoreFailed')});
+        }
+        if (restored) {
+            await runInterestCalculation(restored.date.toDate());
+        }
+    };
 
-        const sortedForDisplay = [...calculatedTransactions].sort((a, b) => {
-            if (sortDirection === 'desc') {
-                return b.date.getTime() - a.date.getTime();
-            }
-            return a.date.getTime() - b.date.getTime();
-        });
+    // The transaction's discussion goes with it, attachments included.
+    const handlePurgeTransaction = async () => {
+        const { id, deletedAt, deletedBy, pendingSync, ...before } = transactionToPurge;
+        const thread = comments.filter(comment => comment.transactionId === id);
+        const batch = storage.batch();
+        batch.delete(`${transactionsPath(loanId)}/${id}`);
+        thread.forEach(comment => batch.delete(`${commentsPath(loanId)}/${comment.id}`));
+        logActivity(batch, loanId, userId, { entity: 'transaction', entityId: id, action: 'purge', before });
+        try {
+            await commitOrQueue(batch);
+            setNotification({type: 'success', message: t('loan.messages.purged')});
+            await deleteFiles(storage, thread.flatMap(comment => attachmentPaths(loanId, comment.id, comment)));
+        } catch (err) {
+            console.error("Error purging transaction:", err);
+            setNotification({type: 'error', message: t('loan.messages.deleteFailed')});
+        } finally {
+            setTransactionToPurge(null);
+        }
+    };
 
-        return { 
-            transactionsForDisplay: sortedForDisplay, 
-            currentRunningBalance: runningBalance, 
-            lastPayment: lastPaymentInfo
-        };
-    }, [transactions, loanData, sortDirection]);
+    const loanSummary = useMemo(
+        () => summarizeLoan(loanData?.settings, transactions.map(t => ({ ...t, date: t.date.toDate() }))),
+        [transactions, loanData]
+    );
+    const {
+        ledgerRows = [],
+        balance: currentRunningBalance = 0,
+        lastPayment = null,
+        totals: paymentTotals = null,
+        percentPaidOff: percentagePaidOff = 0,
+        dueSchedule = [],
+        nextDue = null,
+        amountPastDue = 0,
+    } = loanSummary || {};
+
+    const transactionsForDisplay = useMemo(() => [...ledgerRows].sort((a, b) => {
+        if (sortDirection === 'desc') {
+            return b.date.getTime() - a.date.getTime();
+        }
+        return a.date.getTime() - b.date.getTime();
+    }), [ledgerRows, sortDirection]);
     
-    const percentagePaidOff = useMemo(() => {
-        if (!loanData?.settings?.initialLoanAmount || parseFloat(loanData.settings.initialLoanAmount) <= 0) return 0;
-        const totalPrincipalPaid = transactions
-            .filter(t => t.type === 'payment')
-            .reduce((acc, t) => acc + parseFloat(t.amount), 0);
-        
-        return Math.max(0, Math.min(100, (totalPrincipalPaid / parseFloat(loanData.settings.initialLoanAmount)) * 100));
-    }, [transactions, loanData]);
+    const visibleTransactions = useMemo(
+        () => transactionsForDisplay.filter(TRANSACTION_FILTERS[transactionFilter].matches),
+        [transactionsForDisplay, transactionFilter]
+    );
+
+    // Closes by itself if the transaction is deleted while its thread is open.
+    const threadTransaction = ledgerRows.find(row => row.id === threadTransactionId);
 
     const handleEditTransaction = (transaction) => {
         setEditingTransaction(transaction);
         setNewTransactionDate(transaction.date.toISOString().split('T')[0]);
         setNewTransactionType(transaction.type);
         setNewTransactionAmount(transaction.amount.toString());
-        setNewTransactionDescription(transaction.description || '');
+        setNewTransactionDescription(ownDescription(transaction));
     };
 
     const handleCancelEdit = () => {
@@ -719,40 +2709,71 @@ function LoanDetailScreen({ userId, loanId, onBack }) {
 
     const handleCalculateProjections = () => {
         if (!projectionPayment || isNaN(parseFloat(projectionPayment)) || parseFloat(projectionPayment) <= 0) {
-            setNotification({type: 'error', message: 'Please enter a valid monthly payment amount.'});
+            setNotification({type: 'error', message: t('loan.messages.invalidProjectionPayment')});
             return;
         }
 
         const monthlyPayment = parseFloat(projectionPayment);
-        const annualRate = loanData.settings.interestRate / 100;
-        const monthlyRate = annualRate / 12;
-        let balance = currentRunningBalance;
+        const ratePeriods = getRatePeriods(loanData.settings);
+        const accrualMethod = getAccrualMethod(loanData.settings);
+        const balance = currentRunningBalance;
+        const today = new Date();
         
-        if (monthlyPayment <= balance * monthlyRate) {
-            setNotification({type: 'error', message: 'Monthly payment must be greater than the interest to pay off the loan.'});
+        if (monthlyPayment <= projectedMonthInterest(balance, rateOn(ratePeriods, today), accrualMethod, today.getFullYear(), today.getMonth())) {
+            setNotification({type: 'error', message: t('loan.messages.paymentBelowInterest')});
             setAmortizationSchedule([]);
             return;
         }
 
-        const schedule = [];
-        let month = 1;
-        while (balance > 0 && month < 600) { // Safety break at 50 years
-            const interestForMonth = balance * monthlyRate;
-            const principalForMonth = monthlyPayment - interestForMonth;
-            balance -= principalForMonth;
-            schedule.push({
-                month,
-                payment: monthlyPayment,
-                principal: principalForMonth,
-                interest: interestForMonth,
-                endingBalance: balance > 0 ? balance : 0
-            });
-            month++;
+        setRequiredPayment(null);
+        setAmortizationSchedule(buildAmortizationSchedule({ balance, monthlyPayment, ratePeriods, accrualMethod }));
+    };
+
+    const handleSolveProjection = () => {
+        const months = solveBy === 'date'
+            ? (projectionTargetDate ? monthsUntil(new Date(projectionTargetDate + 'T00:00:00')) : 0)
+            : parseInt(projectionTermMonths, 10);
+
+        if (!months || months < 1 || months > 600) {
+            setNotification({type: 'error', message: solveBy === 'date'
+                ? t('loan.messages.invalidTargetDate')
+                : t('loan.messages.invalidTerm')});
+            return;
+        }
+        if (currentRunningBalance <= 0) {
+            setNotification({type: 'error', message: t('loan.messages.nothingToPayOff')});
+            return;
         }
-        setAmortizationSchedule(schedule);
+
+        const ratePeriods = getRatePeriods(loanData.settings);
+        const accrualMethod = getAccrualMethod(loanData.settings);
+        const monthlyPayment = solveMonthlyPayment({ balance: currentRunningBalance, months, ratePeriods, accrualMethod });
+        setRequiredPayment(monthlyPayment);
+        setAmortizationSchedule(buildAmortizationSchedule({ balance: currentRunningBalance, monthlyPayment, ratePeriods, accrualMethod }));
+    };
+
+    const handleExportTransactions = () => {
+        downloadCsv(exportFilename(loanData.settings.appTitle, 'transactions'), toCsv(TRANSACTION_CSV_COLUMNS, visibleTransactions.map(row => ({ ...row, description: describeTransaction(row, t, format), recordedBy: getAuthorName(profiles, row.authorId, t) }))));
+    };
+
+    const handleExportSchedule = () => {
+        downloadCsv(exportFilename(loanData.settings.appTitle, 'projection'), toCsv(AMORTIZATION_CSV_COLUMNS, amortizationSchedule));
     };
 
-    const isLoanPaidOff = currentRunningBalance <= 0 && loanData?.settings?.initialLoanAmount > 0;
+    const scheduleSummary = useMemo(() => summarizeSchedule(amortizationSchedule), [amortizationSchedule]);
+
+    const isLoanPaidOff = Boolean(loanSummary?.isPaidOff);
+
+    if (isUnavailable) {
+        return (
+            <div className="flex items-center justify-center min-h-screen bg-gray-100 p-4">
+                <div className="text-center">
+                    <p className="text-lg font-semibold text-gray-700">{t('loan.unavailable')}</p>
+                    <button onClick={onBack} className="mt-4 text-indigo-600 hover:text-indigo-800 font-semibold transition">{t('loan.back')}</button>
+                </div>
+            </div>
+        );
+    }
 
     if (loading || !loanData || !formSettings) {
         return (
@@ -763,33 +2784,60 @@ function LoanDetailScreen({ userId, loanId, onBack }) {
     }
 
     const isSetupComplete = loanData?.settings?.initialLoanAmount && loanData?.settings?.initialLoanDate && loanData.settings.interestRate != null;
+    const myRole = getMemberRole(loanData, userId);
+    const isSettingsLocked = (!isEditingSettings && isSetupComplete) || !can(myRole, 'editSettings');
+
+    const statementYears = [];
+    if (loanData.settings.initialLoanDate) {
+        for (let year = new Date().getFullYear(); year >= loanData.settings.initialLoanDate.toDate().getFullYear(); year--) {
+            statementYears.push(year);
+        }
+    }
+    const selectedStatementYear = statementYears.includes(statementYear) ? statementYear : statementYears[0];
+
+    const updateRepaymentPlan = (field, value) => {
+        setFormSettings({...formSettings, repaymentPlan: { ...formSettings.repaymentPlan, [field]: value }});
+    };
+
+    const updateRateChange = (index, field, value) => {
+        setFormSettings({...formSettings, rateChanges: formSettings.rateChanges.map((c, i) => i === index ? { ...c, [field]: value } : c)});
+    };
 
     return (
         <div className="min-h-screen bg-gray-100 font-inter text-gray-800 p-4 sm:p-6 lg:p-8">
             <style>{`@import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap'); body { font-family: 'Inter', sans-serif; }`}</style>
-            {notification && <Notification message={notification.message} type={notification.type} onDismiss={() => setNotification(null)} />}
+            {notification && <Notification message={notification.message} type={notification.type} action={notification.action} onDismiss={() => setNotification(null)} />}
             
             <div className="max-w-4xl mx-auto space-y-8">
                 <div>
                     <button onClick={onBack} className="mb-4 flex items-center text-indigo-600 hover:text-indigo-800 font-semibold transition">
                         <Icon path="M15.75 19.5 8.25 12l7.5-7.5" className="w-5 h-5 mr-2" />
-                        Back to My Loans
+                        {t('loan.back')}
                     </button>
                     <div className="text-center">
                         <h1 className="text-3xl sm:text-4xl font-bold text-gray-800">{loanData.settings.appTitle}</h1>
-                        <p className="text-xs text-gray-500 mt-2 bg-gray-200 p-2 rounded-md inline-block">SHARE CODE: <span className="font-mono select-all">{loanData.friendlyId}</span></p>
+                        {can(myRole, 'manageMembers') && loanData.friendlyId && (
+                            <p className="text-xs text-gray-500 mt-2 bg-gray-200 p-2 rounded-md inline-block">{t('loan.shareCode')} <span className="font-mono select-all">{loanData.friendlyId}</span></p>
+                        )}
+                        <p className="text-xs text-gray-500 mt-2">{t('loan.yourRole')} <span className="font-semibold">{myRole && t(`roles.${myRole}.label`)}</span></p>
                     </div>
                 </div>
                 
+                {!isOnline && storage.mode === 'cloud' && (
+                    <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 text-sm p-3 rounded-lg">
+                        {t('loan.offline')}
+                    </div>
+                )}
+
                 {isSetupComplete ? (
                     <>
                         <div className="bg-indigo-600 text-white p-6 rounded-2xl shadow-2xl text-center">
-                            <h2 className="text-lg font-semibold mb-2 opacity-80">Current Loan Balance</h2>
+                            <h2 className="text-lg font-semibold mb-2 opacity-80">{t('loan.currentBalance')}</h2>
                             {isLoanPaidOff ? (
-                                <p className="text-4xl sm:text-5xl font-bold text-green-300">Paid Off! 🎉</p>
+                                <p className="text-4xl sm:text-5xl font-bold text-green-300">{t('loan.paidOff')}</p>
                             ) : (
                                 <p className="text-4xl sm:text-5xl font-bold">
-                                    ${currentRunningBalance.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                                    {format.money(currentRunningBalance)}
                                 </p>
                             )}
                             {parseFloat(loanData.settings.initialLoanAmount) > 0 && !isLoanPaidOff && (
@@ -797,87 +2845,175 @@ function LoanDetailScreen({ userId, loanId, onBack }) {
                                     <div className="w-full bg-indigo-400 rounded-full h-2.5">
                                         <div className="bg-green-400 h-2.5 rounded-full" style={{ width: `${percentagePaidOff}%` }}></div>
                                     </div>
-                                    <p className="text-sm opacity-90">{percentagePaidOff.toFixed(1)}% Paid Off</p>
+                                    <p className="text-sm opacity-90">{t('loan.percentPaidOff', { percent: format.number(Number(percentagePaidOff.toFixed(1))) })}</p>
                                 </div>
                             )}
+                            {paymentTotals && (paymentTotals.totalPrincipalPaid > 0 || paymentTotals.totalInterestPaid > 0) && (
+                                <p className="text-sm opacity-80 mt-3">
+                                    {t('loan.paidTotals', { principal: format.money(paymentTotals.totalPrincipalPaid), interest: format.money(paymentTotals.totalInterestPaid) })}
+                                </p>
+                            )}
                             {lastPayment && (
                                 <p className="text-sm opacity-80 mt-3">
-                                    Last Payment: ${lastPayment.amount.toLocaleString('en-US', {minimumFractionDigits: 2, maximumFractionDigits: 2})} on {lastPayment.date.toLocaleDateString()}
+                                    {t('loan.lastPayment', { amount: format.money(lastPayment.amount), date: format.date(lastPayment.date) })}
+                                </p>
+                            )}
+                            {!isLoanPaidOff && nextDue && (
+                                <p className="text-sm opacity-80 mt-1">
+                                    {t('loan.nextDue', { amount: format.money(nextDue.amount - nextDue.paid), date: format.date(nextDue.dueDate) })}
+                                </p>
+                            )}
+                            {!isLoanPaidOff && amountPastDue > 0.005 && (
+                                <p className="text-sm font-semibold text-red-200 mt-1">
+                                    {t('loan.pastDue', { amount: format.money(amountPastDue) })}
                                 </p>
                             )}
                         </div>
 
-                        <AccordionSection title={editingTransaction ? "Edit Transaction" : "Add Transaction"} iconPath="M12 9v6m3-3H9m12 0a9 9 0 11-18 0 9 9 0 0118 0z" defaultOpen={!editingTransaction} forceOpen={!!editingTransaction}>
+                        <AccordionSection title={t('loan.sections.balanceOverTime')} iconPath="M3 13.125C3 12.504 3.504 12 4.125 12h2.25c.621 0 1.125.504 1.125 1.125v6.75C7.5 20.496 6.996 21 6.375 21h-2.25A1.125 1.125 0 013 19.875v-6.75zM9.75 8.625c0-.621.504-1.125 1.125-1.125h2.25c.621 0 1.125.504 1.125 1.125v11.25c0 .621-.504 1.125-1.125 1.125h-2.25a1.125 1.125 0 01-1.125-1.125V8.625zM16.5 4.125c0-.621.504-1.125 1.125-1.125h2.25C20.496 3 21 3.504 21 4.125v15.75c0 .621-.504 1.125-1.125 1.125h-2.25a1.125 1.125 0 01-1.125-1.125V4.125z" {...linkSection('chart')}>
+                            <BalanceChart ledgerRows={ledgerRows} projection={amortizationSchedule} format={format} t={t} />
+                        </AccordionSection>
+
+                        {can(myRole, 'addTransaction') && (
+                        <AccordionSection title={editingTransaction ? t('loan.sections.editTransaction') : t('loan.sections.addTransaction')} iconPath="M12 9v6m3-3H9m12 0a9 9 0 11-18 0 9 9 0 0118 0z" defaultOpen={!editingTransaction} forceOpen={!!editingTransaction}>
                             <form onSubmit={handleAddOrUpdateTransaction} className="space-y-4">
                                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
                                     <div>
-                                        <label htmlFor="transactionDate" className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                                        <label htmlFor="transactionDate" className="block text-sm font-medium text-gray-700 mb-1">{t('loan.form.date')}</label>
                                         <input type="date" id="transactionDate" value={newTransactionDate} onChange={(e) => setNewTransactionDate(e.target.value)} required className="w-full p-2 border border-gray-300 rounded-md"/>
                                     </div>
                                     <div>
-                                        <label htmlFor="transactionType" className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                                        <label htmlFor="transactionType" className="block text-sm font-medium text-gray-700 mb-1">{t('loan.form.type')}</label>
                                         <select id="transactionType" value={newTransactionType} onChange={(e) => setNewTransactionType(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md">
-                                            <option value="payment">Payment</option>
-                                            <option value="loanIncrease">Loan Increase</option>
+                                            <option value="payment">{t('transactionTypes.payment')}</option>
+                                            {can(myRole, 'addLoanIncrease') && <option value="loanIncrease">{t('transactionTypes.loanIncrease')}</option>}
                                         </select>
                                     </div>
                                 </div>
                                 <div>
-                                    <label htmlFor="transactionAmount" className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+                                    <label htmlFor="transactionAmount" className="block text-sm font-medium text-gray-700 mb-1">{t('loan.form.amount')}</label>
                                     <input type="number" id="transactionAmount" value={newTransactionAmount} onChange={(e) => setNewTransactionAmount(e.target.value)} placeholder="0.00" required step="0.01" className="w-full p-2 border border-gray-300 rounded-md"/>
                                 </div>
                                 <div>
-                                    <label htmlFor="transactionDescription" className="block text-sm font-medium text-gray-700 mb-1">Description (Optional)</label>
-                                    <input type="text" id="transactionDescription" value={newTransactionDescription} onChange={(e) => setNewTransactionDescription(e.target.value)} placeholder="e.g., Monthly payment" className="w-full p-2 border border-gray-300 rounded-md"/>
+                                    <label htmlFor="transactionDescription" className="block text-sm font-medium text-gray-700 mb-1">{t('loan.form.description')}</label>
+                                    <input type="text" id="transactionDescription" value={newTransactionDescription} onChange={(e) => setNewTransactionDescription(e.target.value)} placeholder={t('loan.form.descriptionPlaceholder')} className="w-full p-2 border border-gray-300 rounded-md"/>
                                 </div>
                                 <div className="flex gap-4">
                                     <button type="submit" disabled={loading} className="flex-1 bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 shadow-md disabled:bg-indigo-300">
-                                        {editingTransaction ? 'Update Transaction' : 'Add Transaction'}
+                                        {editingTransaction ? t('loan.form.update') : can(myRole, 'confirmPayment') ? t('loan.form.add') : t('loan.form.submitPayment')}
                                     </button>
-                                    {editingTransaction && <button type="button" onClick={handleCancelEdit} className="flex-1 bg-gray-500 text-white py-2 px-4 rounded-lg hover:bg-gray-600">Cancel</button>}
+                                    {editingTransaction && <button type="button" onClick={handleCancelEdit} className="flex-1 bg-gray-500 text-white py-2 px-4 rounded-lg hover:bg-gray-600">{t('common.cancel')}</button>}
                                 </div>
                             </form>
                         </AccordionSection>
+                        )}
+
+                        {submittedPayments.length > 0 && (
+                        <AccordionSection title={t('loan.sections.pendingPayments', { count: submittedPayments.filter(p => p.status === 'pending').length })} iconPath="M12 6v6h4.5m4.5 0a9 9 0 11-18 0 9 9 0 0118 0z" defaultOpen={can(myRole, 'confirmPayment') && submittedPayments.some(p => p.status === 'pending')}>
+                            <p className="text-sm text-gray-600 mb-3">{t('loan.pending.intro')}</p>
+                            <ul className="divide-y divide-gray-200">
+                                {submittedPayments.map(p => (
+                                    <li key={p.id} className="py-3 flex justify-between items-center gap-4 text-sm">
+                                        <div className="min-w-0">
+                                            <p className="text-gray-800 truncate">{format.date(p.date.toDate())} · {format.money(p.amount)} · {describeTransaction(p, t, format)}</p>
+                                            <p className="text-xs text-gray-500">{t('loan.pending.submittedBy', { name: getAuthorName(profiles, p.authorId, t) })}</p>
+                                            {p.pendingSync && <PendingSyncBadge t={t} />}
+                                        </div>
+                                        {p.status === 'rejected' && can(myRole, 'deleteTransaction') ? (
+                                            <button onClick={() => handleDeleteConfirm(p.id)} className="font-medium text-red-600 hover:text-red-900 whitespace-nowrap">{t('loan.pending.rejectedDelete')}</button>
+                                        ) : p.status === 'pending' && can(myRole, 'confirmPayment') ? (
+                                            <span className="flex gap-3 font-medium whitespace-nowrap">
+                                                <button onClick={() => handleReviewPayment(p, 'confirmed')} disabled={reviewingPaymentId === p.id} className="text-green-600 hover:text-green-800">{t('loan.pending.confirm')}</button>
+                                                <button onClick={() => handleReviewPayment(p, 'rejected')} disabled={reviewingPaymentId === p.id} className="text-red-600 hover:text-red-800">{t('loan.pending.reject')}</button>
+                                            </span>
+                                        ) : (
+                                            <span className={`px-2 py-1 rounded-full text-xs font-semibold whitespace-nowrap ${p.status === 'rejected' ? 'bg-red-100 text-red-700' : 'bg-yellow-100 text-yellow-800'}`}>{t(`paymentStatuses.${p.status}`)}</span>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                        </AccordionSection>
+                        )}
+
+                        {can(myRole, 'editTransaction') && (
+                        <AccordionSection title={t('loan.sections.importTransactions')} iconPath="M3 16.5v2.25A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75V16.5m-13.5-9L12 3m0 0l4.5 4.5M12 3v13.5">
+                            <TransactionImport storage={storage} loanId={loanId} userId={userId} transactions={[...transactions, ...submittedPayments]} format={format} t={t} onNotify={setNotification} onImported={runInterestCalculation} />
+                        </AccordionSection>
+                        )}
 
                         <div className="bg-white p-4 sm:p-6 rounded-xl shadow-lg border border-gray-200">
                             <div className="flex justify-between items-center mb-4">
                                 <h2 className="text-xl font-semibold text-gray-700 flex items-center">
                                     <Icon path="M3.75 12h16.5m-16.5 3.75h16.5M3.75 19.5h16.5M5.625 4.5h12.75a1.125 1.125 0 010 2.25H5.625a1.125 1.125 0 010-2.25z" className="w-6 h-6 mr-3 text-indigo-500" />
-                                    Transaction History
+                                    {t('loan.sections.history')}
                                 </h2>
-                                <button onClick={() => setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc')} className="flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-800">
-                                    Sort by Date {sortDirection === 'desc' ? <Icon path="M19.5 13.5L12 21m0 0l-7.5-7.5M12 21V3" className="w-4 h-4 ml-1" /> : <Icon path="M4.5 10.5L12 3m0 0l7.5 7.5M12 3v18" className="w-4 h-4 ml-1" />}
-                                </button>
+                                <div className="flex items-center gap-4">
+                                    <select aria-label={t('loan.history.filterByType')} value={transactionFilter} onChange={(e) => setTransactionFilter(e.target.value)} className="text-sm p-1 border border-gray-300 rounded-md">
+                                        {Object.keys(TRANSACTION_FILTERS).map(value => (
+                                            <option key={value} value={value}>{t(`loan.history.filters.${value}`)}</option>
+                                        ))}
+                                    </select>
+                                    <button onClick={() => setSortDirection(sortDirection === 'asc' ? 'desc' : 'asc')} className="flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-800">
+                                        {t('loan.history.sortByDate')} {sortDirection === 'desc' ? <Icon path="M19.5 13.5L12 21m0 0l-7.5-7.5M12 21V3" className="w-4 h-4 ml-1" /> : <Icon path="M4.5 10.5L12 3m0 0l7.5 7.5M12 3v18" className="w-4 h-4 ml-1" />}
+                                    </button>
+                                    <button onClick={handleExportTransactions} disabled={visibleTransactions.length === 0} className="flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-800 disabled:text-gray-400">
+                                        <Icon path="M3 16.5v2.25A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75V16.5M16.5 12L12 16.5m0 0L7.5 12m4.5 4.5V3" className="w-4 h-4 mr-1" />
+                                        {t('loan.history.exportCsv')}
+                                    </button>
+                                </div>
                             </div>
                             <div className="overflow-x-auto">
                                 {transactionsForDisplay.length <= 1 && transactions.filter(t => t.type !== 'initial').length === 0 ? (
-                                    <p className="text-center text-gray-500 py-4">No transactions recorded yet.</p>
+                                    <p className="text-center text-gray-500 py-4">{t('loan.history.empty')}</p>
                                 ) : (
                                     <table className="min-w-full divide-y divide-gray-200">
                                         <thead className="bg-gray-50">
                                             <tr>
-                                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
-                                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Description</th>
-                                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Amount</th>
-                                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Balance</th>
-                                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('loan.history.date')}</th>
+                                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('loan.history.description')}</th>
+                                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('loan.history.amount')}</th>
+                                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('loan.history.interestPaid')}</th>
+                                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('loan.history.principalPaid')}</th>
+                                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('loan.history.balance')}</th>
+                                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('loan.history.actions')}</th>
                                             </tr>
                                         </thead>
                                         <tbody className="bg-white divide-y divide-gray-200">
-                                            {transactionsForDisplay.map((t) => (
-                                            <tr key={t.id} className={t.type === 'initial' ? 'bg-blue-50 font-semibold' : 'hover:bg-gray-50'}>
-                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{t.date.toLocaleDateString()}</td>
-                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{t.description}</td>
-                                                <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${t.type === 'payment' ? 'text-green-600' : t.type === 'interest' ? 'text-orange-600' : 'text-red-600'}`}>
-                                                    {t.type !== 'initial' && (t.type === 'payment' ? '-' : '+')}
-                                                    ${t.amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
+                                            {visibleTransactions.map((row) => (
+                                            <tr key={row.id} className={row.type === 'initial' ? 'bg-blue-50 font-semibold' : 'hover:bg-gray-50'}>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                    {format.date(row.date)}
+                                                    {row.pendingSync && <span className="block"><PendingSyncBadge t={t} /></span>}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                                    {describeTransaction(row, t, format)}
+                                                    {row.authorId && (
+                                                        <span className="block text-xs font-normal text-gray-500">
+                                                            {row.authorId === 'system' ? getAuthorName(profiles, row.authorId, t) : t('loan.history.recordedBy', { name: getAuthorName(profiles, row.authorId, t) })}
+                                                        </span>
+                                                    )}
+                                                </td>
+                                                <td className={`px-6 py-4 whitespace-nowrap text-sm text-right font-medium ${row.type === 'payment' ? 'text-green-600' : isChargeType(row.type) ? 'text-orange-600' : 'text-red-600'}`}>
+                                                    {row.type !== 'initial' && (row.type === 'payment' ? '-' : '+')}
+                                                    {format.money(row.amount)}
                                                 </td>
-                                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 text-right">${t.runningBalance.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}</td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-orange-600">
+                                                    {row.type === 'payment' && format.money(row.interestPaid)}
+                                                    {row.type === 'payment' && row.feesPaid > 0 && <span className="block text-xs text-gray-500">{t('loan.history.fees', { amount: format.money(row.feesPaid) })}</span>}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-right text-green-600">
+                                                    {row.type === 'payment' && format.money(row.principalPaid)}
+                                                </td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 text-right">{format.money(row.runningBalance)}</td>
                                                 <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
-                                                    {t.type !== 'initial' && t.authorId !== 'system' && (
+                                                    {row.type !== 'initial' && (
                                                         <>
-                                                        <button onClick={() => handleEditTransaction(t)} className="text-indigo-600 hover:text-indigo-900 mr-3">Edit</button>
-                                                        <button onClick={() => handleDeleteConfirm(t.id)} className="text-red-600 hover:text-red-900">Delete</button>
+                                                        <button onClick={() => setThreadTransactionId(row.id)} aria-label={t('comments.open')} title={t('comments.open')} className="inline-flex items-center align-middle text-gray-500 hover:text-indigo-700 mr-3">
+                                                            <Icon path="M8.625 12a.375.375 0 11-.75 0 .375.375 0 01.75 0zm0 0H8.25m4.125 0a.375.375 0 11-.75 0 .375.375 0 01.75 0zm0 0H12m4.125 0a.375.375 0 11-.75 0 .375.375 0 01.75 0zm0 0h-.375M21 12c0 4.556-4.03 8.25-9 8.25a9.764 9.764 0 01-2.555-.337A5.972 5.972 0 015.41 20.97a5.969 5.969 0 01-.474-.065 4.48 4.48 0 00.978-2.025c.09-.457-.133-.901-.467-1.226C3.93 16.178 3 14.189 3 12c0-4.556 4.03-8.25 9-8.25s9 3.694 9 8.25z" className="w-5 h-5" />
+                                                            {commentCounts[row.id] > 0 && <span className="ml-1 px-1.5 rounded-full bg-indigo-100 text-indigo-700 text-xs font-semibold">{commentCounts[row.id]}</span>}
+                                                        </button>
+                                                        {row.authorId !== 'system' && can(myRole, 'editTransaction') && <button onClick={() => handleEditTransaction(row)} className="text-indigo-600 hover:text-indigo-900 mr-3">{t('common.edit')}</button>}
+                                                        {row.authorId !== 'system' && can(myRole, 'deleteTransaction') && <button onClick={() => handleDeleteConfirm(row.id)} className="text-red-600 hover:text-red-900">{t('common.delete')}</button>}
                                                         </>
                                                     )}
                                                 </td>
@@ -889,36 +3025,118 @@ function LoanDetailScreen({ userId, loanId, onBack }) {
                             </div>
                         </div>
 
-                        {loanData.settings.interestRate > 0 && (
-                        <AccordionSection title="Loan Projections" iconPath="M2.25 18L9 11.25l4.306 4.307a11.95 11.95 0 015.814-5.519l2.74-1.22m0 0l-3.75-2.25M21 18v-6m-18 6h18">
+                        {dueSchedule.length > 0 && (
+                        <AccordionSection title={t('loan.sections.paymentSchedule')} iconPath="M6.75 3v2.25M17.25 3v2.25M3 18.75V7.5a2.25 2.25 0 012.25-2.25h13.5A2.25 2.25 0 0121 7.5v11.25m-18 0A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75m-18 0v-7.5A2.25 2.25 0 015.25 9h13.5A2.25 2.25 0 0121 11.25v7.5" {...linkSection('schedule')}>
+                            <div className="overflow-x-auto max-h-96">
+                                <table className="min-w-full divide-y divide-gray-200">
+                                    <thead className="bg-gray-50 sticky top-0">
+                                        <tr>
+                                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('loan.schedule.dueDate')}</th>
+                                            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('loan.schedule.amountDue')}</th>
+                                            <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('loan.schedule.paid')}</th>
+                                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('loan.schedule.status')}</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="bg-white divide-y divide-gray-200">
+                                        {[...dueSchedule].reverse().map(due => (
+                                            <tr key={due.dueDate.getTime()}>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{format.date(due.dueDate)}</td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">{format.money(due.amount)}</td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">{format.money(due.paid)}</td>
+                                                <td className="px-6 py-4 whitespace-nowrap text-sm">
+                                                    <span className={`px-2 py-1 rounded-full text-xs font-semibold ${DUE_STATUS_STYLES[due.status]}`}>{t(`dueStatuses.${due.status}`)}</span>
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </AccordionSection>
+                        )}
+
+                        {hasPositiveRate(getRatePeriods(loanData.settings)) && (
+                        <AccordionSection title={t('loan.sections.projections')} iconPath="M2.25 18L9 11.25l4.306 4.307a11.95 11.95 0 015.814-5.519l2.74-1.22m0 0l-3.75-2.25M21 18v-6m-18 6h18" {...linkSection('projections')}>
                             <div className="space-y-4">
+                                <div className="flex rounded-lg bg-gray-100 p-1 text-sm font-medium">
+                                    <button onClick={() => setProjectionMode('payment')} className={`flex-1 py-2 rounded-md ${projectionMode === 'payment' ? 'bg-white shadow text-indigo-700' : 'text-gray-600'}`}>{t('loan.projections.iCanPay')}</button>
+                                    <button onClick={() => setProjectionMode('solve')} className={`flex-1 py-2 rounded-md ${projectionMode === 'solve' ? 'bg-white shadow text-indigo-700' : 'text-gray-600'}`}>{t('loan.projections.payOffBy')}</button>
+                                </div>
+                                {projectionMode === 'payment' ? (
+                                <div>
+                                    <label htmlFor="projectionPayment" className="block text-sm font-medium text-gray-700 mb-1">{t('loan.projections.monthlyPayment', { currency: loanCurrency })}</label>
+                                    <div className="flex gap-2">
+                                        <input type="number" id="projectionPayment" value={projectionPayment} onChange={(e) => setProjectionPayment(e.target.value)} placeholder={t('loan.projections.paymentPlaceholder')} className="w-full p-2 border border-gray-300 rounded-md"/>
+                                        <button onClick={handleCalculateProjections} className="bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 shadow-md">{t('loan.projections.calculate')}</button>
+                                    </div>
+                                </div>
+                                ) : (
                                 <div>
-                                    <label htmlFor="projectionPayment" className="block text-sm font-medium text-gray-700 mb-1">Enter a Monthly Payment Amount ($)</label>
+                                    <div className="flex gap-4 mb-2 text-sm text-gray-700">
+                                        <label className="flex items-center"><input type="radio" name="solveBy" checked={solveBy === 'date'} onChange={() => setSolveBy('date')} className="mr-1"/>{t('loan.projections.targetDate')}</label>
+                                        <label className="flex items-center"><input type="radio" name="solveBy" checked={solveBy === 'term'} onChange={() => setSolveBy('term')} className="mr-1"/>{t('loan.projections.numberOfMonths')}</label>
+                                    </div>
                                     <div className="flex gap-2">
-                                        <input type="number" id="projectionPayment" value={projectionPayment} onChange={(e) => setProjectionPayment(e.target.value)} placeholder="e.g., 500" className="w-full p-2 border border-gray-300 rounded-md"/>
-                                        <button onClick={handleCalculateProjections} className="bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 shadow-md">Calculate</button>
+                                        {solveBy === 'date' ? (
+                                            <input type="date" aria-label={t('loan.projections.targetDateLabel')} value={projectionTargetDate} onChange={(e) => setProjectionTargetDate(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md"/>
+                                        ) : (
+                                            <input type="number" aria-label={t('loan.projections.termLabel')} min="1" step="1" value={projectionTermMonths} onChange={(e) => setProjectionTermMonths(e.target.value)} placeholder={t('loan.projections.termPlaceholder')} className="w-full p-2 border border-gray-300 rounded-md"/>
+                                        )}
+                                        <button onClick={handleSolveProjection} className="bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 shadow-md">{t('loan.projections.solve')}</button>
                                     </div>
                                 </div>
+                                )}
+                                {amortizationSchedule.length > 0 && (
+                                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-center">
+                                        {requiredPayment != null && (
+                                            <div className="bg-indigo-50 p-3 rounded-lg">
+                                                <p className="text-xs text-gray-500">{t('loan.projections.requiredPayment')}</p>
+                                                <p className="font-semibold text-indigo-700">{t('common.perMonth', { amount: format.money(requiredPayment) })}</p>
+                                            </div>
+                                        )}
+                                        <div className="bg-gray-50 p-3 rounded-lg">
+                                            <p className="text-xs text-gray-500">{t('loan.projections.payoffDate')}</p>
+                                            <p className="font-semibold">{scheduleSummary.payoffDate ? format.date(scheduleSummary.payoffDate) : t('common.overFiftyYears')}</p>
+                                        </div>
+                                        <div className="bg-gray-50 p-3 rounded-lg">
+                                            <p className="text-xs text-gray-500">{t('loan.projections.totalInterest')}</p>
+                                            <p className="font-semibold text-orange-600">{format.money(scheduleSummary.totalInterest)}</p>
+                                        </div>
+                                        <div className="bg-gray-50 p-3 rounded-lg">
+                                            <p className="text-xs text-gray-500">{t('loan.projections.totalPaid')}</p>
+                                            <p className="font-semibold">{format.money(scheduleSummary.totalPaid)}</p>
+                                        </div>
+                                    </div>
+                                )}
+                                {amortizationSchedule.length > 0 && (
+                                    <div className="flex justify-end">
+                                        <button onClick={handleExportSchedule} className="flex items-center text-sm font-medium text-indigo-600 hover:text-indigo-800">
+                                            <Icon path="M3 16.5v2.25A2.25 2.25 0 005.25 21h13.5A2.25 2.25 0 0021 18.75V16.5M16.5 12L12 16.5m0 0L7.5 12m4.5 4.5V3" className="w-4 h-4 mr-1" />
+                                            {t('loan.projections.exportSchedule')}
+                                        </button>
+                                    </div>
+                                )}
                                 {amortizationSchedule.length > 0 && (
                                     <div className="overflow-x-auto max-h-96">
                                          <table className="min-w-full divide-y divide-gray-200">
                                             <thead className="bg-gray-50 sticky top-0">
                                                 <tr>
-                                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Month</th>
-                                                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Payment</th>
-                                                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Principal</th>
-                                                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Interest</th>
-                                                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Ending Balance</th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('loan.projections.month')}</th>
+                                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{t('loan.projections.date')}</th>
+                                                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('loan.projections.payment')}</th>
+                                                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('loan.projections.principal')}</th>
+                                                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('loan.projections.interest')}</th>
+                                                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">{t('loan.projections.endingBalance')}</th>
                                                 </tr>
                                             </thead>
                                             <tbody className="bg-white divide-y divide-gray-200">
                                                 {amortizationSchedule.map(row => (
                                                     <tr key={row.month}>
                                                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{row.month}</td>
-                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">${row.payment.toFixed(2)}</td>
-                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-green-600 text-right">${row.principal.toFixed(2)}</td>
-                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-orange-600 text-right">${row.interest.toFixed(2)}</td>
-                                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 text-right">${row.endingBalance.toFixed(2)}</td>
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{format.date(row.date)}</td>
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 text-right">{format.money(row.payment)}</td>
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-green-600 text-right">{format.money(row.principal)}</td>
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-orange-600 text-right">{format.money(row.interest)}</td>
+                                                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900 text-right">{format.money(row.endingBalance)}</td>
                                                     </tr>
                                                 ))}
                                             </tbody>
@@ -928,54 +3146,206 @@ function LoanDetailScreen({ userId, loanId, onBack }) {
                             </div>
                         </AccordionSection>
                         )}
+                        <AccordionSection title={t('loan.sections.statement')} iconPath="M19.5 14.25v-2.625a3.375 3.375 0 00-3.375-3.375h-1.5A1.125 1.125 0 0113.5 7.125v-1.5a3.375 3.375 0 00-3.375-3.375H8.25m0 12.75h7.5m-7.5 3H12M10.5 2.25H5.625c-.621 0-1.125.504-1.125 1.125v17.25c0 .621.504 1.125 1.125 1.125h12.75c.621 0 1.125-.504 1.125-1.125V11.25a9 9 0 00-9-9z" {...linkSection('statement')}>
+                            <div className="flex gap-2">
+                                <select aria-label={t('loan.statement.year')} value={selectedStatementYear} onChange={(e) => setStatementYear(parseInt(e.target.value, 10))} className="flex-1 p-2 border border-gray-300 rounded-md">
+                                    {statementYears.map(year => <option key={year} value={year}>{year}</option>)}
+                                </select>
+                                <button onClick={() => setIsStatementOpen(true)} className="bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 shadow-md">{t('loan.statement.view')}</button>
+                            </div>
+                            {(!loanData.settings.lenderName || !loanData.settings.borrowerName) && (
+                                <p className="text-xs text-gray-500 mt-2">{t('loan.statement.namesHint')}</p>
+                            )}
+                        </AccordionSection>
+
+                        {currentRunningBalance > 0 && (
+                        <AccordionSection title={t('loan.sections.scenarios')} iconPath="M7.5 21L3 16.5m0 0L7.5 12M3 16.5h13.5m0-13.5L21 7.5m0 0L16.5 12M21 7.5H7.5" {...linkSection('scenarios')}>
+                            <ScenarioComparison storage={storage} loanId={loanId} userId={userId} loanData={loanData} balance={currentRunningBalance} canShare={can(myRole, 'editSettings')} format={format} t={t} onNotify={setNotification} />
+                        </AccordionSection>
+                        )}
                     </>
                 ) : null}
 
-                <AccordionSection title="Loan Settings" iconPath="M10.343 3.94c.09-.542.56-.94 1.11-.94h1.093c.55 0 1.02.398 1.11.94l.149.894c.07.424.384.764.78.93.398.164.855.142 1.205-.055l.732-.41c.464-.26.996-.059 1.256.397l.547.947c.26.456.058 1.002-.398 1.256l-.732.41c-.35.197-.557.576-.557.98l0 .001c0 .403.207.782.557.98l.732.41c.456.254.658.8-.398-1.256l-.547-.947c-.26.456-.792.657-1.256.397l-.732-.41c-.35-.197-.807-.22-1.205-.055a1.73 1.73 0 00-.78.93l-.149.894c-.09.542-.56.94-1.11.94h-1.093c-.55 0-1.02-.398-1.11-.94l-.149-.894a1.73 1.73 0 00-.78-.93c-.398-.164-.855-.142-1.205.055l-.732.41c-.464.26-.996-.059-1.256-.397l-.547-.947c-.26-.456-.058-1.002.398-1.256l.732-.41c.35.197.557.576.557.98l0 .001c0 .403-.207.782.557.98l-.732-.41c-.456.254-.658.8-.398-1.256l.547-.947c.26.456.792.657-1.256.397l.732-.41c.35-.197.807-.22 1.205-.055.396-.166.71-.506.78-.93l.149-.894z M12 15.75a3.75 3.75 0 100-7.5 3.75 3.75 0 000 7.5z" forceOpen={!isSetupComplete}>
-                   { !isSetupComplete && <p className="text-center text-red-600 bg-red-100 p-3 rounded-lg mb-4">Welcome! Let's get your loan set up. Please fill out the details below to get started.</p> }
+                {storage.mode === 'cloud' && (
+                    <AccordionSection title={t('loan.sections.members')} iconPath="M15 19.128a9.38 9.38 0 002.625.372 9.337 9.337 0 004.121-.952 4.125 4.125 0 00-7.533-2.493M15 19.128v-.003c0-1.113-.285-2.16-.786-3.07M15 19.128v.106A12.318 12.318 0 018.624 21c-2.331 0-4.512-.645-6.374-1.766l-.001-.109a6.375 6.375 0 0111.964-3.07M12 6.375a3.375 3.375 0 11-6.75 0 3.375 3.375 0 016.75 0zm8.25 2.25a2.625 2.625 0 11-5.25 0 2.625 2.625 0 015.25 0z" {...linkSection('members')}>
+                        <MembersPanel storage={storage} loanId={loanId} loanData={loanData} userId={userId} profiles={profiles} format={format} t={t} onNotify={setNotification} />
+                    </AccordionSection>
+                )}
+
+                <AccordionSection title={t('loan.sections.activity')} iconPath="M12 6v6h4.5m4.5 0a9 9 0 11-18 0 9 9 0 0118 0z" {...linkSection('activity')}>
+                    <ActivityLog storage={storage} loanId={loanId} loanData={loanData} profiles={profiles} format={format} t={t} />
+                </AccordionSection>
+
+                {can(myRole, 'restoreTransaction') && deletedTransactions.length > 0 && (
+                <AccordionSection title={t('loan.sections.trash', { count: deletedTransactions.length })} iconPath="M14.74 9l-.346 9m-4.788 0L9.26 9m9.968-3.21c.342.052.682.107 1.022.166m-1.022-.165L18.16 19.673a2.25 2.25 0 01-2.244 2.077H8.084a2.25 2.25 0 01-2.244-2.077L4.772 5.79m14.456 0a48.108 48.108 0 00-3.478-.397m-12 .562c.34-.059.68-.114 1.022-.165m0 0a48.11 48.11 0 013.478-.397m7.5 0v-.916c0-1.18-.91-2.164-2.09-2.201a51.964 51.964 0 00-3.32 0c-1.18.037-2.09 1.022-2.09 2.201v.916m7.5 0a48.667 48.667 0 00-7.5 0" {...linkSection('trash')}>
+                    <ul className="divide-y divide-gray-200">
+                        {deletedTransactions.map(entry => (
+                            <li key={entry.id} className="py-3 flex justify-between items-center gap-4 text-sm">
+                                <div className="min-w-0">
+                                    <p className="text-gray-800 truncate">{format.date(entry.date.toDate())} · {describeTransaction(entry, t, format)} · {format.money(entry.amount)}</p>
+                                    <p className="text-xs text-gray-500">{t('loan.trash.deletedBy', { name: getAuthorName(profiles, entry.deletedBy, t), date: format.dateTime(entry.deletedAt.toDate()) })}</p>
+                                </div>
+                                <span className="flex gap-3 font-medium whitespace-nowrap">
+                                    <button onClick={() => handleRestoreTransaction(entry.id)} className="text-indigo-600 hover:text-indigo-900">{t('loan.trash.restore')}</button>
+                                    <button onClick={() => setTransactionToPurge(entry)} className="text-red-600 hover:text-red-900">{t('loan.trash.deleteForever')}</button>
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                </AccordionSection>
+                )}
+
+                <AccordionSection title={t('loan.sections.settings')} iconPath="M10.343 3.94c.09-.542.56-.94 1.11-.94h1.093c.55 0 1.02.398 1.11.94l.149.894c.07.424.384.764.78.93.398.164.855.142 1.205-.055l.732-.41c.464-.26.996-.059 1.256.397l.547.947c.26.456.058 1.002-.398 1.256l-.732.41c-.35.197-.557.576-.557.98l0 .001c0 .403.207.782.557.98l.732.41c.456.254.658.8-.398-1.256l-.547-.947c-.26.456-.792.657-1.256.397l-.732-.41c-.35-.197-.807-.22-1.205-.055a1.73 1.73 0 00-.78.93l-.149.894c-.09.542-.56.94-1.11.94h-1.093c-.55 0-1.02-.398-1.11-.94l-.149-.894a1.73 1.73 0 00-.78-.93c-.398-.164-.855-.142-1.205.055l-.732.41c-.464.26-.996-.059-1.256-.397l-.547-.947c-.26-.456-.058-1.002.398-1.256l.732-.41c.35.197.557.576.557.98l0 .001c0 .403-.207.782.557.98l-.732-.41c-.456.254-.658.8-.398-1.256l.547-.947c.26.456.792.657-1.256.397l.732-.41c.35-.197.807-.22 1.205-.055.396-.166.71-.506.78-.93l.149-.894z M12 15.75a3.75 3.75 0 100-7.5 3.75 3.75 0 000 7.5z" forceOpen={!isSetupComplete} {...linkSection('settings')}>
+                   { !isSetupComplete && <p className="text-center text-red-600 bg-red-100 p-3 rounded-lg mb-4">{t('loan.settings.welcome')}</p> }
                    <form onSubmit={handleSaveSettings} className="space-y-4">
                       <div>
-                          <label htmlFor="appTitle" className="block text-sm font-medium text-gray-700 mb-1">Loan Name</label>
-                          <input type="text" id="appTitle" value={formSettings.appTitle} onChange={(e) => setFormSettings({...formSettings, appTitle: e.target.value})} className="w-full p-2 border border-gray-300 rounded-md" disabled={!isEditingSettings && isSetupComplete}/>
+                          <label htmlFor="appTitle" className="block text-sm font-medium text-gray-700 mb-1">{t('loan.settings.loanName')}</label>
+                          <input type="text" id="appTitle" value={formSettings.appTitle} onChange={(e) => setFormSettings({...formSettings, appTitle: e.target.value})} className="w-full p-2 border border-gray-300 rounded-md" disabled={isSettingsLocked}/>
                       </div>
                       <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
                           <div>
-                              <label htmlFor="initialLoanAmount" className="block text-sm font-medium text-gray-700 mb-1">Initial Amount ($)</label>
-                              <input type="number" id="initialLoanAmount" value={formSettings.initialLoanAmount} onChange={(e) => setFormSettings({...formSettings, initialLoanAmount: e.target.value})} className="w-full p-2 border border-gray-300 rounded-md" disabled={!isEditingSettings && isSetupComplete}/>
+                              <label htmlFor="lenderName" className="block text-sm font-medium text-gray-700 mb-1">{t('loan.settings.lenderName')}</label>
+                              <input type="text" id="lenderName" value={formSettings.lenderName} onChange={(e) => setFormSettings({...formSettings, lenderName: e.target.value})} placeholder={t('loan.settings.namePlaceholder')} className="w-full p-2 border border-gray-300 rounded-md" disabled={isSettingsLocked}/>
                           </div>
                           <div>
-                              <label htmlFor="interestRate" className="block text-sm font-medium text-gray-700 mb-1">Annual Interest Rate (%)</label>
-                              <input type="number" id="interestRate" step="0.01" value={formSettings.interestRate} onChange={(e) => setFormSettings({...formSettings, interestRate: e.target.value})} placeholder="e.g., 5.25" className="w-full p-2 border border-gray-300 rounded-md" disabled={!isEditingSettings && isSetupComplete}/>
+                              <label htmlFor="borrowerName" className="block text-sm font-medium text-gray-700 mb-1">{t('loan.settings.borrowerName')}</label>
+                              <input type="text" id="borrowerName" value={formSettings.borrowerName} onChange={(e) => setFormSettings({...formSettings, borrowerName: e.target.value})} placeholder={t('loan.settings.namePlaceholder')} className="w-full p-2 border border-gray-300 rounded-md" disabled={isSettingsLocked}/>
+                          </div>
+                      </div>
+                      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                          <div>
+                              <label htmlFor="currency" className="block text-sm font-medium text-gray-700 mb-1">{t('loan.settings.currency')}</label>
+                              <select id="currency" value={formSettings.currency} onChange={(e) => setFormSettings({...formSettings, currency: e.target.value})} className="w-full p-2 border border-gray-300 rounded-md" disabled={isSettingsLocked}>
+                                  {CURRENCIES.map(value => <option key={value} value={value}>{t(`currencies.${value}`)}</option>)}
+                              </select>
+                          </div>
+                          <div>
+                              <label htmlFor="initialLoanAmount" className="block text-sm font-medium text-gray-700 mb-1">{t('loan.settings.initialAmount', { currency: formSettings.currency })}</label>
+                              <input type="number" id="initialLoanAmount" value={formSettings.initialLoanAmount} onChange={(e) => setFormSettings({...formSettings, initialLoanAmount: e.target.value})} className="w-full p-2 border border-gray-300 rounded-md" disabled={isSettingsLocked}/>
+                          </div>
+                          <div>
+                              <label htmlFor="interestRate" className="block text-sm font-medium text-gray-700 mb-1">{t('loan.settings.openingRate')}</label>
+                              <input type="number" id="interestRate" step="0.01" value={formSettings.interestRate} onChange={(e) => setFormSettings({...formSettings, interestRate: e.target.value})} placeholder={t('loan.settings.ratePlaceholder')} className="w-full p-2 border border-gray-300 rounded-md" disabled={isSettingsLocked}/>
                           </div>
                       </div>
                        <div>
-                          <label htmlFor="initialLoanDate" className="block text-sm font-medium text-gray-700 mb-1">Initial Loan Date</label>
-                          <input type="date" id="initialLoanDate" value={formSettings.initialLoanDate} onChange={(e) => setFormSettings({...formSettings, initialLoanDate: e.target.value})} className="w-full p-2 border border-gray-300 rounded-md" disabled={!isEditingSettings && isSetupComplete}/>
+                          <label htmlFor="initialLoanDate" className="block text-sm font-medium text-gray-700 mb-1">{t('loan.settings.initialDate')}</label>
+                          <input type="date" id="initialLoanDate" value={formSettings.initialLoanDate} onChange={(e) => setFormSettings({...formSettings, initialLoanDate: e.target.value})} className="w-full p-2 border border-gray-300 rounded-md" disabled={isSettingsLocked}/>
+                      </div>
+                      <div>
+                          <p className="block text-sm font-medium text-gray-700 mb-1">{t('loan.settings.rateChanges')}</p>
+                          <p className="text-xs text-gray-500 mb-2">{t('loan.settings.rateChangesHint')}</p>
+                          {formSettings.rateChanges.length === 0 && isSettingsLocked && (
+                              <p className="text-sm text-gray-500">{t('loan.settings.noRateChanges')}</p>
+                          )}
+                          <div className="space-y-2">
+                              {formSettings.rateChanges.map((change, index) => (
+                                  <div key={index} className="flex gap-2 items-center">
+                                      <input type="date" aria-label={t('loan.settings.effectiveDate')} value={change.effectiveDate} onChange={(e) => updateRateChange(index, 'effectiveDate', e.target.value)} className="flex-1 p-2 border border-gray-300 rounded-md" disabled={isSettingsLocked}/>
+                                      <input type="number" aria-label={t('loan.settings.annualRate')} step="0.01" value={change.rate} onChange={(e) => updateRateChange(index, 'rate', e.target.value)} placeholder={t('loan.settings.ratePercent')} className="w-28 p-2 border border-gray-300 rounded-md" disabled={isSettingsLocked}/>
+                                      {!isSettingsLocked && (
+                                          <button type="button" onClick={() => setFormSettings({...formSettings, rateChanges: formSettings.rateChanges.filter((_, i) => i !== index)})} className="text-red-600 hover:text-red-900 text-sm">{t('common.remove')}</button>
+                                      )}
+                                  </div>
+                              ))}
+                          </div>
+                          {!isSettingsLocked && (
+                              <button type="button" onClick={() => setFormSettings({...formSettings, rateChanges: [...formSettings.rateChanges, { effectiveDate: '', rate: '' }]})} className="mt-2 text-sm font-medium text-indigo-600 hover:text-indigo-800">{t('loan.settings.addRateChange')}</button>
+                          )}
+                      </div>
+                      <div>
+                          <label htmlFor="paymentAllocation" className="block text-sm font-medium text-gray-700 mb-1">{t('loan.settings.paymentAllocation')}</label>
+                          <select id="paymentAllocation" value={formSettings.paymentAllocation} onChange={(e) => setFormSettings({...formSettings, paymentAllocation: e.target.value})} className="w-full p-2 border border-gray-300 rounded-md" disabled={isSettingsLocked}>
+                              {PAYMENT_ALLOCATIONS.map(value => (
+                                  <option key={value} value={value}>{t(`paymentAllocations.${value}`)}</option>
+                              ))}
+                          </select>
+                      </div>
+                      <div>
+                          <label htmlFor="accrualMethod" className="block text-sm font-medium text-gray-700 mb-1">{t('loan.settings.accrualMethod')}</label>
+                          <select id="accrualMethod" value={formSettings.accrualMethod} onChange={(e) => setFormSettings({...formSettings, accrualMethod: e.target.value})} className="w-full p-2 border border-gray-300 rounded-md" disabled={isSettingsLocked}>
+                              {Object.keys(ACCRUAL_METHODS).map(value => (
+                                  <option key={value} value={value}>{t(`accrualMethods.${value}`)}</option>
+                              ))}
+                          </select>
+                      </div>
+                      <div>
+                          <p className="block text-sm font-medium text-gray-700 mb-1">{t('loan.settings.repaymentPlan')}</p>
+                          <p className="text-xs text-gray-500 mb-2">{t('loan.settings.repaymentPlanHint')}</p>
+                          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                              <div>
+                                  <label htmlFor="planAmount" className="block text-xs text-gray-600 mb-1">{t('loan.settings.planAmount', { currency: formSettings.currency })}</label>
+                                  <input type="number" id="planAmount" step="0.01" value={formSettings.repaymentPlan.amount} onChange={(e) => updateRepaymentPlan('amount', e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" disabled={isSettingsLocked}/>
+                              </div>
+                              <div>
+                                  <label htmlFor="planFrequency" className="block text-xs text-gray-600 mb-1">{t('loan.settings.frequency')}</label>
+                                  <select id="planFrequency" value={formSettings.repaymentPlan.frequency} onChange={(e) => updateRepaymentPlan('frequency', e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" disabled={isSettingsLocked}>
+                                      {Object.keys(PAYMENT_FREQUENCIES).map(value => (
+                                          <option key={value} value={value}>{t(`paymentFrequencies.${value}`)}</option>
+                                      ))}
+                                  </select>
+                              </div>
+                              <div>
+                                  <label htmlFor="planFirstDueDate" className="block text-xs text-gray-600 mb-1">{t('loan.settings.firstDueDate')}</label>
+                                  <input type="date" id="planFirstDueDate" value={formSettings.repaymentPlan.firstDueDate} onChange={(e) => updateRepaymentPlan('firstDueDate', e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" disabled={isSettingsLocked}/>
+                              </div>
+                              <div>
+                                  <label htmlFor="planGraceDays" className="block text-xs text-gray-600 mb-1">{t('loan.settings.graceDays')}</label>
+                                  <input type="number" id="planGraceDays" min="0" step="1" value={formSettings.repaymentPlan.graceDays} onChange={(e) => updateRepaymentPlan('graceDays', e.target.value)} className="w-full p-2 border border-gray-300 rounded-md" disabled={isSettingsLocked}/>
+                              </div>
+                              <div>
+                                  <label htmlFor="planLateFee" className="block text-xs text-gray-600 mb-1">{t('loan.settings.lateFee', { currency: formSettings.currency })}</label>
+                                  <input type="number" id="planLateFee" min="0" step="0.01" value={formSettings.repaymentPlan.lateFee} onChange={(e) => updateRepaymentPlan('lateFee', e.target.value)} placeholder="0.00" className="w-full p-2 border border-gray-300 rounded-md" disabled={isSettingsLocked}/>
+                              </div>
+                          </div>
                       </div>
-                      {isEditingSettings || !isSetupComplete ? (
+                      {!can(myRole, 'editSettings') ? (
+                          <p className="text-center text-sm text-gray-500">{t('loan.settings.readOnly')}</p>
+                      ) : isEditingSettings || !isSetupComplete ? (
                           <div className="flex gap-4">
                               <button type="submit" disabled={loading} className="flex-1 bg-indigo-600 text-white py-2 px-4 rounded-lg hover:bg-indigo-700 shadow-md disabled:bg-indigo-300">
-                                  Save Settings
+                                  {t('loan.settings.save')}
                               </button>
                               {isSetupComplete && <button type="button" onClick={() => setIsEditingSettings(false)} className="flex-1 bg-gray-500 text-white py-2 px-4 rounded-lg hover:bg-gray-600">
-                                  Cancel
+                                  {t('common.cancel')}
                               </button>}
                           </div>
                       ) : (
                           <button type="button" onClick={() => setIsEditingSettings(true)} className="w-full bg-gray-200 text-gray-800 py-2 px-4 rounded-lg hover:bg-gray-300">
-                              Edit Settings
+                              {t('loan.settings.edit')}
                           </button>
                       )}
                   </form>
                 </AccordionSection>
 
+                {isStatementOpen && (
+                    <StatementView loanData={loanData} ledgerRows={transactionsForDisplay} year={selectedStatementYear} format={format} t={t} onClose={() => setIsStatementOpen(false)} />
+                )}
+
+                {threadTransaction && (
+                    <Modal wide onClose={() => setThreadTransactionId(null)}>
+                        <TransactionThread storage={storage} loanId={loanId} userId={userId} role={myRole} transaction={threadTransaction} comments={comments.filter(comment => comment.transactionId === threadTransaction.id)} profiles={profiles} isOnline={isOnline} format={format} t={t} onNotify={setNotification} onClose={() => setThreadTransactionId(null)} />
+                    </Modal>
+                )}
+
                 {showDeleteConfirm && (
                     <Modal onClose={() => setShowDeleteConfirm(false)}>
-                        <h3 className="text-lg font-semibold text-gray-900 mb-4">Confirm Deletion</h3>
-                        <p className="text-sm text-gray-700 mb-6">Are you sure? This cannot be undone.</p>
+                        <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('loan.deleteTitle')}</h3>
+                        <p className="text-sm text-gray-700 mb-6">{t('loan.deleteBody')}</p>
+                        <div className="flex justify-end space-x-3">
+                            <button onClick={() => setShowDeleteConfirm(false)} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">{t('common.cancel')}</button>
+                            <button onClick={handleDeleteTransaction} disabled={loading} className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700">{loading ? t('common.deleting') : t('common.delete')}</button>
+                        </div>
+                    </Modal>
+                )}
+
+                {transactionToPurge && (
+                    <Modal onClose={() => setTransactionToPurge(null)}>
+                        <h3 className="text-lg font-semibold text-gray-900 mb-4">{t('loan.purgeTitle')}</h3>
+                        <p className="text-sm text-gray-700 mb-6">{t('loan.purgeBody')}</p>
                         <div className="flex justify-end space-x-3">
-                            <button onClick={() => setShowDeleteConfirm(false)} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">Cancel</button>
-                            <button onClick={handleDeleteTransaction} disabled={loading} className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700">{loading ? 'Deleting...' : 'Delete'}</button>
+                            <button onClick={() => setTransactionToPurge(null)} className="px-4 py-2 bg-gray-200 text-gray-800 rounded-md hover:bg-gray-300">{t('common.cancel')}</button>
+                            <button onClick={handlePurgeTransaction} className="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700">{t('loan.trash.deleteForever')}</button>
                         </div>
                     </Modal>
                 )}
@@ -990,45 +3360,107 @@ function LoanDetailScreen({ userId, loanId, onBack }) {
 function App() {
     const [user, setUser] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
-    const [selectedLoanId, setSelectedLoanId] = useState(null);
+    const [route, navigate] = useRoute();
+    const [deviceLanguage, setDeviceLanguage] = useState(() => localStorage.getItem(LANGUAGE_STORAGE_KEY) || navigator.language);
+    const [storageMode, setStorageMode] = useState(getSavedStorageMode);
+    const storage = useMemo(() => storageMode && createStorage(storageMode), [storageMode]);
+    // Signed in to the cloud, loans still kept on this device can be moved into the account.
+    const deviceStorage = useMemo(() => (storageMode === 'cloud' ? createStorage('local') : null), [storageMode]);
 
     useEffect(() => {
-        const unsubscribe = onAuthStateChanged(auth, (user) => {
+        if (!storage) return;
+        setIsAuthReady(false);
+        const unsubscribe = storage.onAuthChange((user) => {
             setUser(user);
             setIsAuthReady(true);
         });
         return () => unsubscribe();
-    }, []);
+    }, [storage]);
+
+    const ownProfile = useUserProfiles(storage, user ? [user.uid] : []);
+    const locale = (user && ownProfile[user.uid]?.locale) || '';
+    // A language saved on the profile wins over this device's choice once signed in.
+    const language = matchLanguage((user && ownProfile[user.uid]?.language) || deviceLanguage);
+    const t = useMemo(() => createTranslator(language), [language]);
+
+    const handleChangeLanguage = (newLanguage) => {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, newLanguage);
+        setDeviceLanguage(newLanguage);
+    };
+
+    // Local mode has no sign-up, so the name shown in the history is asked for here.
+    const handleChooseStorage = async (mode, displayName) => {
+        if (mode === 'local') {
+            await createStorage('local').setDoc(userProfilePath(LOCAL_USER.uid), { displayName, language, updatedAt: Timestamp.now() }, { merge: true });
+        }
+        localStorage.setItem(STORAGE_MODE_KEY, mode);
+        setStorageMode(mode);
+    };
+
+    const handleChangeStorage = () => {
+        localStorage.removeItem(STORAGE_MODE_KEY);
+        setUser(null);
+        setStorageMode(null);
+    };
 
     const handleSelectLoan = (loanId) => {
-        setSelectedLoanId(loanId);
+        navigate(loanPath(loanId));
     };
 
+    const handleOpenNotification = (loanId) => {
+        navigate(loanPath(loanId, 'activity'));
+    };
+
+    const feed = useNotificationFeed(storage, user, t, handleOpenNotification);
+
+    // Opening a loan reads its notifications, including any that arrive while it stays open.
+    const openLoanUnread = route.name === 'loan' ? feed.unreadByLoan[route.loanId] || 0 : 0;
+    useEffect(() => {
+        if (openLoanUnread > 0) feed.markLoanRead(route.loanId);
+    }, [route.loanId, openLoanUnread]);
+
     const handleBackToDashboard = () => {
-        setSelectedLoanId(null);
+        navigate(dashboardPath());
+    };
+
+    // Section changes replace the current entry, so the back button leaves the loan rather than closing sections.
+    const handleChangeLoanView = (view) => {
+        navigate(loanPath(route.loanId, view), { replace: true });
+    };
+
+    // The join link has done its job once the dashboard picks it up; dropping it keeps a refresh from joining again.
+    const handleJoinHandled = () => {
+        navigate(dashboardPath(), { replace: true });
     };
 
+    const joinCode = route.name === 'join' ? route.code : null;
+
+    if (!storage) {
+        return <StorageChoiceScreen t={t} onChangeLanguage={handleChangeLanguage} onChoose={handleChooseStorage} />;
+    }
+
     if (!isAuthReady) {
         return (
             <div className="flex items-center justify-center min-h-screen bg-gray-100">
                 <div className="text-center">
                     <Spinner color="gray-800" />
-                    <p className="mt-4 text-lg font-semibold text-gray-700">Connecting...</p>
+                    <p className="mt-4 text-lg font-semibold text-gray-700">{t('common.connecting')}</p>
                 </div>
             </div>
         );
     }
     
     if (!user) {
-        return <AuthScreen />;
+        // The address bar keeps the route, so the user lands back on it (a loan or a join link) after signing in.
+        return <AuthScreen storage={storage} t={t} joinCode={joinCode} onChangeLanguage={handleChangeLanguage} onUseLocal={handleChangeStorage} />;
     }
 
     return (
         <>
-            {selectedLoanId ? (
-                <LoanDetailScreen userId={user.uid} loanId={selectedLoanId} onBack={handleBackToDashboard} />
+            {route.name === 'loan' ? (
+                <LoanDetailScreen key={route.loanId} storage={storage} userId={user.uid} locale={locale} t={t} loanId={route.loanId} view={route.view} onChangeView={handleChangeLoanView} onBack={handleBackToDashboard} />
             ) : (
-                <DashboardScreen user={user} onSelectLoan={handleSelectLoan} />
+                <DashboardScreen storage={storage} deviceStorage={deviceStorage} user={user} locale={locale} t={t} joinCode={joinCode} onJoinHandled={handleJoinHandled} onChangeLanguage={handleChangeLanguage} onChangeStorage={isCloudConfigured ? handleChangeStorage : null} onSelectLoan={handleSelectLoan} feed={feed} onOpenNotification={handleOpenNotification} />
             )}
         </>
     );
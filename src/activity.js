@@ -0,0 +1,81 @@
+// --- Activity Log ---
+// Entries in `loans/{id}/activity` are append-only (see firestore.rules) and are written in the same
+// batch as the change they describe, so the log cannot disagree with the data. Members joining and
+// leaving are logged as `entity: 'member'` entries whose `entityId` is the member's uid.
+
+import { getAuthorName } from './profiles.js';
+
+// Fields that show up in an entry's change list; their names are the `activity.fields` messages.
+const SETTINGS_FIELDS = ['appTitle', 'lenderName', 'borrowerName', 'initialLoanAmount', 'initialLoanDate', 'interestRate', 'ratePeriods', 'accrualMethod', 'paymentAllocation', 'currency', 'repaymentPlan'];
+
+const TRANSACTION_FIELDS = ['date', 'type', 'amount', 'description', 'status'];
+
+const isTimestamp = (value) => typeof value?.toMillis === 'function';
+
+const isSameValue = (a, b) => {
+    if (isTimestamp(a) || isTimestamp(b)) return isTimestamp(a) && isTimestamp(b) && a.toMillis() === b.toMillis();
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => isSameValue(item, b[i]));
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return [...keys].every(key => isSameValue(a[key], b[key]));
+    }
+    return (a ?? null) === (b ?? null);
+};
+
+// Keeps only the top-level fields that differ, so an entry records what actually changed.
+export const diffFields = (before = {}, after = {}) => {
+    const changed = Object.keys({ ...before, ...after }).filter(key => !isSameValue(before[key], after[key]));
+    return {
+        before: Object.fromEntries(changed.map(key => [key, before[key] ?? null])),
+        after: Object.fromEntries(changed.map(key => [key, after[key] ?? null])),
+    };
+};
+
+// `format` is a formatter from format.js, so dates and numbers follow the reader's locale.
+export const formatActivityValue = (value, format) => {
+    if (value == null || value === '') return '—';
+    if (isTimestamp(value)) return format.date(value.toDate());
+    if (Array.isArray(value)) return value.map(item => formatActivityValue(item, format)).join('; ');
+    if (typeof value === 'object') {
+        return Object.entries(value).map(([key, item]) => `${key}: ${formatActivityValue(item, format)}`).join(', ');
+    }
+    if (typeof value === 'number') return format.number(value);
+    return String(value);
+};
+
+// One `{ label, before, after }` line per changed field; created and deleted transactions list every field.
+export const describeChanges = (entry, format, t) => {
+    const tracked = entry.entity === 'settings' ? SETTINGS_FIELDS : TRANSACTION_FIELDS;
+    const fields = Object.keys({ ...entry.before, ...entry.after })
+        .filter(key => tracked.includes(key) && !(entry.before && entry.after && isSameValue(entry.before[key], entry.after[key])));
+    return fields.map(key => ({
+        label: t(`activity.fields.${key}`),
+        before: entry.before ? formatActivityValue(entry.before[key], format) : null,
+        after: entry.after ? formatActivityValue(entry.after[key], format) : null,
+    }));
+};
+
+// `profiles` names the member a join or leave is about when someone else made the change.
+export const describeActivity = (entry, t, profiles = {}) => {
+    if (entry.entity === 'settings') return t('activity.settingsChanged');
+    if (entry.entity === 'member') {
+        if (entry.entityId === entry.actorId) return t(entry.action === 'join' ? 'activity.memberJoined' : 'activity.memberLeft');
+        return t(entry.action === 'join' ? 'activity.memberAdded' : 'activity.memberRemoved', { name: getAuthorName(profiles, entry.entityId, t) });
+    }
+    const transaction = entry.after || entry.before || {};
+    return t('activity.summary', {
+        action: t(`activity.actions.${entry.action}`),
+        item: t(`activity.items.${transaction.type || 'transaction'}`),
+    });
+};
+
+// `from` and `to` are yyyy-mm-dd strings from date inputs; both ends are inclusive.
+export const filterActivity = (entries, { actorId = '', from = '', to = '' }) => {
+    const start = from ? new Date(from + 'T00:00:00') : null;
+    const end = to ? new Date(to + 'T23:59:59.999') : null;
+    return entries.filter(entry => (!actorId || entry.actorId === actorId)
+        && (!start || entry.createdAt >= start)
+        && (!end || entry.createdAt <= end));
+};
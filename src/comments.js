@@ -0,0 +1,63 @@
+// --- Transaction Comments ---
+// Every transaction can carry a discussion thread. Comments sit in one collection per loan, each naming
+// its transaction, so a single listener gives the loan screen every thread and the count for each row:
+//   { transactionId, text, attachments: [{ id, name, contentType, size }], authorId, createdAt }
+// Receipts are files at `attachmentPath(loanId, commentId, attachment.id)`, uploaded before the comment
+// that lists them so a comment never points at a file that is not there yet. Comments are never edited;
+// their author or the loan owner can delete them. The limits mirror firestore.rules and storage.rules.
+
+import { commentsPath, attachmentPath, serverTimestamp, newDocId } from './storage.js';
+
+export const MAX_COMMENT_LENGTH = 2000;
+export const MAX_ATTACHMENTS = 5;
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+export const ATTACHMENT_ACCEPT = 'image/*,application/pdf';
+
+export const isImageAttachment = (attachment) => attachment.contentType.startsWith('image/');
+
+// Returns why a picked file cannot be attached ('type' or 'size', worded by the `comments.problems`
+// messages), or null when it can.
+export const getAttachmentProblem = (file) => {
+    if (!file.type.startsWith('image/') && file.type !== 'application/pdf') return 'type';
+    if (file.size > MAX_ATTACHMENT_BYTES) return 'size';
+    return null;
+};
+
+// `{ [transactionId]: count }`, for the badges in the transaction history.
+export const countComments = (comments) => {
+    const counts = {};
+    comments.forEach(comment => {
+        counts[comment.transactionId] = (counts[comment.transactionId] || 0) + 1;
+    });
+    return counts;
+};
+
+export const attachmentPaths = (loanId, commentId, comment) => (comment.attachments || []).map(a => attachmentPath(loanId, commentId, a.id));
+
+// Best effort: a file left behind takes up space but breaks nothing.
+export const deleteFiles = (storage, paths) => Promise.all(paths.map(path => storage.deleteFile(path)
+    .catch(err => console.error("Could not delete attachment:", err))));
+
+// Uploads the files for a new comment and resolves to its `attachments`. When one upload fails, the
+// files already uploaded are deleted again.
+export const uploadAttachments = async (storage, loanId, commentId, files, userId) => {
+    const attachments = files.map(file => ({ id: newDocId(), name: file.name, contentType: file.type, size: file.size }));
+    const uploaded = [];
+    try {
+        for (const [index, file] of files.entries()) {
+            const path = attachmentPath(loanId, commentId, attachments[index].id);
+            await storage.uploadFile(path, file, { uploadedBy: userId });
+            uploaded.push(path);
+        }
+    } catch (err) {
+        await deleteFiles(storage, uploaded);
+        throw err;
+    }
+    return attachments;
+};
+
+// Queues the comment on a batch, once its attachments are uploaded.
+export const addComment = (batch, loanId, commentId, { transactionId, text, attachments = [], authorId }) => {
+    batch.set(`${commentsPath(loanId)}/${commentId}`, { transactionId, text, attachments, authorId, createdAt: serverTimestamp() });
+};
@@ -0,0 +1,133 @@
+// --- CSV Helpers ---
+
+// Local calendar date as YYYY-MM-DD, so exported dates match what the table shows.
+export const formatIsoDate = (date) => (
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+);
+
+const escapeCell = (value) => {
+    const text = value == null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `columns` is [{ key, header, format? }]; the header row always comes out in the same order.
+export const toCsv = (columns, rows) => [
+    columns.map(col => escapeCell(col.header)).join(','),
+    ...rows.map(row => columns.map(col => escapeCell(col.format ? col.format(row[col.key], row) : row[col.key])).join(',')),
+].join('\r\n');
+
+export const downloadCsv = (filename, csv) => {
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+const formatAmount = (value) => (value == null || isNaN(value) ? '' : Number(value).toFixed(2));
+
+export const TRANSACTION_CSV_COLUMNS = [
+    { key: 'date', header: 'date', format: formatIsoDate },
+    { key: 'type', header: 'type' },
+    { key: 'description', header: 'description' },
+    { key: 'amount', header: 'amount', format: formatAmount },
+    { key: 'runningBalance', header: 'running_balance', format: formatAmount },
+    { key: 'recordedBy', header: 'recorded_by' },
+];
+
+export const AMORTIZATION_CSV_COLUMNS = [
+    { key: 'month', header: 'month' },
+    { key: 'date', header: 'date', format: formatIsoDate },
+    { key: 'payment', header: 'payment', format: formatAmount },
+    { key: 'principal', header: 'principal', format: formatAmount },
+    { key: 'interest', header: 'interest', format: formatAmount },
+    { key: 'endingBalance', header: 'ending_balance', format: formatAmount },
+];
+
+// Parses RFC 4180 style CSV (quoted cells, doubled quotes, CRLF or LF) into an array of string arrays.
+export const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+};
+
+// Accepts YYYY-MM-DD and US-style M/D/YYYY; returns a local-midnight Date or null.
+export const parseCsvDate = (text) => {
+    const value = (text || '').trim();
+    let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    let year, month, day;
+    if (match) {
+        [, year, month, day] = match;
+    } else if ((match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+        [, month, day, year] = match;
+    } else {
+        return null;
+    }
+    const date = new Date(Number(year), Number(month) - 1, Number(day));
+    return date.getMonth() === Number(month) - 1 ? date : null;
+};
+
+// Strips currency symbols and thousands separators; "(12.50)" is read as negative.
+export const parseCsvAmount = (text) => {
+    const value = (text || '').trim();
+    const negative = /^\(.*\)$/.test(value) || value.startsWith('-');
+    const amount = parseFloat(value.replace(/[^0-9.]/g, ''));
+    if (isNaN(amount)) return NaN;
+    return negative ? -amount : amount;
+};
+
+const TYPE_ALIASES = {
+    payment: 'payment',
+    pay: 'payment',
+    repayment: 'payment',
+    loanincrease: 'loanIncrease',
+    increase: 'loanIncrease',
+    advance: 'loanIncrease',
+    disbursement: 'loanIncrease',
+};
+
+// Reads an imported `type` cell as 'payment' or 'loanIncrease', ignoring case and spaces; a blank cell
+// is a payment. Returns null for anything else.
+export const parseCsvType = (text) => {
+    const value = (text || '').replace(/\s+/g, '').toLowerCase();
+    if (!value) return 'payment';
+    return TYPE_ALIASES[value] || null;
+};
@@ -0,0 +1,22 @@
+import { describe, expect, test } from 'vitest';
+import { parseCsvType } from './csv.js';
+
+describe('parseCsvType', () => {
+    test('reads the usual names for each type, ignoring case and spaces', () => {
+        expect(parseCsvType('Payment')).toBe('payment');
+        expect(parseCsvType(' repayment ')).toBe('payment');
+        expect(parseCsvType('Loan Increase')).toBe('loanIncrease');
+        expect(parseCsvType('ADVANCE')).toBe('loanIncrease');
+    });
+
+    test('treats a blank cell as a payment', () => {
+        expect(parseCsvType('')).toBe('payment');
+        expect(parseCsvType('   ')).toBe('payment');
+        expect(parseCsvType(undefined)).toBe('payment');
+    });
+
+    test('rejects anything else', () => {
+        expect(parseCsvType('refund')).toBeNull();
+        expect(parseCsvType('interest')).toBeNull();
+    });
+});
@@ -0,0 +1,102 @@
+// --- Cloud Storage ---
+// Firestore, Firebase Auth and Cloud Storage for Firebase (for attached files) behind the interface
+// described in storage.js. Firebase is only set up when the user picks cloud storage, so the app still
+// runs on a device with no Firebase project configured.
+
+import { initializeApp } from 'firebase/app';
+import { getAuth, onAuthStateChanged, createUserWithEmailAndPassword, signInWithEmailAndPassword, signOut, sendPasswordResetEmail } from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, collection, doc, getDoc, getDocs, onSnapshot, query, where, orderBy, limit, writeBatch, runTransaction, arrayUnion, arrayRemove, deleteField, serverTimestamp } from 'firebase/firestore';
+import { getStorage, ref as fileRef, uploadBytes, getBlob, getDownloadURL, deleteObject } from 'firebase/storage';
+import { FIELD_VALUE, isPlainObject, setDocWith } from './storage.js';
+
+const appId = 'loan-tracker-app-v1';
+
+// Everything the app stores sits under this prefix, which firestore.rules and storage.rules match on.
+const fullPath = (path) => `artifacts/${appId}/public/data/${path}`;
+
+const FIELD_VALUES = {
+    arrayUnion: ({ values }) => arrayUnion(...values),
+    arrayRemove: ({ values }) => arrayRemove(...values),
+    deleteField: () => deleteField(),
+    serverTimestamp: () => serverTimestamp(),
+};
+
+const toFirestoreData = (value) => {
+    if (value?.[FIELD_VALUE]) return FIELD_VALUES[value[FIELD_VALUE]](value);
+    if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toFirestoreData(item)]));
+    return value;
+};
+
+const toUser = (user) => user && { uid: user.uid, email: user.email };
+
+// Wraps Firebase instances that are already set up. The tests pass the emulators', without `auth`.
+export const wrapFirestore = (db, auth, files) => {
+    const ref = (path) => doc(db, fullPath(path));
+    const toQuery = (path, { where: condition, orderBy: order, limit: max } = {}) => query(
+        collection(db, fullPath(path)),
+        ...(condition ? [where(...condition)] : []),
+        ...(order ? [orderBy(...order)] : []),
+        ...(max ? [limit(max)] : []),
+    );
+    const writesOn = (target) => ({
+        set: (path, data, options = {}) => { target.set(ref(path), toFirestoreData(data), options); },
+        update: (path, data) => { target.update(ref(path), toFirestoreData(data)); },
+        delete: (path) => { target.delete(ref(path)); },
+    });
+
+    const storage = {
+        mode: 'cloud',
+        onAuthChange: (callback) => onAuthStateChanged(auth, user => callback(toUser(user))),
+        signIn: async (email, password) => toUser((await signInWithEmailAndPassword(auth, email, password)).user),
+        signUp: async (email, password) => toUser((await createUserWithEmailAndPassword(auth, email, password)).user),
+        resetPassword: (email) => sendPasswordResetEmail(auth, email),
+        signOut: () => signOut(auth),
+        watchDoc: (path, onData, onError) => onSnapshot(ref(path), snap => onData(snap.exists() ? snap.data() : null), onError),
+        // Metadata changes are included so `pendingSync` clears once the server has a queued write.
+        watchCollection: (path, options, onData, onError) => onSnapshot(toQuery(path, options), { includeMetadataChanges: true }, snapshot => onData(snapshot.docs.map(d => ({
+            id: d.id,
+            data: d.data({ serverTimestamps: 'estimate' }),
+            pendingSync: d.metadata.hasPendingWrites,
+        }))), onError),
+        getDoc: async (path) => {
+            const snap = await getDoc(ref(path));
+            return snap.exists() ? snap.data() : null;
+        },
+        getCollection: async (path, options) => (await getDocs(toQuery(path, options))).docs.map(d => ({ id: d.id, data: d.data() })),
+        batch: () => {
+            const batch = writeBatch(db);
+            return { ...writesOn(batch), commit: () => batch.commit() };
+        },
+        runTransaction: (update) => runTransaction(db, transaction => update({
+            ...writesOn(transaction),
+            get: async (path) => {
+                const snap = await transaction.get(ref(path));
+                return snap.exists() ? snap.data() : null;
+            },
+        })),
+        uploadFile: (path, file, metadata) => uploadBytes(fileRef(files, fullPath(path)), file, { contentType: file.type, customMetadata: metadata }),
+        getFile: (path) => getBlob(fileRef(files, fullPath(path))),
+        getFileUrl: (path) => getDownloadURL(fileRef(files, fullPath(path))),
+        deleteFile: async (path) => {
+            try {
+                await deleteObject(fileRef(files, fullPath(path)));
+            } catch (err) {
+                if (err.code !== 'storage/object-not-found') throw err;
+            }
+        },
+    };
+    storage.setDoc = setDocWith(storage);
+    return storage;
+};
+
+let storage = null;
+
+export const createFirestoreStorage = (firebaseConfig) => {
+    if (!storage) {
+        const app = initializeApp(firebaseConfig);
+        // Keeps a local copy of the data the user has seen, so loans open and writes queue up while offline.
+        const db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+        storage = wrapFirestore(db, getAuth(app), getStorage(app));
+    }
+    return storage;
+};
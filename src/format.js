@@ -0,0 +1,48 @@
+// --- Money & Date Formatting ---
+// Every amount and date on screen goes through a formatter built from the loan's currency and the
+// reader's locale, so one loan can be in CAD and a reader can see dates as DD/MM.
+
+// Currency names live in the message catalogs under `currencies`.
+export const CURRENCIES = ['USD', 'CAD', 'EUR', 'GBP', 'MXN', 'AUD'];
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// An empty locale follows the browser and is named by the `dashboard.browserFormat` message. The other
+// labels are written in their own language, so they read the same whichever language the app is in.
+export const LOCALES = {
+    '': {},
+    'en-US': { label: 'English (US) · 12/31/2025' },
+    'en-CA': { label: 'English (Canada) · 2025-12-31' },
+    'en-GB': { label: 'English (UK) · 31/12/2025' },
+    'fr-CA': { label: 'Français (Canada) · 2025-12-31' },
+    'es-MX': { label: 'Español (México) · 31/12/2025' },
+    'es-ES': { label: 'Español (España) · 31/12/2025' },
+    'de-DE': { label: 'Deutsch · 31.12.2025' },
+};
+
+export const getLoanCurrency = (settings) => (CURRENCIES.includes(settings?.currency) ? settings.currency : DEFAULT_CURRENCY);
+
+export const createFormatter = ({ locale = '', currency = DEFAULT_CURRENCY } = {}) => {
+    const resolvedLocale = locale || undefined;
+    const moneyFormat = new Intl.NumberFormat(resolvedLocale, { style: 'currency', currency });
+    const wholeMoneyFormat = new Intl.NumberFormat(resolvedLocale, { style: 'currency', currency, minimumFractionDigits: 0, maximumFractionDigits: 0 });
+    const numberFormat = new Intl.NumberFormat(resolvedLocale, { maximumFractionDigits: 2 });
+    const dateFormat = new Intl.DateTimeFormat(resolvedLocale, { year: 'numeric', month: 'numeric', day: 'numeric' });
+    const dateTimeFormat = new Intl.DateTimeFormat(resolvedLocale, { year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    const monthYearFormat = new Intl.DateTimeFormat(resolvedLocale, { month: 'long', year: 'numeric' });
+    const shortMonthYearFormat = new Intl.DateTimeFormat(resolvedLocale, { month: 'short', year: 'numeric' });
+    const monthNameFormat = new Intl.DateTimeFormat(resolvedLocale, { month: 'long' });
+
+    return {
+        locale,
+        currency,
+        money: (value) => moneyFormat.format(value || 0),
+        wholeMoney: (value) => wholeMoneyFormat.format(value || 0),
+        number: (value) => numberFormat.format(value),
+        date: (date) => dateFormat.format(date),
+        dateTime: (date) => dateTimeFormat.format(date),
+        monthYear: (date) => monthYearFormat.format(date),
+        shortMonthYear: (date) => shortMonthYearFormat.format(date),
+        monthName: (date) => monthNameFormat.format(date),
+    };
+};
@@ -0,0 +1,40 @@
+// --- Translations ---
+// Screens look up their text by key (`t('dashboard.title')`) in the catalog for the reader's language.
+// Anything stored in Firestore stays language-neutral (types, dates, amounts) and is worded at render time.
+
+import { en } from './messages/en.js';
+import { es } from './messages/es.js';
+
+export const LANGUAGES = {
+    en: { label: 'English', messages: en },
+    es: { label: 'Español', messages: es },
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGE_STORAGE_KEY = 'loan-tracker-language';
+
+// Maps a browser or saved tag such as `es-MX` to a language with a catalog.
+export const matchLanguage = (tag) => {
+    const base = String(tag || '').toLowerCase().split('-')[0];
+    return LANGUAGES[base] ? base : DEFAULT_LANGUAGE;
+};
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+// Plural messages are `{ one, other }` objects chosen with the language's plural rules via `params.count`.
+export const createTranslator = (language) => {
+    const resolved = matchLanguage(language);
+    const pluralRules = new Intl.PluralRules(resolved);
+
+    const t = (key, params = {}) => {
+        let message = lookup(LANGUAGES[resolved].messages, key) ?? lookup(en, key);
+        if (message && typeof message === 'object' && typeof message.other === 'string') {
+            message = message[pluralRules.select(params.count)] ?? message.other;
+        }
+        if (typeof message !== 'string') return key;
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+    };
+    t.language = resolved;
+    return t;
+};
@@ -0,0 +1,229 @@
+// --- Local Storage ---
+// An IndexedDB database behind the interface described in storage.js, for loans kept privately on one
+// device. There is no account: the device has a single user, `LOCAL_USER`, who owns every loan here.
+// Writes are saved at once, so nothing is ever pending sync.
+
+import { Timestamp, FIELD_VALUE, isPlainObject, setDocWith } from './storage.js';
+
+export const LOCAL_USER = { uid: 'local', email: null };
+
+const DATABASE_NAME = 'loan-tracker-local';
+const STORE_NAME = 'documents';
+const FILE_STORE_NAME = 'files';
+
+const toPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Each record is `{ path, parent, id, data }`; `parent` is the collection path, indexed for queries.
+// Files are kept apart as `{ path, blob, metadata }`, added in version 2.
+const openDatabase = () => {
+    const request = indexedDB.open(DATABASE_NAME, 2);
+    request.onupgradeneeded = (event) => {
+        if (event.oldVersion < 1) {
+            request.result.createObjectStore(STORE_NAME, { keyPath: 'path' }).createIndex('parent', 'parent');
+        }
+        if (event.oldVersion < 2) {
+            request.result.createObjectStore(FILE_STORE_NAME, { keyPath: 'path' });
+        }
+    };
+    return toPromise(request);
+};
+
+const splitPath = (path) => {
+    const cut = path.lastIndexOf('/');
+    return { parent: path.slice(0, cut), id: path.slice(cut + 1) };
+};
+
+const mapValues = (value, convert) => {
+    if (Array.isArray(value)) return value.map(convert);
+    if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, convert(item)]));
+    return value;
+};
+
+// IndexedDB cannot keep the Timestamp class, so timestamps are saved as Dates and turned back on the way out.
+const encode = (value) => (value instanceof Timestamp ? value.toDate() : mapValues(value, encode));
+
+const decode = (value) => (value instanceof Date ? Timestamp.fromDate(value) : mapValues(value, decode));
+
+const applyFieldValue = (current, value) => {
+    switch (value[FIELD_VALUE]) {
+        case 'arrayUnion': {
+            const list = Array.isArray(current) ? current : [];
+            return [...list, ...value.values.filter(item => !list.includes(item))];
+        }
+        case 'arrayRemove':
+            return (Array.isArray(current) ? current : []).filter(item => !value.values.includes(item));
+        case 'serverTimestamp':
+            return Timestamp.now();
+        default:
+            return undefined;
+    }
+};
+
+// Applies written fields the way Firestore does: `set` with `merge` merges nested maps (`deep`), while
+// `update` replaces each top-level field it names. Field values resolve against what is stored now.
+const mergeFields = (current, changes, deep) => {
+    const result = { ...current };
+    Object.entries(changes).forEach(([key, value]) => {
+        let next = value;
+        if (value?.[FIELD_VALUE]) {
+            next = applyFieldValue(current[key], value);
+        } else if (isPlainObject(value)) {
+            next = mergeFields(deep && isPlainObject(current[key]) ? current[key] : {}, value, true);
+        }
+        if (next === undefined) {
+            delete result[key];
+        } else {
+            result[key] = next;
+        }
+    });
+    return result;
+};
+
+const compareValues = (a, b) => {
+    const left = a instanceof Timestamp ? a.toMillis() : a;
+    const right = b instanceof Timestamp ? b.toMillis() : b;
+    return left < right ? -1 : left > right ? 1 : 0;
+};
+
+const matchesCondition = (data, [field, op, expected]) => (op === 'array-contains'
+    ? Array.isArray(data[field]) && data[field].includes(expected)
+    : compareValues(data[field], expected) === 0);
+
+const collectWrites = (writes) => ({
+    set: (path, data, options = {}) => { writes.push({ type: 'set', path, data, merge: Boolean(options.merge) }); },
+    update: (path, data) => { writes.push({ type: 'update', path, data }); },
+    delete: (path) => { writes.push({ type: 'delete', path }); },
+});
+
+let storage = null;
+
+export const createIndexedDbStorage = () => {
+    if (storage) return storage;
+
+    const database = openDatabase();
+    const listeners = new Set();
+    // Tells other tabs on this device what changed, so their screens refresh too.
+    const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(DATABASE_NAME) : null;
+
+    const refresh = (paths) => listeners.forEach(listener => listener.covers(paths) && listener.refresh());
+    if (channel) channel.onmessage = (event) => refresh(event.data);
+
+    const readDoc = async (path) => {
+        const db = await database;
+        const record = await toPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).get(path));
+        return record ? decode(record.data) : null;
+    };
+
+    // Like Firestore, ordering by a field leaves out documents that do not have it.
+    const readCollection = async (path, { where: condition, orderBy: order, limit: max } = {}) => {
+        const db = await database;
+        const records = await toPromise(db.transaction(STORE_NAME).objectStore(STORE_NAME).index('parent').getAll(path));
+        let docs = records.map(record => ({ id: record.id, data: decode(record.data) }));
+        if (condition) docs = docs.filter(d => matchesCondition(d.data, condition));
+        if (order) {
+            const [field, direction = 'asc'] = order;
+            docs = docs.filter(d => d.data[field] != null)
+                .sort((a, b) => compareValues(a.data[field], b.data[field]) * (direction === 'desc' ? -1 : 1));
+        }
+        return max ? docs.slice(0, max) : docs;
+    };
+
+    const commitWrites = async (writes) => {
+        if (writes.length === 0) return;
+        const db = await database;
+        const transaction = db.transaction(STORE_NAME, 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        const done = new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onabort = () => reject(transaction.error || new Error('The write was cancelled.'));
+        });
+        try {
+            for (const write of writes) {
+                if (write.type === 'delete') {
+                    store.delete(write.path);
+                    continue;
+                }
+                const record = await toPromise(store.get(write.path));
+                if (write.type === 'update' && !record) {
+                    throw new Error(`No document to update at ${write.path}.`);
+                }
+                const current = record && (write.type === 'update' || write.merge) ? decode(record.data) : {};
+                const data = mergeFields(current, write.data, write.type === 'set');
+                store.put({ path: write.path, ...splitPath(write.path), data: encode(data) });
+            }
+        } catch (err) {
+            done.catch(() => {});
+            transaction.abort();
+            throw err;
+        }
+        await done;
+
+        const paths = writes.map(write => write.path);
+        refresh(paths);
+        channel?.postMessage(paths);
+    };
+
+    const fileStore = async (mode) => {
+        const db = await database;
+        return db.transaction(FILE_STORE_NAME, mode).objectStore(FILE_STORE_NAME);
+    };
+
+    const readFile = async (path) => {
+        const record = await toPromise((await fileStore()).get(path));
+        if (!record) throw new Error(`No file at ${path}.`);
+        return record.blob;
+    };
+
+    const watch = (covers, read, onData, onError) => {
+        const listener = {
+            covers,
+            refresh: () => read().then(data => listeners.has(listener) && onData(data), err => onError?.(err)),
+        };
+        listeners.add(listener);
+        listener.refresh();
+        return () => listeners.delete(listener);
+    };
+
+    storage = {
+        mode: 'local',
+        onAuthChange: (callback) => {
+            let active = true;
+            Promise.resolve().then(() => active && callback(LOCAL_USER));
+            return () => { active = false; };
+        },
+        signOut: async () => {},
+        watchDoc: (path, onData, onError) => watch(paths => paths.includes(path), () => readDoc(path), onData, onError),
+        watchCollection: (path, options, onData, onError) => watch(
+            paths => paths.some(changed => splitPath(changed).parent === path),
+            async () => (await readCollection(path, options)).map(d => ({ ...d, pendingSync: false })),
+            onData,
+            onError,
+        ),
+        getDoc: readDoc,
+        getCollection: readCollection,
+        batch: () => {
+            const writes = [];
+            return { ...collectWrites(writes), commit: () => commitWrites(writes) };
+        },
+        // A single device has no competing writers, so the reads need no locking.
+        runTransaction: async (update) => {
+            const writes = [];
+            const result = await update({ ...collectWrites(writes), get: readDoc });
+            await commitWrites(writes);
+            return result;
+        },
+        uploadFile: async (path, file, metadata = {}) => {
+            await toPromise((await fileStore('readwrite')).put({ path, blob: file, metadata }));
+        },
+        getFile: readFile,
+        getFileUrl: async (path) => URL.createObjectURL(await readFile(path)),
+        deleteFile: async (path) => {
+            await toPromise((await fileStore('readwrite')).delete(path));
+        },
+    };
+    storage.setDoc = setDocWith(storage);
+    return storage;
+};
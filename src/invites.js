@@ -0,0 +1,38 @@
+// --- Invite Codes ---
+// Each code is stored as its own document (the code is the document id) in `inviteCodes`,
+// so uniqueness is checked by reading that document before claiming it.
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const INVITE_EXPIRY_OPTIONS = {
+    never: { days: null },
+    day: { days: 1 },
+    week: { days: 7 },
+    month: { days: 30 },
+};
+
+export const DEFAULT_INVITE_OPTIONS = { expiry: 'never', singleUse: false, requiresApproval: false };
+
+// 256 is a multiple of the 32-character alphabet, so `byte % 32` stays uniform.
+export const generateInviteCode = () => {
+    const bytes = new Uint8Array(6);
+    crypto.getRandomValues(bytes);
+    const result = Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    return `${result.slice(0,3)}-${result.slice(3,6)}`;
+};
+
+export const normalizeInviteCode = (input) => input.trim().toUpperCase();
+
+export const inviteExpiryDate = (expiry, now = new Date()) => {
+    const days = INVITE_EXPIRY_OPTIONS[expiry]?.days;
+    return days ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000) : null;
+};
+
+// Returns why an invite can no longer be used ('expired' or 'used', worded by the `invites.problems`
+// messages), or null when it is still good.
+export const getInviteProblem = (invite, now = new Date()) => {
+    if (!invite) return null;
+    if (invite.expiresAt && invite.expiresAt.toDate() <= now) return 'expired';
+    if (invite.singleUse && invite.usedBy) return 'used';
+    return null;
+};
@@ -0,0 +1,454 @@
+// --- Loan Math ---
+// Pure calculation helpers shared by the posted interest transactions and the projections.
+
+// Method names live in the message catalogs under `accrualMethods`.
+export const ACCRUAL_METHODS = {
+    monthly: {},
+    actual365: { dayBasis: 365 },
+    actual360: { dayBasis: 360 },
+};
+
+export const DEFAULT_ACCRUAL_METHOD = 'monthly';
+
+export const getAccrualMethod = (settings) => (
+    ACCRUAL_METHODS[settings?.accrualMethod] ? settings.accrualMethod : DEFAULT_ACCRUAL_METHOD
+);
+
+export const PAYMENT_ALLOCATIONS = ['interestFirst', 'principalFirst'];
+
+export const DEFAULT_PAYMENT_ALLOCATION = 'interestFirst';
+
+export const getPaymentAllocation = (settings) => (
+    PAYMENT_ALLOCATIONS.includes(settings?.paymentAllocation) ? settings.paymentAllocation : DEFAULT_PAYMENT_ALLOCATION
+);
+
+// Splits one payment between unpaid late fees, posted-but-unpaid interest and principal.
+// Fees are always settled first; any overpayment lands on principal.
+export const allocatePayment = (amount, { fees = 0, interest = 0, principal = 0 }, allocation = DEFAULT_PAYMENT_ALLOCATION) => {
+    const feesPaid = Math.min(Math.max(fees, 0), amount);
+    const remaining = amount - feesPaid;
+    const owedInterest = Math.max(interest, 0);
+    const interestPaid = allocation === 'principalFirst'
+        ? Math.min(owedInterest, Math.max(remaining - Math.max(principal, 0), 0))
+        : Math.min(owedInterest, remaining);
+    return { feesPaid, interestPaid, principalPaid: remaining - interestPaid };
+};
+
+// Transaction types the app posts itself; they are charges rather than principal.
+export const isChargeType = (type) => type === 'interest' || type === 'lateFee';
+
+// Payments a borrower records start out `pending` until a lender confirms (or rejects) them. Entries
+// without a status predate confirmations and count as confirmed; trashed entries never count.
+
+export const countsTowardBalance = (transaction) => !transaction.deletedAt && (transaction.status || 'confirmed') === 'confirmed';
+
+// Walks the ledger oldest-first and attaches { feesPaid, interestPaid, principalPaid } to every payment.
+// `transactions` must include the initial advance and the posted charges, with JS Date `date`s.
+export const splitPayments = (transactions, allocation = DEFAULT_PAYMENT_ALLOCATION) => {
+    let principal = 0;
+    let unpaidInterest = 0;
+    let unpaidFees = 0;
+    let principalAdvanced = 0;
+    let totalPrincipalPaid = 0;
+    let totalInterestPaid = 0;
+
+    const rows = [...transactions]
+        .sort((a, b) => a.date.getTime() - b.date.getTime())
+        .map(t => {
+            const amount = parseFloat(t.amount);
+            if (t.type === 'payment') {
+                const split = allocatePayment(amount, { fees: unpaidFees, interest: unpaidInterest, principal }, allocation);
+                unpaidFees -= split.feesPaid;
+                unpaidInterest -= split.interestPaid;
+                principal -= split.principalPaid;
+                totalInterestPaid += split.interestPaid;
+                totalPrincipalPaid += split.principalPaid;
+                return { ...t, ...split };
+            }
+            if (t.type === 'interest') {
+                unpaidInterest += amount;
+            } else if (t.type === 'lateFee') {
+                unpaidFees += amount;
+            } else {
+                principal += amount;
+                principalAdvanced += amount;
+            }
+            return t;
+        });
+
+    return { rows, principal, unpaidInterest, unpaidFees, principalAdvanced, totalPrincipalPaid, totalInterestPaid };
+};
+
+// Rate periods are stored as [{ effectiveDate: Timestamp, rate }] with the opening rate first.
+// Loans created before rate history existed only carry `interestRate`.
+export const getRatePeriods = (settings) => {
+    if (Array.isArray(settings?.ratePeriods) && settings.ratePeriods.length > 0) {
+        return settings.ratePeriods
+            .map(p => ({ effectiveDate: p.effectiveDate.toDate ? p.effectiveDate.toDate() : p.effectiveDate, rate: parseFloat(p.rate) }))
+            .sort((a, b) => a.effectiveDate.getTime() - b.effectiveDate.getTime());
+    }
+    if (settings?.interestRate == null) return [];
+    const openingDate = settings.initialLoanDate?.toDate ? settings.initialLoanDate.toDate() : settings.initialLoanDate;
+    return [{ effectiveDate: openingDate || new Date(0), rate: parseFloat(settings.interestRate) }];
+};
+
+// The opening rate also covers any date before the first period.
+export const rateOn = (ratePeriods, date) => {
+    let rate = ratePeriods[0]?.rate || 0;
+    for (const period of ratePeriods) {
+        if (period.effectiveDate > date) break;
+        rate = period.rate;
+    }
+    return rate;
+};
+
+export const hasPositiveRate = (ratePeriods) => ratePeriods.some(p => p.rate > 0);
+
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Returns one { date, amount, balances } entry per fully elapsed month, dated on the last day of that month.
+// `transactions` are the non-interest transactions (including the initial advance and late fees) with JS Date `date`s.
+// Daily methods use the rate in effect on each day; the monthly method uses the rate in effect on the 1st.
+// `balances` ({ principal, unpaidInterest, unpaidFees } once the month is over) can be passed back as
+// `checkpoint`, together with the `month` that follows, to carry on from there without the earlier transactions.
+export const calculateInterestPostings = ({ startDate, transactions, ratePeriods, accrualMethod = DEFAULT_ACCRUAL_METHOD, paymentAllocation = DEFAULT_PAYMENT_ALLOCATION, until = new Date(), checkpoint = null }) => {
+    const postings = [];
+    if (!startDate || !hasPositiveRate(ratePeriods)) return postings;
+
+    const events = transactions
+        .filter(t => !checkpoint || t.date >= checkpoint.month)
+        .sort((a, b) => a.date.getTime() - b.date.getTime());
+    const { dayBasis } = ACCRUAL_METHODS[accrualMethod] || ACCRUAL_METHODS[DEFAULT_ACCRUAL_METHOD];
+
+    let eventIndex = 0;
+    let principal = checkpoint?.principal || 0;
+    let unpaidInterest = checkpoint?.unpaidInterest || 0;
+    let unpaidFees = checkpoint?.unpaidFees || 0;
+    let accrued = 0;
+
+    const applyEventsBefore = (cutoff) => {
+        while (eventIndex < events.length && events[eventIndex].date < cutoff) {
+            const event = events[eventIndex++];
+            const amount = parseFloat(event.amount);
+            if (event.type === 'payment') {
+                // Daily methods accrue on principal only, so how a payment is split changes later interest.
+                const { feesPaid, interestPaid, principalPaid } = allocatePayment(amount, { fees: unpaidFees, interest: unpaidInterest, principal }, paymentAllocation);
+                unpaidFees -= feesPaid;
+                unpaidInterest -= interestPaid;
+                principal -= principalPaid;
+            } else if (event.type === 'lateFee') {
+                unpaidFees += amount;
+            } else {
+                principal += amount;
+            }
+        }
+    };
+
+    let monthStart = checkpoint ? checkpoint.month : new Date(startDate.getFullYear(), startDate.getMonth(), 1);
+    while (new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0) < until) {
+        const year = monthStart.getFullYear();
+        const month = monthStart.getMonth();
+        const endOfMonth = new Date(year, month + 1, 0);
+
+        if (dayBasis) {
+            for (let day = monthStart; day.getMonth() === month; day = addDays(day, 1)) {
+                applyEventsBefore(addDays(day, 1));
+                if (principal > 0) {
+                    accrued += principal * (rateOn(ratePeriods, day) / 100) / dayBasis;
+                }
+            }
+        } else {
+            applyEventsBefore(monthStart);
+            const balance = principal + unpaidInterest + unpaidFees;
+            if (balance > 0) {
+                accrued = balance * (rateOn(ratePeriods, monthStart) / 100) / 12;
+            }
+            applyEventsBefore(new Date(year, month + 1, 1));
+        }
+
+        if (accrued > 0.005) {
+            unpaidInterest += accrued;
+            postings.push({ date: endOfMonth, amount: accrued, balances: { principal, unpaidInterest, unpaidFees } });
+        }
+        accrued = 0;
+        monthStart = new Date(year, month + 1, 1);
+    }
+
+    return postings;
+};
+
+// Interest charged for one projected month on a balance that is settled by each monthly payment.
+export const projectedMonthInterest = (balance, annualRate, accrualMethod, year, month) => {
+    const { dayBasis } = ACCRUAL_METHODS[accrualMethod] || ACCRUAL_METHODS[DEFAULT_ACCRUAL_METHOD];
+    const rate = annualRate / 100;
+    return dayBasis ? balance * rate * daysInMonth(year, month) / dayBasis : balance * rate / 12;
+};
+
+export const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+// `extraPayments` are one-off lump sums as [{ month: 'YYYY-MM', amount }] and `stepUps` change the regular
+// payment from a month onwards as [{ month: 'YYYY-MM', monthlyPayment }].
+export const buildAmortizationSchedule = ({ balance, monthlyPayment, ratePeriods, accrualMethod, startDate = new Date(), extraPayments = [], stepUps = [] }) => {
+    const sortedStepUps = [...stepUps].sort((a, b) => a.month.localeCompare(b.month));
+    const schedule = [];
+    let month = 1;
+    let remaining = balance;
+    let periodStart = new Date(startDate.getFullYear(), startDate.getMonth() + 1, 1);
+    while (remaining > 0 && month < 600) { // Safety break at 50 years
+        const key = monthKey(periodStart);
+        const regularPayment = sortedStepUps.reduce((acc, step) => step.month <= key ? parseFloat(step.monthlyPayment) : acc, monthlyPayment);
+        const extra = extraPayments.filter(e => e.month === key).reduce((acc, e) => acc + parseFloat(e.amount), 0);
+        const annualRate = rateOn(ratePeriods, periodStart);
+        const interestForMonth = projectedMonthInterest(remaining, annualRate, accrualMethod, periodStart.getFullYear(), periodStart.getMonth());
+        const payment = Math.min(regularPayment + extra, remaining + interestForMonth);
+        const principalForMonth = payment - interestForMonth;
+        remaining -= principalForMonth;
+        schedule.push({
+            month,
+            date: new Date(periodStart.getFullYear(), periodStart.getMonth() + 1, 0),
+            extra,
+            payment,
+            principal: principalForMonth,
+            interest: interestForMonth,
+            endingBalance: remaining > 0.005 ? remaining : 0
+        });
+        month++;
+        periodStart = new Date(periodStart.getFullYear(), periodStart.getMonth() + 1, 1);
+    }
+    return schedule;
+};
+
+export const summarizeSchedule = (schedule) => ({
+    totalInterest: schedule.reduce((acc, row) => acc + row.interest, 0),
+    totalPaid: schedule.reduce((acc, row) => acc + row.payment, 0),
+    payoffDate: schedule.length > 0 && schedule[schedule.length - 1].endingBalance <= 0 ? schedule[schedule.length - 1].date : null,
+});
+
+// Number of projected month-end payments that fall on or before `targetDate`.
+export const monthsUntil = (targetDate, startDate = new Date()) => {
+    let months = 0;
+    while (months < 600 && new Date(startDate.getFullYear(), startDate.getMonth() + months + 2, 0) <= targetDate) {
+        months++;
+    }
+    return months;
+};
+
+const balanceAfter = ({ balance, monthlyPayment, months, ratePeriods, accrualMethod, startDate }) => {
+    let remaining = balance;
+    for (let k = 1; k <= months; k++) {
+        const periodStart = new Date(startDate.getFullYear(), startDate.getMonth() + k, 1);
+        remaining += projectedMonthInterest(remaining, rateOn(ratePeriods, periodStart), accrualMethod, periodStart.getFullYear(), periodStart.getMonth()) - monthlyPayment;
+    }
+    return remaining;
+};
+
+// Smallest whole-cent monthly payment that clears `balance` within `months` projected months.
+// Solved numerically because rate changes and day-count methods rule out the closed-form annuity.
+export const solveMonthlyPayment = ({ balance, months, ratePeriods, accrualMethod, startDate = new Date() }) => {
+    const args = { balance, months, ratePeriods, accrualMethod, startDate };
+    let low = 0;
+    let high = Math.max(balance, 1);
+    while (balanceAfter({ ...args, monthlyPayment: high }) > 0) {
+        high *= 2;
+    }
+    for (let i = 0; i < 60; i++) {
+        const mid = (low + high) / 2;
+        if (balanceAfter({ ...args, monthlyPayment: mid }) > 0) {
+            low = mid;
+        } else {
+            high = mid;
+        }
+    }
+    return Math.ceil(high * 100 - 1e-6) / 100;
+};
+
+// --- Repayment Plan ---
+
+export const PAYMENT_FREQUENCIES = {
+    weekly: { days: 7 },
+    biweekly: { days: 14 },
+    monthly: { months: 1 },
+    quarterly: { months: 3 },
+};
+
+const nthDueDate = (firstDueDate, frequency, n) => {
+    const { days, months } = PAYMENT_FREQUENCIES[frequency] || PAYMENT_FREQUENCIES.monthly;
+    if (days) return addDays(firstDueDate, days * n);
+    // Keep the original day of month, clamped for short months (e.g. the 31st becomes Feb 28th).
+    const year = firstDueDate.getFullYear();
+    const month = firstDueDate.getMonth() + months * n;
+    return new Date(year, month, Math.min(firstDueDate.getDate(), daysInMonth(year, month)));
+};
+
+// `settings.repaymentPlan` is { amount, frequency, firstDueDate: Timestamp, graceDays, lateFee }.
+export const getRepaymentPlan = (settings) => {
+    const plan = settings?.repaymentPlan;
+    if (!plan || !(parseFloat(plan.amount) > 0) || !plan.firstDueDate) return null;
+    return {
+        amount: parseFloat(plan.amount),
+        frequency: PAYMENT_FREQUENCIES[plan.frequency] ? plan.frequency : 'monthly',
+        firstDueDate: plan.firstDueDate.toDate ? plan.firstDueDate.toDate() : plan.firstDueDate,
+        graceDays: parseInt(plan.graceDays, 10) || 0,
+        lateFee: parseFloat(plan.lateFee) || 0,
+    };
+};
+
+// Generates every due item up to `today` plus `upcomingCount` future ones, and matches payments to them
+// oldest-first. Each item gets a status of 'onTime', 'late', 'partial', 'missed' or 'upcoming'.
+export const buildDueSchedule = ({ plan, payments, today = new Date(), upcomingCount = 3 }) => {
+    if (!plan) return [];
+    const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+
+    const dues = [];
+    let upcoming = 0;
+    for (let n = 0; upcoming < upcomingCount && n < 1000; n++) {
+        const dueDate = nthDueDate(plan.firstDueDate, plan.frequency, n);
+        const graceDeadline = addDays(dueDate, plan.graceDays);
+        dues.push({ dueDate, graceDeadline, amount: plan.amount, paid: 0, paidDate: null });
+        if (graceDeadline >= todayStart) upcoming++;
+    }
+
+    const sortedPayments = [...payments].sort((a, b) => a.date.getTime() - b.date.getTime());
+    let dueIndex = 0;
+    for (const payment of sortedPayments) {
+        let remaining = parseFloat(payment.amount);
+        while (remaining > 0.005 && dueIndex < dues.length) {
+            const due = dues[dueIndex];
+            const applied = Math.min(remaining, due.amount - due.paid);
+            due.paid += applied;
+            remaining -= applied;
+            if (due.paid >= due.amount - 0.005) {
+                due.paidDate = payment.date;
+                dueIndex++;
+            }
+        }
+    }
+
+    return dues.map(due => {
+        let status = 'upcoming';
+        if (due.paidDate) {
+            status = due.paidDate <= due.graceDeadline ? 'onTime' : 'late';
+        } else if (due.graceDeadline < todayStart) {
+            status = due.paid > 0 ? 'partial' : 'missed';
+        }
+        return { ...due, status };
+    });
+};
+
+// One fee per due item that was not fully paid by the end of its grace period, dated the day after.
+export const calculateLateFees = (plan, dueSchedule, today = new Date()) => {
+    if (!plan?.lateFee) return [];
+    return dueSchedule
+        .filter(due => ['late', 'partial', 'missed'].includes(due.status))
+        .map(due => ({ date: addDays(due.graceDeadline, 1), amount: plan.lateFee, dueDate: due.dueDate }))
+        .filter(fee => fee.date <= today);
+};
+
+// --- Year-End Statement ---
+
+// Summarises one calendar year from ledger rows produced by `splitPayments`.
+export const buildYearStatement = (ledgerRows, year) => {
+    const yearStart = new Date(year, 0, 1);
+    const yearEnd = new Date(year + 1, 0, 1);
+    const months = Array.from({ length: 12 }, (_, month) => ({ month, advances: 0, payments: 0, interestAccrued: 0, interestPaid: 0 }));
+    const statement = {
+        year,
+        openingBalance: 0,
+        advances: 0,
+        payments: 0,
+        interestAccrued: 0,
+        interestPaid: 0,
+        principalPaid: 0,
+        feesCharged: 0,
+        feesPaid: 0,
+        months,
+    };
+
+    [...ledgerRows]
+        .sort((a, b) => a.date.getTime() - b.date.getTime())
+        .forEach(t => {
+            const amount = parseFloat(t.amount);
+            if (t.date < yearStart) {
+                statement.openingBalance += t.type === 'payment' ? -amount : amount;
+                return;
+            }
+            if (t.date >= yearEnd) return;
+
+            const monthRow = months[t.date.getMonth()];
+            if (t.type === 'payment') {
+                statement.payments += amount;
+                statement.interestPaid += t.interestPaid || 0;
+                statement.principalPaid += t.principalPaid || 0;
+                statement.feesPaid += t.feesPaid || 0;
+                monthRow.payments += amount;
+                monthRow.interestPaid += t.interestPaid || 0;
+            } else if (t.type === 'interest') {
+                statement.interestAccrued += amount;
+                monthRow.interestAccrued += amount;
+            } else if (t.type === 'lateFee') {
+                statement.feesCharged += amount;
+            } else {
+                statement.advances += amount;
+                monthRow.advances += amount;
+            }
+        });
+
+    statement.closingBalance = statement.openingBalance + statement.advances + statement.interestAccrued + statement.feesCharged - statement.payments;
+    return statement;
+};
+
+// --- Loan Summary ---
+
+// Everything the balance card shows, computed in one place so the dashboard and the loan screen agree.
+// `transactions` are the entries that count toward the balance (see countsTowardBalance), with JS Date `date`s.
+export const summarizeLoan = (settings, transactions, today = new Date()) => {
+    if (!settings?.initialLoanAmount || !settings.initialLoanDate) return null;
+
+    const { rows, ...totals } = splitPayments([
+        { id: 'initial', date: settings.initialLoanDate.toDate(), amount: parseFloat(settings.initialLoanAmount), type: 'initial' },
+        ...transactions,
+    ], getPaymentAllocation(settings));
+
+    let balance = 0;
+    let lastPayment = null;
+    const ledgerRows = rows.map(t => {
+        const amount = parseFloat(t.amount);
+        if (t.type === 'payment') {
+            balance -= amount;
+            lastPayment = { date: t.date, amount };
+        } else {
+            balance += amount;
+        }
+        return { ...t, runningBalance: balance };
+    });
+
+    const dueSchedule = buildDueSchedule({
+        plan: getRepaymentPlan(settings),
+        payments: transactions.filter(t => t.type === 'payment'),
+        today,
+    });
+
+    // Only the principal share of each payment counts towards paying the loan off.
+    const percentPaidOff = totals.principalAdvanced > 0
+        ? Math.max(0, Math.min(100, (totals.totalPrincipalPaid / totals.principalAdvanced) * 100))
+        : 0;
+
+    return {
+        ledgerRows,
+        balance,
+        lastPayment,
+        totals,
+        percentPaidOff,
+        isPaidOff: balance <= 0 && parseFloat(settings.initialLoanAmount) > 0,
+        dueSchedule,
+        nextDue: dueSchedule.find(due => due.status === 'upcoming') || null,
+        amountPastDue: dueSchedule
+            .filter(due => due.status === 'partial' || due.status === 'missed')
+            .reduce((acc, due) => acc + due.amount - due.paid, 0),
+        interestPaidThisYear: ledgerRows
+            .filter(t => t.type === 'payment' && t.date.getFullYear() === today.getFullYear())
+            .reduce((acc, t) => acc + t.interestPaid, 0),
+    };
+};
@@ -0,0 +1,146 @@
+import { describe, expect, test } from 'vitest';
+import {
+    allocatePayment, splitPayments, calculateInterestPostings, buildAmortizationSchedule, monthsUntil,
+    solveMonthlyPayment, buildDueSchedule, calculateLateFees, buildYearStatement,
+} from './loanMath.js';
+
+const day = (year, month, date) => new Date(year, month - 1, date);
+
+const rates = (...periods) => periods.map(([effectiveDate, rate]) => ({ effectiveDate, rate }));
+
+const amounts = (postings) => postings.map(p => Math.round(p.amount * 100) / 100);
+
+describe('calculateInterestPostings', () => {
+    test('the monthly method charges a twelfth of the rate on the balance at the start of each month', () => {
+        const postings = calculateInterestPostings({
+            startDate: day(2024, 1, 15),
+            transactions: [{ type: 'initial', amount: 12000, date: day(2024, 1, 15) }],
+            ratePeriods: rates([day(2024, 1, 15), 12]),
+            accrualMethod: 'monthly',
+            until: day(2024, 4, 1),
+        });
+
+        // Nothing is owed on Jan 1st; March compounds on February's unpaid interest.
+        expect(amounts(postings)).toEqual([120, 121.2]);
+        expect(postings.map(p => p.date)).toEqual([day(2024, 2, 29), day(2024, 3, 31)]);
+    });
+
+    test('actual/365 accrues daily on principal at the rate in effect each day', () => {
+        const postings = calculateInterestPostings({
+            startDate: day(2024, 1, 1),
+            transactions: [{ type: 'initial', amount: 36500, date: day(2024, 1, 1) }],
+            ratePeriods: rates([day(2024, 1, 1), 10], [day(2024, 1, 16), 20]),
+            accrualMethod: 'actual365',
+            until: day(2024, 2, 1),
+        });
+
+        // 15 days at 10 a day, then 16 days at 20 a day.
+        expect(amounts(postings)).toEqual([470]);
+    });
+
+    test('actual/360 uses a 360-day year and does not charge interest on unpaid interest', () => {
+        const postings = calculateInterestPostings({
+            startDate: day(2024, 1, 1),
+            transactions: [{ type: 'initial', amount: 36000, date: day(2024, 1, 1) }],
+            ratePeriods: rates([day(2024, 1, 1), 10], [day(2024, 1, 16), 20]),
+            accrualMethod: 'actual360',
+            until: day(2024, 3, 1),
+        });
+
+        expect(amounts(postings)).toEqual([470, 580]);
+        expect(postings[1].balances).toEqual({ principal: 36000, unpaidInterest: 1050, unpaidFees: 0 });
+    });
+});
+
+describe('allocatePayment and splitPayments', () => {
+    test('fees are paid first, then interest or principal depending on the allocation', () => {
+        const owed = { fees: 10, interest: 30, principal: 500 };
+        expect(allocatePayment(100, owed, 'interestFirst')).toEqual({ feesPaid: 10, interestPaid: 30, principalPaid: 60 });
+        expect(allocatePayment(100, owed, 'principalFirst')).toEqual({ feesPaid: 10, interestPaid: 0, principalPaid: 90 });
+        expect(allocatePayment(600, { fees: 0, interest: 30, principal: 500 }, 'principalFirst')).toEqual({ feesPaid: 0, interestPaid: 30, principalPaid: 570 });
+    });
+
+    test('the allocation decides what a payment leaves owing', () => {
+        const ledger = [
+            { type: 'initial', amount: 1000, date: day(2024, 1, 1) },
+            { type: 'payment', amount: 50, date: day(2024, 2, 1) },
+            { type: 'interest', amount: 10, date: day(2024, 1, 31) },
+        ];
+
+        const interestFirst = splitPayments(ledger, 'interestFirst');
+        expect(interestFirst.rows[2]).toMatchObject({ interestPaid: 10, principalPaid: 40 });
+        expect(interestFirst).toMatchObject({ principal: 960, unpaidInterest: 0, totalInterestPaid: 10 });
+
+        const principalFirst = splitPayments(ledger, 'principalFirst');
+        expect(principalFirst.rows[2]).toMatchObject({ interestPaid: 0, principalPaid: 50 });
+        expect(principalFirst).toMatchObject({ principal: 950, unpaidInterest: 10, totalInterestPaid: 0 });
+    });
+});
+
+describe('solveMonthlyPayment', () => {
+    test('the solved payment pays the loan off in the target month and a cent less does not', () => {
+        const startDate = day(2024, 1, 15);
+        const months = monthsUntil(day(2024, 12, 31), startDate);
+        const args = { balance: 10000, ratePeriods: rates([day(2020, 1, 1), 6], [day(2024, 7, 1), 9]), accrualMethod: 'actual365', startDate };
+        expect(months).toBe(11);
+
+        const monthlyPayment = solveMonthlyPayment({ ...args, months });
+        const schedule = buildAmortizationSchedule({ ...args, monthlyPayment });
+        expect(schedule[months - 1].date).toEqual(day(2024, 12, 31));
+        expect(schedule[months - 1].endingBalance).toBe(0);
+        expect(schedule[months - 2].endingBalance).toBeGreaterThan(0);
+
+        const short = buildAmortizationSchedule({ ...args, monthlyPayment: monthlyPayment - 0.01 });
+        expect(short[months - 1].endingBalance).toBeGreaterThan(0);
+    });
+});
+
+describe('buildDueSchedule and calculateLateFees', () => {
+    const plan = { amount: 100, frequency: 'monthly', firstDueDate: day(2024, 1, 10), graceDays: 5, lateFee: 15 };
+
+    test('a due item only partly paid by the end of its grace period gets one late fee', () => {
+        const today = day(2024, 2, 1);
+        const schedule = buildDueSchedule({ plan, payments: [{ amount: 40, date: day(2024, 1, 12) }], today, upcomingCount: 1 });
+
+        expect(schedule.map(due => due.status)).toEqual(['partial', 'upcoming']);
+        expect(schedule[0].paid).toBe(40);
+        expect(calculateLateFees(plan, schedule, today)).toEqual([{ date: day(2024, 1, 16), amount: 15, dueDate: day(2024, 1, 10) }]);
+    });
+
+    test('a due item paid in full within its grace period is not charged', () => {
+        const today = day(2024, 2, 1);
+        const schedule = buildDueSchedule({ plan, payments: [{ amount: 40, date: day(2024, 1, 12) }, { amount: 60, date: day(2024, 1, 15) }], today, upcomingCount: 1 });
+
+        expect(schedule[0].status).toBe('onTime');
+        expect(calculateLateFees(plan, schedule, today)).toEqual([]);
+    });
+});
+
+describe('buildYearStatement', () => {
+    test('totals only the year asked for, carrying earlier entries into the opening balance', () => {
+        const { rows } = splitPayments([
+            { type: 'initial', amount: 1000, date: day(2023, 6, 1) },
+            { type: 'interest', amount: 10, date: day(2023, 12, 31) },
+            { type: 'payment', amount: 100, date: day(2024, 1, 15) },
+            { type: 'interest', amount: 8, date: day(2024, 1, 31) },
+            { type: 'lateFee', amount: 15, date: day(2024, 3, 2) },
+            { type: 'loanIncrease', amount: 200, date: day(2024, 5, 1) },
+            { type: 'payment', amount: 50, date: day(2025, 1, 2) },
+        ]);
+
+        const statement = buildYearStatement(rows, 2024);
+        expect(statement).toMatchObject({
+            openingBalance: 1010,
+            advances: 200,
+            payments: 100,
+            interestAccrued: 8,
+            interestPaid: 10,
+            principalPaid: 90,
+            feesCharged: 15,
+            feesPaid: 0,
+            closingBalance: 1133,
+        });
+        expect(statement.months[0]).toMatchObject({ payments: 100, interestPaid: 10, interestAccrued: 8 });
+        expect(statement.months[4].advances).toBe(200);
+    });
+});
@@ -0,0 +1,605 @@
+// English is the reference catalog: every key exists here, and other languages fall back to it.
+
+export const en = {
+    common: {
+        cancel: 'Cancel',
+        save: 'Save',
+        remove: 'Remove',
+        edit: 'Edit',
+        delete: 'Delete',
+        deleting: 'Deleting...',
+        undo: 'Undo',
+        connecting: 'Connecting...',
+        language: 'Language',
+        perMonth: '{amount}/mo',
+        overFiftyYears: 'Over 50 years',
+        pendingSync: 'Pending sync',
+        pendingSyncHint: 'Saved on this device; it will sync when you are back online.',
+    },
+
+    auth: {
+        welcome: 'Welcome',
+        intro: 'Sign in or create an account to manage your loans.',
+        joinIntro: 'Sign in or create an account to join the loan with code {code}.',
+        logIn: 'Log In',
+        signUp: 'Sign Up',
+        createAccount: 'Create Account',
+        yourName: 'Your Name (shown to other members)',
+        email: 'Email Address',
+        password: 'Password',
+        resetTitle: 'Reset Password',
+        resetIntro: 'Enter your email address and we will send you a link to reset your password.',
+        sendReset: 'Send Reset Email',
+        resetSent: 'Password reset email sent! Please check your inbox.',
+        forgotPassword: 'Forgot Password?',
+        backToLogIn: 'Back to Log In',
+        noAccount: "Don't have an account?",
+        haveAccount: 'Already have an account?',
+        useLocal: 'Keep loans on this device instead',
+    },
+
+    storage: {
+        intro: 'Choose where your loans are kept. You can move a loan from this device into an account later.',
+        cloudTitle: 'Share with an account',
+        cloudBody: 'Sign in to keep loans online and share them with the other people on the loan.',
+        cloudButton: 'Use an Account',
+        localTitle: 'Keep it on this device',
+        localBody: 'No account needed. Loans stay private in this browser and cannot be shared.',
+        yourName: 'Your Name',
+        localButton: 'Use This Device',
+        localFailed: 'Could not set up storage on this device. Your browser may be blocking it.',
+    },
+
+    dashboard: {
+        title: 'Dashboard',
+        welcomeUser: 'Welcome, {email}',
+        logOut: 'Log Out',
+        formatLabel: 'Date and number format',
+        browserFormat: 'Browser default',
+        totalLentOut: 'Total Lent Out',
+        totalLentOutHint: 'Outstanding on loans you own or lend',
+        totalBorrowed: 'Total Borrowed',
+        totalBorrowedHint: 'Outstanding on loans you borrow',
+        interestEarned: 'Interest Earned in {year}',
+        interestEarnedHint: 'Interest paid to you this year',
+        createTitle: 'Create a New Loan',
+        createPlaceholder: 'e.g., Family Car Loan',
+        createButton: 'Create & Go',
+        joinTitle: 'Join an Existing Loan',
+        joinPlaceholder: 'Enter 6-Digit Code',
+        joinButton: 'Join Loan',
+        myLoans: 'My Loans',
+        filterByStatus: 'Filter by status',
+        filterByRole: 'Filter by role',
+        allRoles: 'All Roles',
+        sortLoans: 'Sort loans',
+        sortOption: 'Sort: {label}',
+        noMatches: 'No loans match these filters.',
+        noLoans: 'You have not joined or created any loans yet.',
+        untitledLoan: 'Untitled Loan',
+        toConfirm: '{count} to confirm',
+        paidOff: 'Paid Off',
+        percentPaidOff: '{percent}% paid off',
+        lastPayment: 'Last payment {amount} on {date}',
+        noPayments: 'No payments yet',
+        nextDue: 'Next due {date}',
+        pastDue: 'Past due {amount}',
+        setupNotFinished: 'Setup not finished',
+        code: 'CODE: {code}',
+        leaveTitle: 'Leave Loan?',
+        leaveBody: 'Are you sure you want to leave the loan "{title}"? You will lose access to it unless you are invited back.',
+        leaveButton: 'Leave Loan',
+        localOnly: 'Loans on this device only',
+        changeStorage: 'Change Storage',
+        deviceLoans: 'On This Device',
+        deviceLoansHint: 'These loans are only on this device. Move one into your account to share it.',
+        moveTitle: 'Move Loan to Your Account?',
+        moveBody: '"{title}" will be copied to your account and removed from this device. Its activity history is not moved.',
+        moveButton: 'Move to Account',
+        moving: 'Moving...',
+        moved: '"{title}" is now in your account.',
+        openLoan: 'Open',
+        statusFilters: {
+            all: 'All Loans',
+            active: 'Active',
+            paidOff: 'Paid Off',
+        },
+        sorts: {
+            name: 'Name',
+            balance: 'Highest Balance',
+            nextDue: 'Next Due Date',
+            lastPayment: 'Latest Payment',
+        },
+        errors: {
+            fetchLoans: 'Could not fetch your loans.',
+            nameRequired: 'Please enter a name for the loan.',
+            createFailed: 'Failed to create loan. Please try again.',
+            codeRequired: 'Please enter a Loan Code to join.',
+            codeNotFound: 'Loan ID not found. Please check the code and try again.',
+            alreadyMember: 'You are already a member of "{title}".',
+            joinFailed: 'Failed to join loan. Please check the code and try again.',
+            saveFormat: 'Failed to save your format preference.',
+            saveLanguage: 'Failed to save your language preference.',
+            onlyOwner: 'You are the only owner. Make another member an owner before leaving.',
+            leaveFailed: 'Failed to leave the loan. Please try again.',
+            joinNeedsAccount: 'Joining a shared loan needs an account. Change storage to sign in.',
+            moveFailed: 'Failed to move the loan. It is still on this device.',
+        },
+        requestSent: 'Request sent. The loan will show up here once the owner approves it.',
+        joined: 'Successfully joined "{title}"!',
+        left: 'You have left "{title}".',
+    },
+
+    roles: {
+        owner: { label: 'Owner', description: 'Full control, including members and invites' },
+        lender: { label: 'Lender', description: 'Can change settings and edit any transaction' },
+        borrower: { label: 'Borrower', description: 'Can record payments' },
+        viewer: { label: 'Viewer', description: 'Read-only access' },
+    },
+
+    transactionTypes: {
+        initial: 'Initial loan amount',
+        payment: 'Payment',
+        loanIncrease: 'Loan Increase',
+        interest: 'Interest',
+        lateFee: 'Late Fee',
+    },
+
+    // Generated descriptions for entries saved without one of their own.
+    descriptions: {
+        initial: 'Initial Loan Amount',
+        interest: 'Monthly Interest - {month}',
+        lateFee: 'Late Fee - payment due {dueDate}',
+        entry: '{type} on {date}',
+    },
+
+    paymentStatuses: {
+        pending: 'Awaiting confirmation',
+        confirmed: 'Confirmed',
+        rejected: 'Rejected',
+    },
+
+    dueStatuses: {
+        onTime: 'On Time',
+        late: 'Late',
+        partial: 'Partial',
+        missed: 'Missed',
+        upcoming: 'Upcoming',
+    },
+
+    accrualMethods: {
+        monthly: 'Monthly compounding (balance on the 1st × rate ÷ 12)',
+        actual365: 'Daily simple interest (actual/365)',
+        actual360: 'Daily simple interest (actual/360)',
+    },
+
+    paymentAllocations: {
+        interestFirst: 'Accrued interest first, then principal',
+        principalFirst: 'Principal first, then accrued interest',
+    },
+
+    paymentFrequencies: {
+        weekly: 'Weekly',
+        biweekly: 'Every 2 weeks',
+        monthly: 'Monthly',
+        quarterly: 'Quarterly',
+    },
+
+    currencies: {
+        USD: 'US Dollar (USD)',
+        CAD: 'Canadian Dollar (CAD)',
+        EUR: 'Euro (EUR)',
+        GBP: 'British Pound (GBP)',
+        MXN: 'Mexican Peso (MXN)',
+        AUD: 'Australian Dollar (AUD)',
+    },
+
+    invites: {
+        expiry: {
+            never: 'Never expires',
+            day: 'Expires in 24 hours',
+            week: 'Expires in 7 days',
+            month: 'Expires in 30 days',
+        },
+        problems: {
+            expired: 'This invite code has expired. Ask the owner for a new one.',
+            used: 'This invite code has already been used. Ask the owner for a new one.',
+        },
+    },
+
+    scenarios: {
+        namePlaceholder: 'Scenario name, e.g. {amount} + June bonus',
+        nameLabel: 'Scenario name',
+        monthlyPayment: 'Monthly payment',
+        monthlyPaymentPlaceholder: 'Monthly payment ({currency})',
+        lumpSumIn: 'Lump sum in',
+        lumpSumMonth: 'Lump sum month',
+        lumpSumAmount: 'Lump sum amount',
+        amount: 'Amount',
+        payFrom: 'Pay from',
+        stepUpMonth: 'Step-up month',
+        stepUpPayment: 'New monthly payment',
+        perMonthPlaceholder: 'Per month',
+        addLumpSum: '+ Lump Sum',
+        addStepUp: '+ Payment Step-Up',
+        add: 'Add Scenario',
+        empty: 'Add a scenario to compare payoff plans. The first scenario is the baseline.',
+        scenario: 'Scenario',
+        payoffDate: 'Payoff Date',
+        totalInterest: 'Total Interest',
+        interestSaved: 'Interest Saved',
+        actions: 'Actions',
+        baseline: 'Baseline',
+        stepUpFrom: ' · {amount}/mo from {month}',
+        lumpSumOn: ' · +{amount} in {month}',
+        shared: 'Shared',
+        invalid: 'Please give the scenario a name, a monthly payment, and a month and amount for every extra payment or step-up.',
+        saved: 'Scenario "{name}" saved to this loan.',
+        removed: 'Scenario "{name}" removed.',
+        saveFailed: 'Failed to update saved scenarios.',
+    },
+
+    import: {
+        intro: 'Upload a CSV with one transaction per row and a header row. Files exported from Transaction History can be imported as they are.',
+        fileSummary: { one: '{fileName}: {count} row', other: '{fileName}: {count} rows' },
+        fields: {
+            date: 'Date',
+            amount: 'Amount',
+            type: 'Type',
+            description: 'Description',
+        },
+        chooseColumn: 'Choose a column',
+        notInFile: 'Not in file',
+        column: 'Column {number}',
+        treatPositiveAs: 'Treat positive amounts as',
+        payments: 'Payments',
+        loanIncreases: 'Loan Increases',
+        negativeHint: '(negative amounts are payments)',
+        importColumn: 'Import',
+        status: 'Status',
+        importRow: 'Import row {number}',
+        duplicate: 'Looks like a duplicate',
+        ready: 'Ready',
+        importing: 'Importing...',
+        importButton: { one: 'Import {count} Transaction', other: 'Import {count} Transactions' },
+        errors: {
+            noRows: 'That file has no data rows to import.',
+            date: 'Unreadable date',
+            calculated: 'Interest, fees and the initial amount are calculated automatically',
+            unknownType: 'Unknown type "{type}"',
+            amount: 'Missing or zero amount',
+            failed: 'Failed to import transactions. Some rows may have been saved; check the history before retrying.',
+        },
+        imported: { one: 'Imported {count} transaction.', other: 'Imported {count} transactions.' },
+    },
+
+    chart: {
+        empty: 'No balance history to chart yet.',
+        label: 'Loan balance over time',
+        projected: 'Projected · {month}',
+        projectedPayment: 'Payment {payment} (interest {interest})',
+        balance: 'Balance {amount}',
+        projection: 'Projection',
+        projectionHint: 'Calculate a projection to see the path to payoff.',
+        markers: {
+            payment: 'Payment',
+            advance: 'Advance',
+            charge: 'Interest & fees',
+        },
+    },
+
+    statement: {
+        print: 'Print / Save as PDF',
+        close: 'Close',
+        title: 'Annual Loan Statement — {year}',
+        lender: 'Lender',
+        borrower: 'Borrower',
+        period: 'Statement Period',
+        rate: 'Annual Interest Rate',
+        rateThen: ', then ',
+        openingBalance: 'Opening balance (Jan 1)',
+        advances: 'Advances',
+        interestAccrued: 'Interest accrued',
+        feesCharged: 'Late fees charged',
+        paymentsReceived: 'Payments received',
+        closingBalance: 'Closing balance (Dec 31)',
+        interestPaidIn: 'Interest Paid in {year}',
+        principalRepaidIn: 'Principal Repaid in {year}',
+        month: 'Month',
+        payments: 'Payments',
+        interestAccruedColumn: 'Interest Accrued',
+        interestPaidColumn: 'Interest Paid',
+        footer: "Generated on {date}. Interest paid follows the loan's payment allocation rule ({allocation}).",
+    },
+
+    members: {
+        you: ' (you)',
+        unknown: 'Unknown member',
+        automaticInterest: 'Automatic interest',
+        member: 'Member',
+        yourName: 'Your name',
+        changeName: 'Change name',
+        role: 'Role',
+        inviteCode: 'Invite code',
+        codeExpiry: 'Code expiry',
+        expires: 'Expires {date}',
+        singleUse: 'Single use',
+        singleUseUsed: 'Single use, already used',
+        reusable: 'Reusable',
+        approvalRequired: 'Owner approval required',
+        joinsImmediately: 'Joins immediately',
+        requireApproval: 'Require my approval',
+        creating: 'Creating...',
+        generateCode: 'Generate New Code',
+        copyLink: 'Copy join link',
+        linkCopied: 'Join link copied. Anyone who opens it can use this code.',
+        copyFailed: 'Could not copy the link. Share the code instead.',
+        waitingForApproval: 'Waiting for approval',
+        approve: 'Approve',
+        decline: 'Decline',
+        removeTitle: 'Remove Member?',
+        removeBody: '{name} will lose access to this loan. Their past transactions stay in the history.',
+        needsOwner: 'A loan needs at least one owner.',
+        roleUpdated: 'Role updated.',
+        roleFailed: 'Failed to update role.',
+        nameUpdated: 'Name updated.',
+        nameFailed: 'Failed to update your name.',
+        removed: 'Member removed.',
+        removeFailed: 'Failed to remove member.',
+        codeRotated: 'New invite code created. The old code no longer works.',
+        codeFailed: 'Failed to create a new invite code.',
+        approved: '{name} can now access this loan.',
+        declined: 'Request declined.',
+        requestFailed: 'Failed to update the join request.',
+        inviteUsedUp: 'This single-use code has already been used. Decline the request or share a new code.',
+    },
+
+    activity: {
+        filterByMember: 'Filter by member',
+        allMembers: 'All members',
+        from: 'From',
+        to: 'To',
+        empty: 'No changes recorded yet.',
+        noMatches: 'No activity matches these filters.',
+        settingsChanged: 'changed the loan settings',
+        memberJoined: 'joined the loan',
+        memberLeft: 'left the loan',
+        memberAdded: 'added {name} to the loan',
+        memberRemoved: 'removed {name} from the loan',
+        summary: '{action} {item}',
+        actions: {
+            create: 'added',
+            update: 'edited',
+            delete: 'deleted',
+            restore: 'restored',
+            purge: 'permanently deleted',
+        },
+        items: {
+            payment: 'a payment',
+            loanIncrease: 'a loan increase',
+            interest: 'an interest charge',
+            lateFee: 'a late fee',
+            transaction: 'a transaction',
+        },
+        fields: {
+            appTitle: 'Loan name',
+            lenderName: 'Lender name',
+            borrowerName: 'Borrower name',
+            initialLoanAmount: 'Initial loan amount',
+            initialLoanDate: 'Initial loan date',
+            interestRate: 'Interest rate',
+            ratePeriods: 'Rate schedule',
+            accrualMethod: 'Interest accrual',
+            paymentAllocation: 'Payment allocation',
+            currency: 'Currency',
+            repaymentPlan: 'Repayment plan',
+            date: 'Date',
+            type: 'Type',
+            amount: 'Amount',
+            description: 'Description',
+            status: 'Status',
+        },
+    },
+
+    comments: {
+        title: 'Discussion',
+        open: 'Discussion and receipts',
+        close: 'Close',
+        about: '{description} · {date} · {amount}',
+        empty: 'No comments yet. Ask a question or attach a receipt.',
+        placeholder: 'Write a comment...',
+        attach: 'Attach receipt',
+        attachOffline: 'Attaching files needs a connection.',
+        removeFile: 'Remove {name}',
+        post: 'Post',
+        postFailed: 'Could not post the comment.',
+        deleteConfirm: 'Delete this comment and its attachments?',
+        deleteFailed: 'Could not delete the comment.',
+        readOnly: 'Viewers can read the discussion but not take part.',
+        problems: {
+            type: 'Only images and PDF files can be attached.',
+            size: 'Attachments can be at most 10 MB each.',
+            count: 'A comment can have at most {max} attachments.',
+        },
+    },
+    notifications: {
+        title: 'Notifications',
+        markAllRead: 'Mark all read',
+        empty: 'Nothing new from the other members of your loans.',
+        unread: '{count} new',
+        browserAlerts: 'Show browser alerts while the app is open',
+        alertsBlocked: 'Your browser is blocking alerts for this site. Allow them in the browser settings first.',
+    },
+    loan: {
+        back: 'Back to My Loans',
+        unavailable: 'This loan does not exist or you are no longer a member.',
+        shareCode: 'SHARE CODE:',
+        yourRole: 'Your role:',
+        offline: 'You are offline. New transactions are saved on this device and marked "Pending sync" until you reconnect. Interest catches up then.',
+        currentBalance: 'Current Loan Balance',
+        paidOff: 'Paid Off! 🎉',
+        percentPaidOff: '{percent}% of Principal Paid Off',
+        paidTotals: 'Principal Paid: {principal} · Interest Paid: {interest}',
+        lastPayment: 'Last Payment: {amount} on {date}',
+        nextDue: 'Next Due: {amount} on {date}',
+        pastDue: 'Past Due: {amount}',
+        sections: {
+            balanceOverTime: 'Balance Over Time',
+            addTransaction: 'Add Transaction',
+            editTransaction: 'Edit Transaction',
+            pendingPayments: 'Pending Payments ({count})',
+            importTransactions: 'Import Transactions',
+            history: 'Transaction History',
+            paymentSchedule: 'Payment Schedule',
+            projections: 'Loan Projections',
+            statement: 'Year-End Statement',
+            scenarios: 'Compare Payoff Scenarios',
+            members: 'Members & Invites',
+            activity: 'Activity',
+            trash: 'Trash ({count})',
+            settings: 'Loan Settings',
+        },
+        form: {
+            date: 'Date',
+            type: 'Type',
+            amount: 'Amount',
+            description: 'Description (Optional)',
+            descriptionPlaceholder: 'e.g., Monthly payment',
+            update: 'Update Transaction',
+            add: 'Add Transaction',
+            submitPayment: 'Submit Payment',
+        },
+        pending: {
+            intro: 'Payments submitted by the borrower count toward the balance only after a lender confirms them.',
+            submittedBy: 'Submitted by {name}',
+            rejectedDelete: 'Rejected · Delete',
+            confirm: 'Confirm',
+            reject: 'Reject',
+        },
+        history: {
+            filterByType: 'Filter by type',
+            sortByDate: 'Sort by Date',
+            exportCsv: 'Export CSV',
+            empty: 'No transactions recorded yet.',
+            date: 'Date',
+            description: 'Description',
+            amount: 'Amount',
+            interestPaid: 'Interest Paid',
+            principalPaid: 'Principal Paid',
+            balance: 'Balance',
+            actions: 'Actions',
+            recordedBy: 'Recorded by {name}',
+            fees: '+ {amount} fees',
+            filters: {
+                all: 'All Types',
+                payment: 'Payments',
+                advance: 'Advances',
+                interest: 'Interest',
+                lateFee: 'Late Fees',
+            },
+        },
+        schedule: {
+            dueDate: 'Due Date',
+            amountDue: 'Amount Due',
+            paid: 'Paid',
+            status: 'Status',
+        },
+        projections: {
+            iCanPay: 'I Can Pay...',
+            payOffBy: 'Pay Off By...',
+            monthlyPayment: 'Enter a Monthly Payment Amount ({currency})',
+            paymentPlaceholder: 'e.g., 500',
+            calculate: 'Calculate',
+            targetDate: 'Target date',
+            numberOfMonths: 'Number of months',
+            targetDateLabel: 'Target payoff date',
+            termLabel: 'Term in months',
+            termPlaceholder: 'e.g., 24',
+            solve: 'Solve',
+            requiredPayment: 'Required Payment',
+            payoffDate: 'Payoff Date',
+            totalInterest: 'Total Interest',
+            totalPaid: 'Total Paid',
+            exportSchedule: 'Export Schedule CSV',
+            month: 'Month',
+            date: 'Date',
+            payment: 'Payment',
+            principal: 'Principal',
+            interest: 'Interest',
+            endingBalance: 'Ending Balance',
+        },
+        statement: {
+            year: 'Statement year',
+            view: 'View Statement',
+            namesHint: 'Add the lender and borrower names in Loan Settings so they appear on the statement.',
+        },
+        trash: {
+            deletedBy: 'Deleted by {name} on {date}',
+            restore: 'Restore',
+            deleteForever: 'Delete Forever',
+        },
+        settings: {
+            welcome: "Welcome! Let's get your loan set up. Please fill out the details below to get started.",
+            loanName: 'Loan Name',
+            lenderName: 'Lender Name',
+            borrowerName: 'Borrower Name',
+            namePlaceholder: 'Shown on statements',
+            currency: 'Currency',
+            initialAmount: 'Initial Amount ({currency})',
+            openingRate: 'Opening Annual Interest Rate (%)',
+            ratePlaceholder: 'e.g., 5.25',
+            initialDate: 'Initial Loan Date',
+            rateChanges: 'Rate Changes',
+            rateChangesHint: 'The opening rate applies from the initial loan date until the first change below.',
+            noRateChanges: 'No rate changes recorded.',
+            effectiveDate: 'Effective date',
+            annualRate: 'Annual rate (%)',
+            ratePercent: 'Rate %',
+            addRateChange: '+ Add Rate Change',
+            paymentAllocation: 'Payment Allocation',
+            accrualMethod: 'Interest Accrual Method',
+            repaymentPlan: 'Repayment Plan (Optional)',
+            repaymentPlanHint: 'Leave the payment amount blank if the loan has no fixed schedule.',
+            planAmount: 'Payment Amount ({currency})',
+            frequency: 'Frequency',
+            firstDueDate: 'First Due Date',
+            graceDays: 'Grace Days',
+            lateFee: 'Late Fee ({currency}, Optional)',
+            readOnly: 'Only the owner or lender can change these settings.',
+            save: 'Save Settings',
+            edit: 'Edit Settings',
+        },
+        deleteTitle: 'Confirm Deletion',
+        deleteBody: 'The transaction will move to the trash and stop counting toward the balance. The loan owner can restore it.',
+        purgeTitle: 'Delete Permanently?',
+        purgeBody: 'This transaction will be removed from the trash for good. This cannot be undone.',
+        messages: {
+            interestRecalculated: 'Interest recalculated successfully.',
+            chargesFailed: 'Your change was saved, but interest and late fees could not be updated.',
+            fetchTransactions: 'Could not fetch loan transactions.',
+            invalidSettings: 'Please enter valid numbers and a date for all settings.',
+            invalidRateChange: 'Each rate change needs a valid rate and a date after the initial loan date.',
+            invalidPlan: 'Please enter a payment amount, first due date and non-negative grace days and late fee for the repayment plan.',
+            settingsSaved: 'Settings saved!',
+            settingsFailed: 'Failed to save settings.',
+            invalidTransaction: 'Please enter a valid date and amount.',
+            transactionUpdated: 'Transaction updated.',
+            paymentSubmitted: 'Payment submitted. It will count toward the balance once the lender confirms it.',
+            transactionAdded: 'Transaction added.',
+            transactionFailed: 'Failed to save transaction.',
+            movedToTrash: 'Transaction moved to trash.',
+            deleteFailed: 'Failed to delete transaction.',
+            paymentConfirmed: 'Payment confirmed.',
+            paymentRejected: 'Payment rejected.',
+            reviewFailed: 'Failed to update the payment.',
+            restored: 'Transaction restored.',
+            restoreFailed: 'Failed to restore transaction.',
+            purged: 'Transaction permanently deleted.',
+            invalidProjectionPayment: 'Please enter a valid monthly payment amount.',
+            paymentBelowInterest: 'Monthly payment must be greater than the interest to pay off the loan.',
+            invalidTargetDate: 'Please pick a target date at least one full month away.',
+            invalidTerm: 'Please enter a term between 1 and 600 months.',
+            nothingToPayOff: 'This loan has no balance left to pay off.',
+        },
+    },
+};
@@ -0,0 +1,604 @@
+// Spanish catalog. Keys mirror en.js; any key missing here falls back to English.
+
+export const es = {
+    common: {
+        cancel: 'Cancelar',
+        save: 'Guardar',
+        remove: 'Quitar',
+        edit: 'Editar',
+        delete: 'Eliminar',
+        deleting: 'Eliminando...',
+        undo: 'Deshacer',
+        connecting: 'Conectando...',
+        language: 'Idioma',
+        perMonth: '{amount}/mes',
+        overFiftyYears: 'Más de 50 años',
+        pendingSync: 'Pendiente de sincronizar',
+        pendingSyncHint: 'Guardado en este dispositivo; se sincronizará cuando vuelvas a tener conexión.',
+    },
+
+    auth: {
+        welcome: 'Bienvenido',
+        intro: 'Inicia sesión o crea una cuenta para administrar tus préstamos.',
+        joinIntro: 'Inicia sesión o crea una cuenta para unirte al préstamo con el código {code}.',
+        logIn: 'Iniciar sesión',
+        signUp: 'Registrarse',
+        createAccount: 'Crear cuenta',
+        yourName: 'Tu nombre (visible para los demás miembros)',
+        email: 'Correo electrónico',
+        password: 'Contraseña',
+        resetTitle: 'Restablecer contraseña',
+        resetIntro: 'Escribe tu correo electrónico y te enviaremos un enlace para restablecer tu contraseña.',
+        sendReset: 'Enviar correo de restablecimiento',
+        resetSent: '¡Correo de restablecimiento enviado! Revisa tu bandeja de entrada.',
+        forgotPassword: '¿Olvidaste tu contraseña?',
+        backToLogIn: 'Volver a iniciar sesión',
+        noAccount: '¿No tienes una cuenta?',
+        haveAccount: '¿Ya tienes una cuenta?',
+        useLocal: 'Guardar los préstamos en este dispositivo',
+    },
+
+    storage: {
+        intro: 'Elige dónde se guardan tus préstamos. Más adelante puedes pasar un préstamo de este dispositivo a una cuenta.',
+        cloudTitle: 'Compartir con una cuenta',
+        cloudBody: 'Inicia sesión para guardar los préstamos en línea y compartirlos con las demás personas del préstamo.',
+        cloudButton: 'Usar una cuenta',
+        localTitle: 'Guardar en este dispositivo',
+        localBody: 'No necesitas cuenta. Los préstamos quedan privados en este navegador y no se pueden compartir.',
+        yourName: 'Tu nombre',
+        localButton: 'Usar este dispositivo',
+        localFailed: 'No se pudo preparar el almacenamiento en este dispositivo. Es posible que tu navegador lo bloquee.',
+    },
+
+    dashboard: {
+        title: 'Panel',
+        welcomeUser: 'Hola, {email}',
+        logOut: 'Cerrar sesión',
+        formatLabel: 'Formato de fechas y números',
+        browserFormat: 'Predeterminado del navegador',
+        totalLentOut: 'Total prestado',
+        totalLentOutHint: 'Pendiente en los préstamos que posees o prestas',
+        totalBorrowed: 'Total adeudado',
+        totalBorrowedHint: 'Pendiente en los préstamos que recibes',
+        interestEarned: 'Intereses ganados en {year}',
+        interestEarnedHint: 'Intereses que te han pagado este año',
+        createTitle: 'Crear un préstamo nuevo',
+        createPlaceholder: 'p. ej., Préstamo del auto familiar',
+        createButton: 'Crear y abrir',
+        joinTitle: 'Unirse a un préstamo existente',
+        joinPlaceholder: 'Escribe el código de 6 caracteres',
+        joinButton: 'Unirse',
+        myLoans: 'Mis préstamos',
+        filterByStatus: 'Filtrar por estado',
+        filterByRole: 'Filtrar por rol',
+        allRoles: 'Todos los roles',
+        sortLoans: 'Ordenar préstamos',
+        sortOption: 'Ordenar: {label}',
+        noMatches: 'Ningún préstamo coincide con estos filtros.',
+        noLoans: 'Todavía no te has unido ni has creado ningún préstamo.',
+        untitledLoan: 'Préstamo sin nombre',
+        toConfirm: '{count} por confirmar',
+        paidOff: 'Liquidado',
+        percentPaidOff: '{percent}% pagado',
+        lastPayment: 'Último pago de {amount} el {date}',
+        noPayments: 'Aún no hay pagos',
+        nextDue: 'Próximo vencimiento: {date}',
+        pastDue: 'Vencido: {amount}',
+        setupNotFinished: 'Configuración sin terminar',
+        code: 'CÓDIGO: {code}',
+        leaveTitle: '¿Salir del préstamo?',
+        leaveBody: '¿Seguro que quieres salir del préstamo "{title}"? Perderás el acceso a menos que te vuelvan a invitar.',
+        leaveButton: 'Salir del préstamo',
+        localOnly: 'Préstamos solo en este dispositivo',
+        changeStorage: 'Cambiar almacenamiento',
+        deviceLoans: 'En este dispositivo',
+        deviceLoansHint: 'Estos préstamos solo están en este dispositivo. Pasa uno a tu cuenta para compartirlo.',
+        moveTitle: '¿Pasar el préstamo a tu cuenta?',
+        moveBody: '"{title}" se copiará a tu cuenta y se eliminará de este dispositivo. Su historial de actividad no se traslada.',
+        moveButton: 'Pasar a la cuenta',
+        moving: 'Pasando...',
+        moved: '"{title}" ya está en tu cuenta.',
+        openLoan: 'Abrir',
+        statusFilters: {
+            all: 'Todos los préstamos',
+            active: 'Activos',
+            paidOff: 'Liquidados',
+        },
+        sorts: {
+            name: 'Nombre',
+            balance: 'Saldo más alto',
+            nextDue: 'Próximo vencimiento',
+            lastPayment: 'Pago más reciente',
+        },
+        errors: {
+            fetchLoans: 'No se pudieron cargar tus préstamos.',
+            nameRequired: 'Escribe un nombre para el préstamo.',
+            createFailed: 'No se pudo crear el préstamo. Inténtalo de nuevo.',
+            codeRequired: 'Escribe un código de préstamo para unirte.',
+            codeNotFound: 'No se encontró el préstamo. Revisa el código e inténtalo de nuevo.',
+            alreadyMember: 'Ya eres miembro de "{title}".',
+            joinFailed: 'No se pudo unir al préstamo. Revisa el código e inténtalo de nuevo.',
+            saveFormat: 'No se pudo guardar tu preferencia de formato.',
+            saveLanguage: 'No se pudo guardar tu preferencia de idioma.',
+            onlyOwner: 'Eres el único propietario. Haz propietario a otro miembro antes de salir.',
+            leaveFailed: 'No se pudo salir del préstamo. Inténtalo de nuevo.',
+            joinNeedsAccount: 'Para unirte a un préstamo compartido necesitas una cuenta. Cambia el almacenamiento para iniciar sesión.',
+            moveFailed: 'No se pudo pasar el préstamo. Sigue en este dispositivo.',
+        },
+        requestSent: 'Solicitud enviada. El préstamo aparecerá aquí cuando el propietario la apruebe.',
+        joined: '¡Te uniste a "{title}"!',
+        left: 'Saliste de "{title}".',
+    },
+
+    roles: {
+        owner: { label: 'Propietario', description: 'Control total, incluidos miembros e invitaciones' },
+        lender: { label: 'Prestamista', description: 'Puede cambiar la configuración y editar cualquier transacción' },
+        borrower: { label: 'Prestatario', description: 'Puede registrar pagos' },
+        viewer: { label: 'Observador', description: 'Solo lectura' },
+    },
+
+    transactionTypes: {
+        initial: 'Monto inicial del préstamo',
+        payment: 'Pago',
+        loanIncrease: 'Aumento del préstamo',
+        interest: 'Interés',
+        lateFee: 'Cargo por mora',
+    },
+
+    descriptions: {
+        initial: 'Monto inicial del préstamo',
+        interest: 'Interés mensual - {month}',
+        lateFee: 'Cargo por mora - pago con vencimiento el {dueDate}',
+        entry: '{type} del {date}',
+    },
+
+    paymentStatuses: {
+        pending: 'En espera de confirmación',
+        confirmed: 'Confirmado',
+        rejected: 'Rechazado',
+    },
+
+    dueStatuses: {
+        onTime: 'A tiempo',
+        late: 'Tarde',
+        partial: 'Parcial',
+        missed: 'No pagado',
+        upcoming: 'Próximo',
+    },
+
+    accrualMethods: {
+        monthly: 'Capitalización mensual (saldo del día 1 × tasa ÷ 12)',
+        actual365: 'Interés simple diario (real/365)',
+        actual360: 'Interés simple diario (real/360)',
+    },
+
+    paymentAllocations: {
+        interestFirst: 'Primero los intereses acumulados, luego el capital',
+        principalFirst: 'Primero el capital, luego los intereses acumulados',
+    },
+
+    paymentFrequencies: {
+        weekly: 'Semanal',
+        biweekly: 'Cada 2 semanas',
+        monthly: 'Mensual',
+        quarterly: 'Trimestral',
+    },
+
+    currencies: {
+        USD: 'Dólar estadounidense (USD)',
+        CAD: 'Dólar canadiense (CAD)',
+        EUR: 'Euro (EUR)',
+        GBP: 'Libra esterlina (GBP)',
+        MXN: 'Peso mexicano (MXN)',
+        AUD: 'Dólar australiano (AUD)',
+    },
+
+    invites: {
+        expiry: {
+            never: 'No caduca',
+            day: 'Caduca en 24 horas',
+            week: 'Caduca en 7 días',
+            month: 'Caduca en 30 días',
+        },
+        problems: {
+            expired: 'Este código de invitación caducó. Pide uno nuevo al propietario.',
+            used: 'Este código de invitación ya se usó. Pide uno nuevo al propietario.',
+        },
+    },
+
+    scenarios: {
+        namePlaceholder: 'Nombre del escenario, p. ej. {amount} + bono de junio',
+        nameLabel: 'Nombre del escenario',
+        monthlyPayment: 'Pago mensual',
+        monthlyPaymentPlaceholder: 'Pago mensual ({currency})',
+        lumpSumIn: 'Pago extra en',
+        lumpSumMonth: 'Mes del pago extra',
+        lumpSumAmount: 'Monto del pago extra',
+        amount: 'Monto',
+        payFrom: 'Pagar desde',
+        stepUpMonth: 'Mes del aumento',
+        stepUpPayment: 'Nuevo pago mensual',
+        perMonthPlaceholder: 'Por mes',
+        addLumpSum: '+ Pago extra',
+        addStepUp: '+ Aumento de pago',
+        add: 'Agregar escenario',
+        empty: 'Agrega un escenario para comparar planes de liquidación. El primer escenario es la referencia.',
+        scenario: 'Escenario',
+        payoffDate: 'Fecha de liquidación',
+        totalInterest: 'Interés total',
+        interestSaved: 'Interés ahorrado',
+        actions: 'Acciones',
+        baseline: 'Referencia',
+        stepUpFrom: ' · {amount}/mes desde {month}',
+        lumpSumOn: ' · +{amount} en {month}',
+        shared: 'Compartido',
+        invalid: 'Dale al escenario un nombre, un pago mensual y un mes y monto para cada pago extra o aumento.',
+        saved: 'Escenario "{name}" guardado en este préstamo.',
+        removed: 'Escenario "{name}" eliminado.',
+        saveFailed: 'No se pudieron actualizar los escenarios guardados.',
+    },
+
+    import: {
+        intro: 'Sube un CSV con una transacción por fila y una fila de encabezado. Los archivos exportados desde el Historial de transacciones se pueden importar tal cual.',
+        fileSummary: { one: '{fileName}: {count} fila', other: '{fileName}: {count} filas' },
+        fields: {
+            date: 'Fecha',
+            amount: 'Monto',
+            type: 'Tipo',
+            description: 'Descripción',
+        },
+        chooseColumn: 'Elige una columna',
+        notInFile: 'No está en el archivo',
+        column: 'Columna {number}',
+        treatPositiveAs: 'Tratar los montos positivos como',
+        payments: 'Pagos',
+        loanIncreases: 'Aumentos del préstamo',
+        negativeHint: '(los montos negativos son pagos)',
+        importColumn: 'Importar',
+        status: 'Estado',
+        importRow: 'Importar fila {number}',
+        duplicate: 'Parece un duplicado',
+        ready: 'Lista',
+        importing: 'Importando...',
+        importButton: { one: 'Importar {count} transacción', other: 'Importar {count} transacciones' },
+        errors: {
+            noRows: 'Ese archivo no tiene filas de datos para importar.',
+            date: 'Fecha ilegible',
+            calculated: 'Los intereses, los cargos y el monto inicial se calculan automáticamente',
+            unknownType: 'Tipo desconocido "{type}"',
+            amount: 'Monto vacío o en cero',
+            failed: 'No se pudieron importar las transacciones. Es posible que algunas filas se hayan guardado; revisa el historial antes de reintentar.',
+        },
+        imported: { one: 'Se importó {count} transacción.', other: 'Se importaron {count} transacciones.' },
+    },
+
+    chart: {
+        empty: 'Todavía no hay historial de saldo para graficar.',
+        label: 'Saldo del préstamo a lo largo del tiempo',
+        projected: 'Proyectado · {month}',
+        projectedPayment: 'Pago {payment} (interés {interest})',
+        balance: 'Saldo {amount}',
+        projection: 'Proyección',
+        projectionHint: 'Calcula una proyección para ver el camino hasta la liquidación.',
+        markers: {
+            payment: 'Pago',
+            advance: 'Desembolso',
+            charge: 'Intereses y cargos',
+        },
+    },
+
+    statement: {
+        print: 'Imprimir / Guardar como PDF',
+        close: 'Cerrar',
+        title: 'Estado de cuenta anual — {year}',
+        lender: 'Prestamista',
+        borrower: 'Prestatario',
+        period: 'Periodo del estado de cuenta',
+        rate: 'Tasa de interés anual',
+        rateThen: ', luego ',
+        openingBalance: 'Saldo inicial (1 de enero)',
+        advances: 'Desembolsos',
+        interestAccrued: 'Intereses acumulados',
+        feesCharged: 'Cargos por mora',
+        paymentsReceived: 'Pagos recibidos',
+        closingBalance: 'Saldo final (31 de diciembre)',
+        interestPaidIn: 'Intereses pagados en {year}',
+        principalRepaidIn: 'Capital pagado en {year}',
+        month: 'Mes',
+        payments: 'Pagos',
+        interestAccruedColumn: 'Intereses acumulados',
+        interestPaidColumn: 'Intereses pagados',
+        footer: 'Generado el {date}. Los intereses pagados siguen la regla de aplicación de pagos del préstamo ({allocation}).',
+    },
+
+    members: {
+        you: ' (tú)',
+        unknown: 'Miembro desconocido',
+        automaticInterest: 'Interés automático',
+        member: 'El miembro',
+        yourName: 'Tu nombre',
+        changeName: 'Cambiar nombre',
+        role: 'Rol',
+        inviteCode: 'Código de invitación',
+        codeExpiry: 'Caducidad del código',
+        expires: 'Caduca el {date}',
+        singleUse: 'Un solo uso',
+        singleUseUsed: 'Un solo uso, ya utilizado',
+        reusable: 'Reutilizable',
+        approvalRequired: 'Requiere aprobación del propietario',
+        joinsImmediately: 'Acceso inmediato',
+        requireApproval: 'Requerir mi aprobación',
+        creating: 'Creando...',
+        generateCode: 'Generar código nuevo',
+        copyLink: 'Copiar enlace de invitación',
+        linkCopied: 'Enlace copiado. Cualquiera que lo abra puede usar este código.',
+        copyFailed: 'No se pudo copiar el enlace. Comparte el código en su lugar.',
+        waitingForApproval: 'En espera de aprobación',
+        approve: 'Aprobar',
+        decline: 'Rechazar',
+        removeTitle: '¿Quitar miembro?',
+        removeBody: '{name} perderá el acceso a este préstamo. Sus transacciones anteriores seguirán en el historial.',
+        needsOwner: 'Un préstamo necesita al menos un propietario.',
+        roleUpdated: 'Rol actualizado.',
+        roleFailed: 'No se pudo actualizar el rol.',
+        nameUpdated: 'Nombre actualizado.',
+        nameFailed: 'No se pudo actualizar tu nombre.',
+        removed: 'Miembro eliminado.',
+        removeFailed: 'No se pudo quitar al miembro.',
+        codeRotated: 'Se creó un código de invitación nuevo. El código anterior ya no funciona.',
+        codeFailed: 'No se pudo crear un código de invitación nuevo.',
+        approved: '{name} ya puede acceder a este préstamo.',
+        declined: 'Solicitud rechazada.',
+        requestFailed: 'No se pudo actualizar la solicitud para unirse.',
+        inviteUsedUp: 'Este código de un solo uso ya se usó. Rechaza la solicitud o comparte un código nuevo.',
+    },
+
+    activity: {
+        filterByMember: 'Filtrar por miembro',
+        allMembers: 'Todos los miembros',
+        from: 'Desde',
+        to: 'Hasta',
+        empty: 'Todavía no hay cambios registrados.',
+        noMatches: 'Ninguna actividad coincide con estos filtros.',
+        settingsChanged: 'cambió la configuración del préstamo',
+        memberJoined: 'se unió al préstamo',
+        memberLeft: 'dejó el préstamo',
+        memberAdded: 'añadió a {name} al préstamo',
+        memberRemoved: 'quitó a {name} del préstamo',
+        summary: '{action} {item}',
+        actions: {
+            create: 'agregó',
+            update: 'editó',
+            delete: 'eliminó',
+            restore: 'restauró',
+            purge: 'eliminó definitivamente',
+        },
+        items: {
+            payment: 'un pago',
+            loanIncrease: 'un aumento del préstamo',
+            interest: 'un cargo de interés',
+            lateFee: 'un cargo por mora',
+            transaction: 'una transacción',
+        },
+        fields: {
+            appTitle: 'Nombre del préstamo',
+            lenderName: 'Nombre del prestamista',
+            borrowerName: 'Nombre del prestatario',
+            initialLoanAmount: 'Monto inicial del préstamo',
+            initialLoanDate: 'Fecha inicial del préstamo',
+            interestRate: 'Tasa de interés',
+            ratePeriods: 'Calendario de tasas',
+            accrualMethod: 'Cálculo de intereses',
+            paymentAllocation: 'Aplicación de pagos',
+            currency: 'Moneda',
+            repaymentPlan: 'Plan de pagos',
+            date: 'Fecha',
+            type: 'Tipo',
+            amount: 'Monto',
+            description: 'Descripción',
+            status: 'Estado',
+        },
+    },
+
+    comments: {
+        title: 'Conversación',
+        open: 'Conversación y recibos',
+        close: 'Cerrar',
+        about: '{description} · {date} · {amount}',
+        empty: 'Aún no hay comentarios. Haz una pregunta o adjunta un recibo.',
+        placeholder: 'Escribe un comentario...',
+        attach: 'Adjuntar recibo',
+        attachOffline: 'Para adjuntar archivos necesitas conexión.',
+        removeFile: 'Quitar {name}',
+        post: 'Publicar',
+        postFailed: 'No se pudo publicar el comentario.',
+        deleteConfirm: '¿Eliminar este comentario y sus archivos adjuntos?',
+        deleteFailed: 'No se pudo eliminar el comentario.',
+        readOnly: 'Los observadores pueden leer la conversación pero no participar.',
+        problems: {
+            type: 'Solo se pueden adjuntar imágenes y archivos PDF.',
+            size: 'Cada archivo adjunto puede ocupar como máximo 10 MB.',
+            count: 'Un comentario puede tener como máximo {max} archivos adjuntos.',
+        },
+    },
+    notifications: {
+        title: 'Notificaciones',
+        markAllRead: 'Marcar todo como leído',
+        empty: 'No hay novedades de los demás miembros de tus préstamos.',
+        unread: '{count} nuevas',
+        browserAlerts: 'Mostrar alertas del navegador mientras la app está abierta',
+        alertsBlocked: 'Tu navegador bloquea las alertas de este sitio. Permítelas primero en la configuración del navegador.',
+    },
+    loan: {
+        back: 'Volver a mis préstamos',
+        unavailable: 'Este préstamo no existe o ya no eres miembro.',
+        shareCode: 'CÓDIGO PARA COMPARTIR:',
+        yourRole: 'Tu rol:',
+        offline: 'Estás sin conexión. Las transacciones nuevas se guardan en este dispositivo y se marcan como "Pendiente de sincronizar" hasta que te vuelvas a conectar. Los intereses se actualizan entonces.',
+        currentBalance: 'Saldo actual del préstamo',
+        paidOff: '¡Liquidado! 🎉',
+        percentPaidOff: '{percent}% del capital pagado',
+        paidTotals: 'Capital pagado: {principal} · Intereses pagados: {interest}',
+        lastPayment: 'Último pago: {amount} el {date}',
+        nextDue: 'Próximo vencimiento: {amount} el {date}',
+        pastDue: 'Vencido: {amount}',
+        sections: {
+            balanceOverTime: 'Saldo a lo largo del tiempo',
+            addTransaction: 'Agregar transacción',
+            editTransaction: 'Editar transacción',
+            pendingPayments: 'Pagos pendientes ({count})',
+            importTransactions: 'Importar transacciones',
+            history: 'Historial de transacciones',
+            paymentSchedule: 'Calendario de pagos',
+            projections: 'Proyecciones del préstamo',
+            statement: 'Estado de cuenta anual',
+            scenarios: 'Comparar escenarios de liquidación',
+            members: 'Miembros e invitaciones',
+            activity: 'Actividad',
+            trash: 'Papelera ({count})',
+            settings: 'Configuración del préstamo',
+        },
+        form: {
+            date: 'Fecha',
+            type: 'Tipo',
+            amount: 'Monto',
+            description: 'Descripción (opcional)',
+            descriptionPlaceholder: 'p. ej., Pago mensual',
+            update: 'Actualizar transacción',
+            add: 'Agregar transacción',
+            submitPayment: 'Enviar pago',
+        },
+        pending: {
+            intro: 'Los pagos que envía el prestatario cuentan para el saldo solo después de que un prestamista los confirma.',
+            submittedBy: 'Enviado por {name}',
+            rejectedDelete: 'Rechazado · Eliminar',
+            confirm: 'Confirmar',
+            reject: 'Rechazar',
+        },
+        history: {
+            filterByType: 'Filtrar por tipo',
+            sortByDate: 'Ordenar por fecha',
+            exportCsv: 'Exportar CSV',
+            empty: 'Todavía no hay transacciones registradas.',
+            date: 'Fecha',
+            description: 'Descripción',
+            amount: 'Monto',
+            interestPaid: 'Interés pagado',
+            principalPaid: 'Capital pagado',
+            balance: 'Saldo',
+            actions: 'Acciones',
+            recordedBy: 'Registrado por {name}',
+            fees: '+ {amount} en cargos',
+            filters: {
+                all: 'Todos los tipos',
+                payment: 'Pagos',
+                advance: 'Desembolsos',
+                interest: 'Intereses',
+                lateFee: 'Cargos por mora',
+            },
+        },
+        schedule: {
+            dueDate: 'Vencimiento',
+            amountDue: 'Monto a pagar',
+            paid: 'Pagado',
+            status: 'Estado',
+        },
+        projections: {
+            iCanPay: 'Puedo pagar...',
+            payOffBy: 'Liquidar para el...',
+            monthlyPayment: 'Escribe un monto de pago mensual ({currency})',
+            paymentPlaceholder: 'p. ej., 500',
+            calculate: 'Calcular',
+            targetDate: 'Fecha objetivo',
+            numberOfMonths: 'Número de meses',
+            targetDateLabel: 'Fecha objetivo de liquidación',
+            termLabel: 'Plazo en meses',
+            termPlaceholder: 'p. ej., 24',
+            solve: 'Resolver',
+            requiredPayment: 'Pago necesario',
+            payoffDate: 'Fecha de liquidación',
+            totalInterest: 'Interés total',
+            totalPaid: 'Total pagado',
+            exportSchedule: 'Exportar calendario CSV',
+            month: 'Mes',
+            date: 'Fecha',
+            payment: 'Pago',
+            principal: 'Capital',
+            interest: 'Interés',
+            endingBalance: 'Saldo final',
+        },
+        statement: {
+            year: 'Año del estado de cuenta',
+            view: 'Ver estado de cuenta',
+            namesHint: 'Agrega los nombres del prestamista y del prestatario en la Configuración del préstamo para que aparezcan en el estado de cuenta.',
+        },
+        trash: {
+            deletedBy: 'Eliminado por {name} el {date}',
+            restore: 'Restaurar',
+            deleteForever: 'Eliminar para siempre',
+        },
+        settings: {
+            welcome: '¡Bienvenido! Configuremos tu préstamo. Completa los datos de abajo para empezar.',
+            loanName: 'Nombre del préstamo',
+            lenderName: 'Nombre del prestamista',
+            borrowerName: 'Nombre del prestatario',
+            namePlaceholder: 'Aparece en los estados de cuenta',
+            currency: 'Moneda',
+            initialAmount: 'Monto inicial ({currency})',
+            openingRate: 'Tasa de interés anual inicial (%)',
+            ratePlaceholder: 'p. ej., 5.25',
+            initialDate: 'Fecha inicial del préstamo',
+            rateChanges: 'Cambios de tasa',
+            rateChangesHint: 'La tasa inicial se aplica desde la fecha inicial del préstamo hasta el primer cambio de abajo.',
+            noRateChanges: 'No hay cambios de tasa registrados.',
+            effectiveDate: 'Fecha de vigencia',
+            annualRate: 'Tasa anual (%)',
+            ratePercent: 'Tasa %',
+            addRateChange: '+ Agregar cambio de tasa',
+            paymentAllocation: 'Aplicación de pagos',
+            accrualMethod: 'Método de cálculo de intereses',
+            repaymentPlan: 'Plan de pagos (opcional)',
+            repaymentPlanHint: 'Deja el monto del pago en blanco si el préstamo no tiene un calendario fijo.',
+            planAmount: 'Monto del pago ({currency})',
+            frequency: 'Frecuencia',
+            firstDueDate: 'Primer vencimiento',
+            graceDays: 'Días de gracia',
+            lateFee: 'Cargo por mora ({currency}, opcional)',
+            readOnly: 'Solo el propietario o el prestamista pueden cambiar esta configuración.',
+            save: 'Guardar configuración',
+            edit: 'Editar configuración',
+        },
+        deleteTitle: 'Confirmar eliminación',
+        deleteBody: 'La transacción se moverá a la papelera y dejará de contar para el saldo. El propietario del préstamo puede restaurarla.',
+        purgeTitle: '¿Eliminar definitivamente?',
+        purgeBody: 'Esta transacción se quitará de la papelera para siempre. No se puede deshacer.',
+        messages: {
+            interestRecalculated: 'Intereses recalculados correctamente.',
+            chargesFailed: 'Tu cambio se guardó, pero no se pudieron actualizar los intereses ni los recargos.',
+            fetchTransactions: 'No se pudieron cargar las transacciones del préstamo.',
+            invalidSettings: 'Escribe números válidos y una fecha en toda la configuración.',
+            invalidRateChange: 'Cada cambio de tasa necesita una tasa válida y una fecha posterior a la fecha inicial del préstamo.',
+            invalidPlan: 'Escribe un monto de pago, un primer vencimiento y días de gracia y cargo por mora no negativos para el plan de pagos.',
+            settingsSaved: '¡Configuración guardada!',
+            settingsFailed: 'No se pudo guardar la configuración.',
+            invalidTransaction: 'Escribe una fecha y un monto válidos.',
+            transactionUpdated: 'Transacción actualizada.',
+            paymentSubmitted: 'Pago enviado. Contará para el saldo cuando el prestamista lo confirme.',
+            transactionAdded: 'Transacción agregada.',
+            transactionFailed: 'No se pudo guardar la transacción.',
+            movedToTrash: 'Transacción movida a la papelera.',
+            deleteFailed: 'No se pudo eliminar la transacción.',
+            paymentConfirmed: 'Pago confirmado.',
+            paymentRejected: 'Pago rechazado.',
+            reviewFailed: 'No se pudo actualizar el pago.',
+            restored: 'Transacción restaurada.',
+            restoreFailed: 'No se pudo restaurar la transacción.',
+            purged: 'Transacción eliminada definitivamente.',
+            invalidProjectionPayment: 'Escribe un monto de pago mensual válido.',
+            paymentBelowInterest: 'El pago mensual debe ser mayor que el interés para poder liquidar el préstamo.',
+            invalidTargetDate: 'Elige una fecha objetivo al menos un mes completo en el futuro.',
+            invalidTerm: 'Escribe un plazo de entre 1 y 600 meses.',
+            nothingToPayOff: 'Este préstamo no tiene saldo pendiente.',
+        },
+    },
+};
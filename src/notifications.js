@@ -0,0 +1,58 @@
+// --- Notifications ---
+// The notification center is built from each loan's activity log (see activity.js): entries written by
+// the other members are notifications, and one is unread until the user marks it read. Read markers
+// live in `users/{uid}/private/notifications` as `{ allReadAt, readAt: { [loanId]: Timestamp } }`.
+
+// Browser alerts are opted into per device, since the permission belongs to the browser.
+export const BROWSER_ALERTS_KEY = 'loan-tracker-browser-alerts';
+
+// How many recent entries are followed per loan.
+export const FEED_LIMIT = 20;
+
+const NOTIFIED_ACTIONS = {
+    transaction: ['create', 'update', 'delete', 'restore'],
+    settings: ['update'],
+    member: ['join', 'leave'],
+};
+
+// Only payments are announced when added; charges and increases show up in the loan's own history.
+export const isNotifiable = (entry, uid) => entry.actorId !== uid
+    && Boolean(NOTIFIED_ACTIONS[entry.entity]?.includes(entry.action))
+    && !(entry.entity === 'transaction' && entry.action === 'create' && entry.after?.type !== 'payment');
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : 0);
+
+export const lastReadAt = (readState, loanId) => Math.max(toMillis(readState?.allReadAt), toMillis(readState?.readAt?.[loanId]));
+
+// `entries` carry `loanId` and a JS Date `createdAt`. Until the read markers have loaded, nothing is unread.
+export const countUnread = (entries, readState) => {
+    const counts = {};
+    if (!readState) return counts;
+    entries.forEach(entry => {
+        if (entry.createdAt.getTime() > lastReadAt(readState, entry.loanId)) {
+            counts[entry.loanId] = (counts[entry.loanId] || 0) + 1;
+        }
+    });
+    return counts;
+};
+
+export const browserAlertsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Resolves to whether alerts may be shown, asking the user if they have not decided yet.
+export const requestBrowserAlerts = async () => {
+    if (!browserAlertsSupported()) return false;
+    if (window.Notification.permission === 'default') {
+        await window.Notification.requestPermission();
+    }
+    return window.Notification.permission === 'granted';
+};
+
+export const showBrowserAlert = ({ title, body, tag, onClick }) => {
+    if (!browserAlertsSupported() || window.Notification.permission !== 'granted') return;
+    const alert = new window.Notification(title, { body, tag });
+    alert.onclick = () => {
+        window.focus();
+        onClick();
+        alert.close();
+    };
+};
@@ -0,0 +1,214 @@
+// --- Charge Posting ---
+// Interest and late fees are posted by the app itself as `authorId: 'system'` transactions. Each charge
+// has a fixed document id (one per month of interest, one per due date for late fees), so posting the
+// same charge twice overwrites it instead of adding a duplicate. Members take turns under a lock, and
+// every run reads the ledger after taking it, so the last run always sees every change before it.
+//
+// A run starts at the earliest month a change can affect: each interest document keeps the balances at
+// the end of its month, and the months before the change carry on from the latest of those. Only
+// documents whose values differ are written.
+
+import { Timestamp, loanDocPath, transactionsPath, lockPath, newDocId } from './storage.js';
+import { getAccrualMethod, getPaymentAllocation, isChargeType, countsTowardBalance, getRepaymentPlan, buildDueSchedule, calculateLateFees, getRatePeriods, rateOn, calculateInterestPostings, monthKey } from './loanMath.js';
+import { formatIsoDate } from './csv.js';
+
+const LOCK_NAME = 'postings';
+// Long enough for a slow run; a holder that closed the app mid-way blocks the others for at most this long.
+export const LOCK_LEASE_MS = 60 * 1000;
+const LOCK_WAIT_MS = 2 * LOCK_LEASE_MS;
+// Firestore caps a batch at 500 writes.
+const BATCH_SIZE = 450;
+
+export const interestDocId = (monthEnd) => `interest-${monthKey(monthEnd)}`;
+
+export const lateFeeDocId = (dueDate) => `lateFee-${formatIsoDate(dueDate)}`;
+
+const INTEREST_ID = /^interest-\d{4}-\d{2}$/;
+const LATE_FEE_ID = /^lateFee-\d{4}-\d{2}-\d{2}$/;
+
+// Dates mark where reposting starts; `null` means the whole loan and `undefined` means nothing yet.
+export const earlierDate = (a, b) => {
+    if (a === undefined) return b;
+    if (b === undefined) return a;
+    if (a === null || b === null) return null;
+    return a < b ? a : b;
+};
+
+const toMillis = (value) => (value?.toMillis ? value.toMillis() : value?.getTime?.() ?? value);
+
+// Where a settings change starts to affect the charges. The opening balance, the accrual method or the
+// payment split change every month; a new rate only changes the months from when it applies. Repayment
+// plan changes show up as different late fees, which `planChargeWrites` finds on its own.
+export const chargesAffectedFrom = (before, after) => {
+    if (!before?.initialLoanDate || toMillis(before.initialLoanDate) !== toMillis(after.initialLoanDate)
+        || parseFloat(before.initialLoanAmount) !== parseFloat(after.initialLoanAmount)
+        || getAccrualMethod(before) !== getAccrualMethod(after)
+        || getPaymentAllocation(before) !== getPaymentAllocation(after)) {
+        return null;
+    }
+    const beforeRates = getRatePeriods(before);
+    const afterRates = getRatePeriods(after);
+    if (beforeRates[0]?.rate !== afterRates[0]?.rate) return null;
+    const changed = [...beforeRates, ...afterRates]
+        .map(p => p.effectiveDate)
+        .filter(date => rateOn(beforeRates, date) !== rateOn(afterRates, date))
+        .sort((a, b) => a.getTime() - b.getTime());
+    return changed[0] || new Date();
+};
+
+const sameNumber = (a, b) => (a == null || b == null ? a == b : Math.abs(a - b) < 1e-9);
+
+const sameCharge = (current, next) => Boolean(current)
+    && current.type === next.type
+    && current.authorId === next.authorId
+    && sameNumber(current.amount, next.amount)
+    && toMillis(current.date) === toMillis(next.date)
+    && toMillis(current.dueDate) === toMillis(next.dueDate)
+    && ['principal', 'interest', 'fees'].every(key => sameNumber(current.balances?.[key], next.balances?.[key]));
+
+const charge = (fields) => ({ ...fields, authorId: 'system', createdAt: Timestamp.now() });
+
+// Works out the charge documents to write or delete, as `[{ id, data }]` with `data: null` for a delete,
+// oldest first. `ledger` is the loan's transactions as `[{ id, data }]`; `from` is where the change that
+// prompted the run takes effect. Charges posted before ids were fixed are replaced everywhere.
+export const planChargeWrites = ({ ledger, settings, from = null, today = new Date() }) => {
+    const existing = new Map(ledger.filter(({ data }) => isChargeType(data.type)).map(({ id, data }) => [id, data]));
+    const legacyIds = [...existing.keys()].filter(id => !INTEREST_ID.test(id) && !LATE_FEE_ID.test(id));
+    const nonCharges = ledger
+        .filter(({ data }) => !isChargeType(data.type) && countsTowardBalance(data))
+        .map(({ data }) => ({ ...data, date: data.date.toDate() }));
+    const writes = legacyIds.map(id => ({ id, data: null, date: new Date(0) }));
+    let start = legacyIds.length > 0 ? null : from;
+
+    const repaymentPlan = getRepaymentPlan(settings);
+    const lateFees = calculateLateFees(repaymentPlan, buildDueSchedule({
+        plan: repaymentPlan,
+        payments: nonCharges.filter(t => t.type === 'payment'),
+        today,
+    }), today);
+    const expectedFees = new Map(lateFees.map(fee => [lateFeeDocId(fee.dueDate), charge({
+        amount: fee.amount,
+        date: Timestamp.fromDate(fee.date),
+        dueDate: Timestamp.fromDate(fee.dueDate),
+        type: 'lateFee',
+    })]));
+    const feeIds = new Set([...expectedFees.keys(), ...[...existing.keys()].filter(id => LATE_FEE_ID.test(id))]);
+    feeIds.forEach(id => {
+        const current = existing.get(id);
+        const next = expectedFees.get(id) || null;
+        if (next && sameCharge(current, next)) return;
+        // A fee that appears, moves or goes away changes the balance interest accrues on from its date.
+        const dates = [current?.date, next?.date].filter(Boolean).map(date => date.toDate());
+        start = earlierDate(start, dates.reduce((a, b) => earlierDate(a, b)));
+        writes.push({ id, data: next, date: dates[0] });
+    });
+
+    // Carries on from the last month before `start` that has its balances saved.
+    const startMonth = start && new Date(start.getFullYear(), start.getMonth(), 1);
+    const saved = startMonth && [...existing.entries()]
+        .filter(([id, data]) => INTEREST_ID.test(id) && data.balances && data.date.toDate() < startMonth)
+        .sort(([, a], [, b]) => toMillis(b.date) - toMillis(a.date))[0];
+    const checkpoint = saved && (() => {
+        const monthEnd = saved[1].date.toDate();
+        const { principal, interest, fees } = saved[1].balances;
+        return { month: new Date(monthEnd.getFullYear(), monthEnd.getMonth() + 1, 1), principal, unpaidInterest: interest, unpaidFees: fees };
+    })();
+
+    const postings = calculateInterestPostings({
+        startDate: settings.initialLoanDate.toDate(),
+        transactions: [
+            { date: settings.initialLoanDate.toDate(), amount: settings.initialLoanAmount, type: 'initial' },
+            ...nonCharges,
+            ...lateFees.map(fee => ({ ...fee, type: 'lateFee' })),
+        ],
+        ratePeriods: getRatePeriods(settings),
+        accrualMethod: getAccrualMethod(settings),
+        paymentAllocation: getPaymentAllocation(settings),
+        until: today,
+        checkpoint,
+    });
+    const expectedInterest = new Map(postings.map(({ date, amount, balances }) => [interestDocId(date), charge({
+        amount,
+        date: Timestamp.fromDate(date),
+        type: 'interest',
+        balances: { principal: balances.principal, interest: balances.unpaidInterest, fees: balances.unpaidFees },
+    })]));
+    const interestIds = new Set([
+        ...expectedInterest.keys(),
+        ...[...existing.entries()]
+            .filter(([id, data]) => INTEREST_ID.test(id) && (!checkpoint || data.date.toDate() >= checkpoint.month))
+            .map(([id]) => id),
+    ]);
+    interestIds.forEach(id => {
+        const current = existing.get(id);
+        const next = expectedInterest.get(id) || null;
+        if (next ? sameCharge(current, next) : !current) return;
+        writes.push({ id, data: next, date: (next || current).date.toDate() });
+    });
+
+    return writes
+        .sort((a, b) => a.date.getTime() - b.date.getTime())
+        .map(({ id, data }) => ({ id, data }));
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Takes the loan's posting lock, waiting while another member holds a lease that has not run out.
+const acquireLock = async (storage, loanId, userId) => {
+    const path = lockPath(loanId, LOCK_NAME);
+    const token = newDocId();
+    const giveUpAt = Date.now() + LOCK_WAIT_MS;
+    while (Date.now() < giveUpAt) {
+        try {
+            const taken = await storage.runTransaction(async (transaction) => {
+                const lock = await transaction.get(path);
+                if (lock && lock.expiresAt.toMillis() > Date.now()) return false;
+                transaction.set(path, { holder: userId, token, expiresAt: Timestamp.fromMillis(Date.now() + LOCK_LEASE_MS) });
+                return true;
+            });
+            if (taken) return token;
+        } catch (err) {
+            // Someone else took the lock between our read and our write, or our clock is ahead of the server's.
+            console.error("Could not take the posting lock, retrying:", err);
+        }
+        await wait(250 + Math.random() * 500);
+    }
+    throw new Error('Another member is still posting charges on this loan.');
+};
+
+const releaseLock = (storage, loanId, token) => {
+    const path = lockPath(loanId, LOCK_NAME);
+    return storage.runTransaction(async (transaction) => {
+        const lock = await transaction.get(path);
+        if (lock?.token === token) transaction.delete(path);
+    });
+};
+
+// Reposts the charges affected by a change dated `from` (or all of them for `null`) and resolves to the
+// ids of the documents it wrote or deleted. Does nothing until the loan has a start date and a rate.
+export const postCharges = async (storage, loanId, { from = null, userId, today = new Date() }) => {
+    const token = await acquireLock(storage, loanId, userId);
+    try {
+        const loan = await storage.getDoc(loanDocPath(loanId));
+        const settings = loan?.settings;
+        if (!settings?.initialLoanDate || getRatePeriods(settings).length === 0) return [];
+
+        const ledger = await storage.getCollection(transactionsPath(loanId));
+        const writes = planChargeWrites({ ledger, settings, from, today });
+        for (let start = 0; start < writes.length; start += BATCH_SIZE) {
+            const batch = storage.batch();
+            writes.slice(start, start + BATCH_SIZE).forEach(({ id, data }) => {
+                const path = `${transactionsPath(loanId)}/${id}`;
+                if (data) {
+                    batch.set(path, data);
+                } else {
+                    batch.delete(path);
+                }
+            });
+            await batch.commit();
+        }
+        return writes.map(({ id }) => id);
+    } finally {
+        await releaseLock(storage, loanId, token).catch(err => console.error("Could not release the posting lock:", err));
+    }
+};
@@ -0,0 +1,134 @@
+// Replays members editing a loan at the same time against the Firestore emulator: `npm run test:rules`.
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from 'vitest';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { Timestamp } from 'firebase/firestore';
+import { wrapFirestore } from './firestoreStorage.js';
+import { transactionsPath, lockPath } from './storage.js';
+import { interestDocId, postCharges } from './postings.js';
+
+const loanId = 'loan1';
+// The members who post charges; the borrower and viewer only read them.
+const posters = ['owner', 'lender'];
+
+let testEnv;
+
+const storageAs = (uid) => wrapFirestore(testEnv.authenticatedContext(uid).firestore());
+
+// `withSecurityRulesDisabled` resolves to nothing, so the callback's result is passed out by hand.
+const asAdmin = async (callback) => {
+    let result;
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        result = await callback(wrapFirestore(context.firestore()));
+    });
+    return result;
+};
+
+// The loan starts on the 1st, so the monthly method first charges interest for the month after.
+const MONTHS_OF_INTEREST = 23;
+
+const monthsAgo = (months, day = 1) => {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth() - months, day);
+};
+
+const payment = (date, amount = 500) => ({ type: 'payment', amount, date: Timestamp.fromDate(date), description: 'Payment', authorId: 'lender', createdAt: Timestamp.now() });
+
+const addPayment = (storage, id, date, amount) => storage.setDoc(`${transactionsPath(loanId)}/${id}`, payment(date, amount));
+
+const readCharges = async () => {
+    const ledger = await asAdmin(storage => storage.getCollection(transactionsPath(loanId)));
+    return ledger.filter(({ data }) => data.authorId === 'system');
+};
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-loan-tracker',
+        firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+    });
+});
+
+afterAll(async () => {
+    await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await asAdmin(storage => storage.setDoc(`loans/${loanId}`, {
+        members: [...posters, 'borrower', 'viewer'],
+        roles: { owner: 'owner', lender: 'lender', borrower: 'borrower', viewer: 'viewer' },
+        friendlyId: 'ABC-DEF',
+        settings: { appTitle: 'Car Loan', initialLoanDate: Timestamp.fromDate(monthsAgo(24)), initialLoanAmount: 10000, interestRate: 6 },
+    }));
+});
+
+describe('posting charges', () => {
+    test('members posting at the same time write each month once', async () => {
+        await Promise.all(posters.map(uid => postCharges(storageAs(uid), loanId, { userId: uid })));
+
+        const charges = await readCharges();
+        const ids = charges.map(({ id }) => id);
+        expect(ids).toHaveLength(MONTHS_OF_INTEREST);
+        expect(new Set(ids).size).toBe(MONTHS_OF_INTEREST);
+        expect(ids).toContain(interestDocId(monthsAgo(1)));
+    });
+
+    test('concurrent edits leave the charges a full recalculation would post', async () => {
+        await postCharges(storageAs('owner'), loanId, { userId: 'owner' });
+
+        const lender = storageAs('lender');
+        const owner = storageAs('owner');
+        await Promise.all([
+            addPayment(lender, 'p1', monthsAgo(10, 15), 2000).then(() => postCharges(lender, loanId, { from: monthsAgo(10, 15), userId: 'lender' })),
+            addPayment(owner, 'p2', monthsAgo(3, 5), 1500).then(() => postCharges(owner, loanId, { from: monthsAgo(3, 5), userId: 'owner' })),
+        ]);
+
+        expect(await postCharges(storageAs('lender'), loanId, { userId: 'lender' })).toEqual([]);
+    });
+
+    test('borrowers cannot post charges', async () => {
+        await expect(postCharges(storageAs('borrower'), loanId, { userId: 'borrower' })).rejects.toThrow();
+        expect(await readCharges()).toHaveLength(0);
+    });
+
+    test('an edit reposts only the months from the one it falls in', async () => {
+        const owner = storageAs('owner');
+        await postCharges(owner, loanId, { userId: 'owner' });
+
+        const paidOn = monthsAgo(4, 20);
+        await addPayment(owner, 'p1', paidOn, 3000);
+        const changed = await postCharges(owner, loanId, { from: paidOn, userId: 'owner' });
+
+        expect(changed.length).toBeGreaterThan(0);
+        expect(changed.every(id => id >= interestDocId(paidOn))).toBe(true);
+        expect(await postCharges(owner, loanId, { userId: 'owner' })).toEqual([]);
+    });
+
+    test('charges posted under the old random ids are replaced without duplicates', async () => {
+        await asAdmin(async (storage) => {
+            const batch = storage.batch();
+            for (let n = 1; n <= 24; n++) {
+                const monthEnd = new Date(monthsAgo(n).getFullYear(), monthsAgo(n).getMonth() + 1, 0);
+                ['a', 'b'].forEach(copy => batch.set(`${transactionsPath(loanId)}/old-${n}-${copy}`, {
+                    type: 'interest', amount: 50, date: Timestamp.fromDate(monthEnd), authorId: 'system', createdAt: Timestamp.now(),
+                }));
+            }
+            await batch.commit();
+        });
+
+        await postCharges(storageAs('lender'), loanId, { from: monthsAgo(2), userId: 'lender' });
+
+        const ids = (await readCharges()).map(({ id }) => id);
+        expect(ids).toHaveLength(MONTHS_OF_INTEREST);
+        expect(ids.every(id => id.startsWith('interest-'))).toBe(true);
+    });
+
+    test('a lock left behind by a member who closed the app stops blocking once it runs out', async () => {
+        await asAdmin(storage => storage.setDoc(lockPath(loanId, 'postings'), { holder: 'owner', token: 'gone', expiresAt: Timestamp.fromMillis(Date.now() - 1000) }));
+
+        await postCharges(storageAs('lender'), loanId, { userId: 'lender' });
+
+        expect(await readCharges()).toHaveLength(MONTHS_OF_INTEREST);
+        expect(await asAdmin(storage => storage.getDoc(lockPath(loanId, 'postings')))).toBeNull();
+    });
+});
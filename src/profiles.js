@@ -0,0 +1,13 @@
+// --- User Profiles ---
+// One document per user in `users/{uid}`, holding the name other members see.
+
+export const MAX_DISPLAY_NAME_LENGTH = 60;
+
+export const normalizeDisplayName = (input) => input.trim().replace(/\s+/g, ' ').slice(0, MAX_DISPLAY_NAME_LENGTH);
+
+// Charges are posted with `authorId: 'system'` rather than by a member. `t` is a translator from i18n.js.
+export const getAuthorName = (profiles, authorId, t) => {
+    if (!authorId) return '';
+    if (authorId === 'system') return t('members.automaticInterest');
+    return profiles[authorId]?.displayName || t('members.unknown');
+};
@@ -0,0 +1,33 @@
+// --- Member Roles ---
+// Mirrors the role checks in firestore.rules; keep the two in step.
+// Role names and descriptions live in the message catalogs under `roles`.
+
+export const ROLES = ['owner', 'lender', 'borrower', 'viewer'];
+
+export const DEFAULT_JOIN_ROLE = 'viewer';
+
+const PERMISSIONS = {
+    editSettings: ['owner', 'lender'],
+    addTransaction: ['owner', 'lender', 'borrower'],
+    confirmPayment: ['owner', 'lender'],
+    postCharges: ['owner', 'lender'],
+    addLoanIncrease: ['owner', 'lender'],
+    editTransaction: ['owner', 'lender'],
+    deleteTransaction: ['owner', 'lender'],
+    restoreTransaction: ['owner'],
+    comment: ['owner', 'lender', 'borrower'],
+    deleteAnyComment: ['owner'],
+    manageMembers: ['owner'],
+};
+
+// Members who joined before roles existed have no entry in `roles`: the creator (first member) is the
+// owner and everyone else is a borrower until the owner gives them a role. New joiners always get an entry.
+export const getMemberRole = (loan, uid) => {
+    if (!loan?.members?.includes(uid)) return null;
+    if (ROLES.includes(loan.roles?.[uid])) return loan.roles[uid];
+    return loan.members[0] === uid ? 'owner' : 'borrower';
+};
+
+export const can = (role, permission) => Boolean(role && PERMISSIONS[permission]?.includes(role));
+
+export const countOwners = (loan) => (loan?.members || []).filter(uid => getMemberRole(loan, uid) === 'owner').length;
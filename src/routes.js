@@ -0,0 +1,36 @@
+// --- Routes ---
+// The address bar decides which screen is showing, so a refresh, a bookmark or the back button lands
+// where the user expects. Paths:
+//   /                       the dashboard
+//   /loans/{loanId}         a loan
+//   /loans/{loanId}/{view}  a loan with one of its sections opened, e.g. /loans/abc123/settings
+//   /join/{code}            joins the loan behind an invite code, e.g. /join/ABC-DEF
+
+// Loan sections that can be linked to directly.
+export const LOAN_VIEWS = ['chart', 'schedule', 'projections', 'statement', 'scenarios', 'members', 'activity', 'trash', 'settings'];
+
+const decodeSegment = (segment) => {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return null;
+    }
+};
+
+// Unknown or malformed paths fall back to the dashboard.
+export const parseRoute = (pathname) => {
+    const segments = String(pathname || '').split('/').filter(Boolean).map(decodeSegment);
+    const [section, id, view] = segments;
+    if (segments.includes(null)) return { name: 'dashboard' };
+    if (section === 'loans' && id && segments.length <= 3 && (!view || LOAN_VIEWS.includes(view))) {
+        return { name: 'loan', loanId: id, view: view || null };
+    }
+    if (section === 'join' && id && segments.length === 2) return { name: 'join', code: id };
+    return { name: 'dashboard' };
+};
+
+export const dashboardPath = () => '/';
+
+export const loanPath = (loanId, view = null) => `/loans/${encodeURIComponent(loanId)}${view ? `/${view}` : ''}`;
+
+export const joinPath = (code) => `/join/${encodeURIComponent(code)}`;
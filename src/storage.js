@@ -0,0 +1,80 @@
+// --- Storage ---
+// Screens read and write through a storage object rather than calling Firestore, so the same code runs
+// against a Firebase project (firestoreStorage.js) or a private database on this device (indexedDbStorage.js).
+//
+// Paths are slash-separated, such as `loans/{loanId}/transactions/{id}`, and documents are plain objects
+// whose dates are `Timestamp`s in both modes. A storage object has:
+//   mode                                  'cloud' or 'local'
+//   onAuthChange(callback)                calls back with `{ uid, email }` or null; returns an unsubscribe
+//   signIn / signUp(email, password)      cloud only; resolve to `{ uid, email }`
+//   resetPassword(email), signOut()       `resetPassword` is cloud only
+//   watchDoc(path, onData, onError)       `onData(data)`, with null for a missing document; returns an unsubscribe
+//   watchCollection(path, options, onData, onError)
+//                                         `onData([{ id, data, pendingSync }])`; returns an unsubscribe
+//   getDoc(path)                          resolves to the data, or null
+//   getCollection(path, options)          resolves to `[{ id, data }]`
+//   batch()                               `set(path, data, { merge })`, `update(path, data)`, `delete(path)`, `commit()`
+//   setDoc(path, data, { merge })         a batch of one `set`
+//   runTransaction(update)                `update(tx)` may `await tx.get(path)` before the same writes as a batch
+//   uploadFile(path, file, metadata)      saves a File or Blob; `metadata` holds short strings such as `{ uploadedBy }`
+//   getFile(path)                         resolves to the Blob
+//   getFileUrl(path)                      resolves to a URL the browser can open; revoke it with
+//                                         `releaseFileUrl` once it is no longer shown
+//   deleteFile(path)                      a file that is already gone is not an error
+// Collection options are `{ where: [field, '==' | 'array-contains', value], orderBy: [field, 'asc' | 'desc'], limit }`.
+// Files live beside the documents, under the same kind of path.
+
+export { Timestamp } from 'firebase/firestore';
+
+export const STORAGE_MODE_KEY = 'loan-tracker-storage';
+
+// Where each kind of document lives, relative to the store's root.
+export const loanDocPath = (loanId) => `loans/${loanId}`;
+export const transactionsPath = (loanId) => `loans/${loanId}/transactions`;
+export const activityPath = (loanId) => `loans/${loanId}/activity`;
+export const joinRequestsPath = (loanId) => `loans/${loanId}/joinRequests`;
+export const joinsPath = (loanId) => `loans/${loanId}/joins`;
+export const lockPath = (loanId, name) => `loans/${loanId}/locks/${name}`;
+export const userProfilePath = (uid) => `users/${uid}`;
+export const notificationStatePath = (uid) => `users/${uid}/private/notifications`;
+export const inviteCodePath = (code) => `inviteCodes/${code}`;
+export const commentsPath = (loanId) => `loans/${loanId}/comments`;
+export const attachmentPath = (loanId, commentId, attachmentId) => `loans/${loanId}/attachments/${commentId}/${attachmentId}`;
+
+// Marks a value in written data as an instruction for the store rather than a value to save.
+export const FIELD_VALUE = Symbol('fieldValue');
+
+export const arrayUnion = (...values) => ({ [FIELD_VALUE]: 'arrayUnion', values });
+
+export const arrayRemove = (...values) => ({ [FIELD_VALUE]: 'arrayRemove', values });
+
+export const deleteField = () => ({ [FIELD_VALUE]: 'deleteField' });
+
+export const serverTimestamp = () => ({ [FIELD_VALUE]: 'serverTimestamp' });
+
+// Shared by both stores, which build `setDoc` on top of their own batches.
+export const setDocWith = (storage) => (path, data, options) => {
+    const batch = storage.batch();
+    batch.set(path, data, options);
+    return batch.commit();
+};
+
+// Local files are shown through object URLs, which hold on to the file until revoked; cloud URLs need nothing.
+export const releaseFileUrl = (url) => {
+    if (url?.startsWith('blob:')) URL.revokeObjectURL(url);
+};
+
+export const isPlainObject = (value) => value != null && Object.getPrototypeOf(value) === Object.prototype;
+
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+// Ids are made on the device, like Firestore's automatic ids, so a write can refer to a document before
+// it is saved. Bytes of 248 and up are skipped so `byte % 62` stays uniform.
+export const newDocId = () => {
+    let id = '';
+    while (id.length < 20) {
+        const bytes = crypto.getRandomValues(new Uint8Array(40));
+        id += Array.from(bytes.filter(b => b < 248), b => ID_ALPHABET[b % ID_ALPHABET.length]).join('');
+    }
+    return id.slice(0, 20);
+};
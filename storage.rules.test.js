@@ -0,0 +1,90 @@
+// Runs against the Firestore and Storage emulators: `npm run test:rules` (needs the Firebase CLI and Java).
+// Uploads go through the app's own storage wrapper, so the paths and metadata are the ones it writes.
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from 'vitest';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { Timestamp } from 'firebase/firestore';
+import { wrapFirestore } from './src/firestoreStorage.js';
+import { loanDocPath, transactionsPath, attachmentPath } from './src/storage.js';
+import { uploadAttachments } from './src/comments.js';
+
+const loanId = 'loan1';
+
+let testEnv;
+
+const storageAs = (uid) => {
+    const context = testEnv.authenticatedContext(uid);
+    return wrapFirestore(context.firestore(), undefined, context.storage());
+};
+
+const receipt = (type = 'application/pdf', size = 1024) => new File([new Uint8Array(size)], 'receipt.pdf', { type });
+
+const upload = (uid, file = receipt(), metadata = { uploadedBy: uid }) => storageAs(uid).uploadFile(attachmentPath(loanId, 'c1', `${uid}-file`), file, metadata);
+
+beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+        projectId: 'demo-loan-tracker',
+        firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+        storage: { rules: readFileSync('storage.rules', 'utf8') },
+    });
+});
+
+afterAll(async () => {
+    await testEnv.cleanup();
+});
+
+beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.clearStorage();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const storage = wrapFirestore(context.firestore());
+        await storage.setDoc(loanDocPath(loanId), {
+            members: ['owner', 'lender', 'borrower', 'viewer'],
+            roles: { owner: 'owner', lender: 'lender', borrower: 'borrower', viewer: 'viewer' },
+            friendlyId: 'ABC-DEF',
+            settings: { appTitle: 'Car Loan' },
+        });
+        await storage.setDoc(`${transactionsPath(loanId)}/tx1`, { type: 'payment', amount: 100, date: Timestamp.now(), authorId: 'borrower', createdAt: Timestamp.now() });
+    });
+});
+
+describe('attachments', () => {
+    test('members who can comment can attach images and PDFs', async () => {
+        await assertSucceeds(upload('borrower'));
+        await assertSucceeds(upload('lender', receipt('image/jpeg')));
+        await assertFails(upload('viewer'));
+        await assertFails(upload('stranger'));
+    });
+
+    test('only small images and PDFs are accepted, uploaded in the uploader\'s own name', async () => {
+        await assertFails(upload('borrower', receipt('text/html')));
+        await assertFails(upload('borrower', receipt('application/pdf', 10 * 1024 * 1024 + 1)));
+        await assertFails(upload('borrower', receipt(), { uploadedBy: 'lender' }));
+        await assertFails(upload('borrower', receipt(), {}));
+    });
+
+    test('every member can open an attachment, nobody else can', async () => {
+        await upload('borrower');
+        const path = attachmentPath(loanId, 'c1', 'borrower-file');
+        await assertSucceeds(storageAs('viewer').getFile(path));
+        await assertFails(storageAs('stranger').getFile(path));
+    });
+
+    test('attachments are deleted by their uploader or by the owner', async () => {
+        await upload('borrower');
+        await upload('lender');
+        await assertFails(storageAs('lender').deleteFile(attachmentPath(loanId, 'c1', 'borrower-file')));
+        await assertSucceeds(storageAs('borrower').deleteFile(attachmentPath(loanId, 'c1', 'borrower-file')));
+        await assertSucceeds(storageAs('owner').deleteFile(attachmentPath(loanId, 'c1', 'lender-file')));
+    });
+
+    test('a failed upload takes the files already uploaded for the comment with it', async () => {
+        const borrower = storageAs('borrower');
+        await expect(uploadAttachments(borrower, loanId, 'c2', [receipt(), receipt('text/html')], 'borrower')).rejects.toThrow();
+
+        await testEnv.withSecurityRulesDisabled(async (context) => {
+            const { items } = await context.storage().ref(`artifacts/loan-tracker-app-v1/public/data/loans/${loanId}/attachments/c2`).listAll();
+            expect(items).toHaveLength(0);
+        });
+    });
+});
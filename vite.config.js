@@ -1,7 +1,36 @@
+import { readFileSync, writeFileSync } from 'node:fs'
+import { join } from 'node:path'
 import { defineConfig } from 'vite'
+import { configDefaults } from 'vitest/config'
 import react from '@vitejs/plugin-react'
 
+// Writes the names of the built files into dist/sw.js, so the worker can precache them and every
+// deploy, whose hashed names differ, installs a new worker.
+const precacheBuildFiles = () => {
+  let files = []
+  let outDir = 'dist'
+  return {
+    name: 'precache-build-files',
+    apply: 'build',
+    generateBundle(options, bundle) {
+      outDir = options.dir
+      files = Object.keys(bundle).filter(file => !file.endsWith('.html') && !file.endsWith('.map')).map(file => `/${file}`)
+    },
+    closeBundle() {
+      const worker = join(outDir, 'sw.js')
+      writeFileSync(worker, readFileSync(worker, 'utf8').replace('self.__BUILD_FILES', JSON.stringify(files)))
+    },
+  }
+}
+
+// Suites that need the Firebase emulators; `npm run test:rules` starts them and sets FIRESTORE_EMULATOR_HOST.
+const EMULATOR_SUITES = ['firestore.rules.test.js', 'storage.rules.test.js', 'src/postings.test.js']
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
-})
\ No newline at end of file
+  plugins: [react(), precacheBuildFiles()],
+  test: {
+    // App.test.js is the Create React App placeholder and its packages are not installed.
+    exclude: [...configDefaults.exclude, 'src/App.test.js', ...(process.env.FIRESTORE_EMULATOR_HOST ? [] : EMULATOR_SUITES)],
+  },
+})